@@ -1,7 +1,24 @@
+const path = require('path');
+
+// Vercel only allows writes under /tmp
+const dataDir = process.env.DATA_DIR ||
+  (process.env.VERCEL ? '/tmp/smtp-send-back' : path.join(__dirname, '..', 'data'));
+
+// URL or mailto: put in the crawler's user agent so site owners can reach us
+const crawlerContact = process.env.CRAWLER_CONTACT || process.env.PUBLIC_BASE_URL || '';
+
 module.exports = {
+  // Public URL of this backend, used for links inside emails (unsubscribe)
+  publicBaseUrl: process.env.PUBLIC_BASE_URL || '',
   admin: {
-    username: 'admin',
-    password: 'supersecret'
+    // Bootstrap account, created on first start when no users exist yet. Without
+    // ADMIN_PASSWORD it gets a random one-time password, logged once.
+    username: process.env.ADMIN_USERNAME || 'admin',
+    password: process.env.ADMIN_PASSWORD || null
+  },
+  auth: {
+    // Bearer token lifetime
+    sessionTtlHours: parseInt(process.env.SESSION_TTL_HOURS || '168', 10)
   },
   smtp: {
     // Default SMTP config (will be overridden by admin)
@@ -13,6 +30,115 @@ module.exports = {
       pass: ''
     },
     from: ''
+  },
+  queue: {
+    pollIntervalMs: parseInt(process.env.QUEUE_POLL_INTERVAL_MS || '1000', 10),
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS || '5', 10),
+    // Retry delay doubles after every transient failure, up to maxDelayMs
+    baseDelayMs: parseInt(process.env.QUEUE_BASE_DELAY_MS || '30000', 10),
+    maxDelayMs: parseInt(process.env.QUEUE_MAX_DELAY_MS || '3600000', 10),
+    // Delivered jobs are pruned after this many days
+    retainSentDays: parseInt(process.env.QUEUE_RETAIN_SENT_DAYS || '7', 10)
+  },
+  scheduler: {
+    pollIntervalMs: parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS || '15000', 10)
+  },
+  campaigns: {
+    // Upper bound for the pause between two campaign messages
+    maxDelayMs: parseInt(process.env.CAMPAIGN_MAX_DELAY_MS || '600000', 10)
+  },
+  mailbox: {
+    // IMAP polling of profiles with imap settings; 0 disables the poller
+    pollIntervalMs: parseInt(process.env.MAILBOX_POLL_INTERVAL_MS || '0', 10),
+    // Days of existing mail read when a mailbox is synced for the first time
+    backfillDays: parseInt(process.env.MAILBOX_BACKFILL_DAYS || '7', 10)
+  },
+  bounces: {
+    // Soft bounces (mailbox full, greylisting...) before an address is suppressed
+    softBounceLimit: parseInt(process.env.SOFT_BOUNCE_LIMIT || '3', 10)
+  },
+  validation: {
+    // Comma-separated DNS servers for MX/A lookups; empty uses the system resolver
+    dnsServers: process.env.VALIDATION_DNS_SERVERS || '',
+    dnsTimeoutMs: parseInt(process.env.VALIDATION_DNS_TIMEOUT_MS || '5000', 10),
+    // How long a domain lookup result is reused
+    cacheTtlMs: parseInt(process.env.VALIDATION_CACHE_TTL_MS || '3600000', 10),
+    concurrency: parseInt(process.env.VALIDATION_CONCURRENCY || '10', 10),
+    // Extra disposable domains, one per line, on top of config/disposable-domains.json
+    disposableDomainsFile: process.env.DISPOSABLE_DOMAINS_FILE || '',
+    // 'reject' refuses sends to invalid addresses, 'off' skips the check
+    preSend: process.env.VALIDATE_BEFORE_SEND || 'reject'
+  },
+  search: {
+    // Provider used when the request names none, and the fallback order
+    defaultProvider: process.env.SEARCH_PROVIDER || 'bing',
+    providers: (process.env.SEARCH_PROVIDERS || 'bing,duckduckgo,searxng,brave,google').split(',').map(p => p.trim()),
+    timeoutMs: parseInt(process.env.SEARCH_TIMEOUT_MS || '15000', 10),
+    // Base URL of a SearXNG instance with the JSON format enabled
+    searxngUrl: process.env.SEARXNG_URL || '',
+    braveApiKey: process.env.BRAVE_SEARCH_API_KEY || '',
+    googleApiKey: process.env.GOOGLE_SEARCH_API_KEY || '',
+    googleCx: process.env.GOOGLE_SEARCH_CX || ''
+  },
+  crawler: {
+    // Sent on every outgoing request; the contact URL lets site owners reach us
+    userAgent: process.env.CRAWLER_USER_AGENT ||
+      `Mozilla/5.0 (compatible; SendBackBot/1.0${crawlerContact ? `; +${crawlerContact}` : ''})`,
+    // Token matched against robots.txt user-agent lines
+    robotsToken: process.env.CRAWLER_ROBOTS_TOKEN || 'SendBackBot',
+    respectRobots: process.env.CRAWLER_RESPECT_ROBOTS !== 'false',
+    robotsTtlMs: parseInt(process.env.CRAWLER_ROBOTS_TTL_MS || '86400000', 10),
+    // Per host: parallel requests and the pause between two request starts
+    hostConcurrency: parseInt(process.env.CRAWLER_HOST_CONCURRENCY || '2', 10),
+    hostDelayMs: parseInt(process.env.CRAWLER_HOST_DELAY_MS || '1000', 10),
+    // Upper bound for a site's Crawl-delay, so one robots.txt cannot stall a hunt
+    maxCrawlDelayMs: parseInt(process.env.CRAWLER_MAX_CRAWL_DELAY_MS || '10000', 10),
+    // Scrape hosts on loopback, private, link-local or ULA addresses (local testing only)
+    allowPrivateNetworks: process.env.CRAWLER_ALLOW_PRIVATE_NETWORKS === 'true',
+    // Redirects followed per page; each hop is checked against robots.txt and the host limits
+    maxRedirects: parseInt(process.env.CRAWLER_MAX_REDIRECTS || '5', 10),
+    // Page bodies are read up to this size; the rest is never downloaded
+    maxPageBytes: parseInt(process.env.CRAWLER_MAX_PAGE_BYTES || String(5 * 1024 * 1024), 10),
+    // Fetched pages, revalidated with ETag/Last-Modified once stale
+    cacheTtlMs: parseInt(process.env.CRAWLER_CACHE_TTL_MS || '900000', 10),
+    cacheMaxEntries: parseInt(process.env.CRAWLER_CACHE_MAX_ENTRIES || '500', 10),
+    cacheMaxBytes: parseInt(process.env.CRAWLER_CACHE_MAX_BYTES || String(2 * 1024 * 1024), 10)
+  },
+  attachments: {
+    // Backend for new uploads: 'local' (dir) or 's3'; existing files are read from the backend that holds them
+    driver: process.env.ATTACHMENT_STORAGE || 'local',
+    // Library files, stored once per content hash
+    dir: process.env.ATTACHMENTS_DIR || path.join(dataDir, 'attachments'),
+    s3: {
+      // Any S3-compatible service; e.g. http://localhost:9000 for MinIO. Empty means AWS.
+      endpoint: process.env.S3_ENDPOINT || '',
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET || '',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || '',
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '',
+      // bucket in the path instead of the host name, as MinIO expects
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      prefix: process.env.S3_PREFIX || 'attachments/'
+    },
+    maxFileBytes: parseInt(process.env.ATTACHMENT_MAX_BYTES || String(5 * 1024 * 1024), 10),
+    // Files unused for this many days (and not referenced by a draft or pending send) are deleted; 0 keeps them
+    retentionDays: parseInt(process.env.ATTACHMENT_RETENTION_DAYS || '0', 10),
+    pruneIntervalMs: parseInt(process.env.ATTACHMENT_PRUNE_INTERVAL_MS || '3600000', 10)
+  },
+  storage: {
+    // 'file' persists to dataDir, 'sqlite' to sqliteFile (needs better-sqlite3), 'memory' is wiped on restart (tests)
+    driver: process.env.STORE_DRIVER || 'file',
+    dataDir,
+    sqliteFile: process.env.SQLITE_FILE || path.join(dataDir, 'store.sqlite'),
+    // File driver: delay before changes reach disk, so bursts of writes are coalesced.
+    // 0 writes through; the default on Vercel, where a frozen function never flushes.
+    writeDelayMs: parseInt(process.env.STORE_WRITE_DELAY_MS || (process.env.VERCEL ? '0' : '200'), 10)
+  },
+  secrets: {
+    // Comma-separated "keyId:secret" pairs; the first key encrypts, the others only decrypt
+    keys: process.env.SECRET_KEYS || process.env.SECRET_KEY || '',
+    // Fallback key generated on first start when no keys are configured
+    keyFile: process.env.SECRET_KEY_FILE || path.join(dataDir, 'secret.key')
   }
 
 };
@@ -2,44 +2,101 @@ const express = require('express');
 const router = express.Router();
 const asyncHandler = require('express-async-handler');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs').promises;
-const { v4: uuidv4 } = require('uuid');
+const { pipeline } = require('stream/promises');
+const config = require('../config/default');
+const attachmentService = require('../services/attachment.service');
+const adminAuth = require('../middleware/admin-auth');
+const { canAccess } = require('../middleware/auth');
 
-// Multer storage for Vercel-compatible temp folder
-// Use /tmp for Vercel
-const storage = multer.diskStorage({
-  destination: '/tmp',
-  filename: (req, file, cb) => cb(null, `${uuidv4()}${path.extname(file.originalname)}`)
-});
+// Hashed in memory before it is written to the library
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: config.attachments.maxFileBytes } });
 
-const upload = multer({ storage, limits: { fileSize: 5 * 1024 * 1024 } });
+// By id, or by the stored filename older clients know files by
+function findAttachment(req, res) {
+  const attachment = attachmentService.findByRef(req.params.id);
+  if (!canAccess(req.user, attachment)) {
+    res.status(404).json({ error: 'File not found' });
+    return null;
+  }
+  return attachment;
+}
 
+// List the library (?label=CV for the versions of one label, ?q= to search, ?all=true for admins)
+router.get('/', asyncHandler(async (req, res) => {
+  const showAll = req.query.all === 'true' && req.user.role === 'admin';
+  const owned = attachmentService.getAttachments().filter(a => showAll || a.ownerId === req.user.id);
+  res.json(attachmentService.search(owned, req.query).map(a => attachmentService.toPublic(a)));
+}));
 
-// Upload file
+// Upload file (multipart "file", optional "label"; a known label gets a new version)
 router.post('/', upload.single('file'), asyncHandler(async (req, res) => {
-  console.log('Incoming file:', req.file);
   if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
 
-  res.json({
-    filename: req.file.filename,
-    originalname: req.file.originalname,
-    size: req.file.size,
-    mimetype: req.file.mimetype
+  const { attachment, duplicate } = await attachmentService.add(req.file, {
+    ownerId: req.user.id,
+    label: req.body.label
+  });
+
+  // Same content uploaded again: the existing item is returned
+  res.status(duplicate ? 200 : 201).json({ ...attachmentService.toPublic(attachment), duplicate });
+}));
+
+// Run the retention policy now
+router.post('/prune', adminAuth, asyncHandler(async (req, res) => {
+  const removed = await attachmentService.prune();
+  res.json({ removed: removed.length, ids: removed.map(a => a.id) });
+}));
+
+// Metadata and what still uses the file
+router.get('/:id/info', asyncHandler(async (req, res) => {
+  const attachment = findAttachment(req, res);
+  if (!attachment) return;
+  res.json({ ...attachmentService.toPublic(attachment), references: attachmentService.references(attachment.id) });
+}));
+
+// Download, streamed from the backend that holds the file
+router.get('/:id', asyncHandler(async (req, res) => {
+  const attachment = findAttachment(req, res);
+  if (!attachment) return;
+
+  // Content never changes for an id: its hash is a strong validator
+  const etag = attachment.sha256 && `"${attachment.sha256}"`;
+  if (etag && req.headers['if-none-match'] === etag) return res.status(304).end();
+
+  let stream;
+  try {
+    stream = await attachmentService.openStream(attachment);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return res.status(404).json({ error: 'Attachment file is missing' });
+  }
+
+  res.attachment(attachment.originalname);
+  res.set({
+    'Content-Type': attachment.mimetype || 'application/octet-stream',
+    'Content-Length': attachment.size,
+    ...(etag && { ETag: etag })
   });
+  try {
+    await pipeline(stream, res);
+  } catch (err) {
+    // Client went away, or the backend failed mid-transfer: nothing left to send
+    console.error(`Attachment download ${attachment.id} interrupted:`, err.message);
+  }
 }));
 
-// Delete file
-router.delete('/:filename', asyncHandler(async (req, res) => {
-  const filePath = path.join('/tmp', req.params.filename);
+// Delete file (?force=true even while drafts or pending sends use it)
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const attachment = findAttachment(req, res);
+  if (!attachment) return;
+
   try {
-    await fs.unlink(filePath);
-    res.json({ success: true, filename: req.params.filename });
+    await attachmentService.remove(attachment.id, { force: req.query.force === 'true' });
   } catch (err) {
-    console.error('Delete error:', err);
-    if (err.code === 'ENOENT') return res.status(404).json({ error: 'File not found' });
-    throw err;
+    if (err.statusCode !== 409) throw err;
+    return res.status(409).json({ error: err.message, references: err.references });
   }
+  res.json({ success: true, id: attachment.id, filename: attachment.filename });
 }));
 
 module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const asyncHandler = require('express-async-handler');
+const auth = require('basic-auth');
+const { requireSession } = require('../middleware/auth');
+const userService = require('../services/user.service');
+
+// Log in and receive a bearer token (JSON body, or Basic Auth for scripted clients)
+router.post('/login', asyncHandler(async (req, res) => {
+  const credentials = auth(req);
+  const { username, password } = credentials ? { username: credentials.name, password: credentials.pass } : req.body || {};
+
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Username and password are required' });
+  }
+
+  const session = await userService.login(username, password);
+  res.json({
+    token: session.token,
+    expiresAt: session.expiresAt,
+    user: userService.toPublicUser(session.user)
+  });
+}));
+
+// Log out (revokes the bearer token used for this request)
+router.post('/logout', requireSession, asyncHandler(async (req, res) => {
+  if (req.authToken) userService.logout(req.authToken);
+  res.json({ success: true });
+}));
+
+// Current user
+router.get('/me', requireSession, asyncHandler(async (req, res) => {
+  res.json(req.user);
+}));
+
+// Change own password (also the way out of a required password change)
+router.post('/me/password', requireSession, asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    return res.status(400).json({ error: 'currentPassword and newPassword are required' });
+  }
+  if (!(await userService.verifyCredentials(req.user.username, currentPassword))) {
+    return res.status(401).json({ error: 'Current password is incorrect' });
+  }
+
+  userService.updateUser(req.user.id, { password: newPassword });
+  res.json({ success: true });
+}));
+
+module.exports = router;
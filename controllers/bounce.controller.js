@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const asyncHandler = require('express-async-handler');
+const multer = require('multer');
+const adminAuth = require('../middleware/admin-auth');
+const bounceService = require('../services/bounce.service');
+const mailboxService = require('../services/mailbox.service');
+const { canAccess } = require('../middleware/auth');
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024, files: 50 } });
+
+// List the current user's bounces (?type=hard|soft&recipient=substring, ?all=true for admins)
+router.get('/', asyncHandler(async (req, res) => {
+  const showAll = req.query.all === 'true' && req.user.role === 'admin';
+  const needle = (req.query.recipient || '').toLowerCase();
+  const bounces = bounceService.getBounces()
+    .filter(bounce => showAll || bounce.ownerId === req.user.id)
+    .filter(bounce => !req.query.type || bounce.type === req.query.type)
+    .filter(bounce => !needle || bounce.recipient.includes(needle))
+    .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt));
+  res.json(bounces);
+}));
+
+// Upload bounce messages as .eml files (field "files", several allowed)
+router.post('/upload', upload.array('files'), asyncHandler(async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({ error: 'No .eml files uploaded' });
+  }
+
+  const results = [];
+  for (const file of req.files) {
+    try {
+      const result = await bounceService.ingest(file.buffer, {
+        source: `upload:${req.user.username}`,
+        ownerId: req.user.id
+      });
+      results.push({ file: file.originalname, ...result });
+    } catch (err) {
+      results.push({ file: file.originalname, error: err.message });
+    }
+  }
+
+  res.json({
+    success: true,
+    processed: results.length,
+    bounces: results.reduce((sum, r) => sum + (r.records?.length || 0), 0),
+    results
+  });
+}));
+
+// Poll the IMAP mailboxes of all profiles now (admin only)
+router.post('/poll', adminAuth, asyncHandler(async (req, res) => {
+  const results = await mailboxService.tick();
+  if (!results) return res.status(409).json({ error: 'A mailbox sync is already running' });
+  res.json({ success: true, results });
+}));
+
+// Get one bounce
+router.get('/:id', asyncHandler(async (req, res) => {
+  const bounce = bounceService.getBounce(req.params.id);
+  if (!canAccess(req.user, bounce)) return res.status(404).json({ error: 'Bounce not found' });
+  res.json(bounce);
+}));
+
+module.exports = router;
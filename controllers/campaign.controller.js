@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const asyncHandler = require('express-async-handler');
+const multer = require('multer');
+const campaignService = require('../services/campaign.service');
+const { canAccess } = require('../middleware/auth');
+const { parseCsv } = require('../utils/csv');
+
+// Recipient lists are small; keep the CSV in memory
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
+
+function findCampaign(req, res) {
+  const campaign = campaignService.getCampaign(req.params.id);
+  if (!canAccess(req.user, campaign)) {
+    res.status(404).json({ error: 'Campaign not found' });
+    return null;
+  }
+  return campaign;
+}
+
+// List the current user's campaigns with progress
+router.get('/', asyncHandler(async (req, res) => {
+  const campaigns = campaignService.getCampaigns()
+    .filter(campaign => campaign.ownerId === req.user.id)
+    .map(campaign => campaignService.toPublicCampaign(campaign, { withRecipients: false }));
+  res.json(campaigns);
+}));
+
+// Create a campaign from a draft and a recipient list (JSON "recipients" or a CSV "file" upload)
+router.post('/', upload.single('file'), asyncHandler(async (req, res) => {
+  const { draftId, name, profileId, delayMs, start } = req.body;
+  let recipients = req.body.recipients;
+
+  if (req.file) {
+    recipients = parseCsv(req.file.buffer.toString('utf8'));
+  } else if (typeof recipients === 'string') {
+    try {
+      recipients = JSON.parse(recipients);
+    } catch {
+      return res.status(400).json({ error: 'recipients must be a JSON array' });
+    }
+  }
+
+  if (!draftId || !Array.isArray(recipients)) {
+    return res.status(400).json({
+      error: 'Missing required campaign fields',
+      usage: 'draftId plus recipients: [{ email, name, company, ... }] or a CSV file with an email column'
+    });
+  }
+
+  let campaign = campaignService.createCampaign({ name, draftId, profileId, recipients, delayMs }, req.user.id);
+  if (start === true || start === 'true') {
+    campaign = campaignService.startCampaign(campaign.id);
+  }
+
+  res.status(201).json(campaignService.toPublicCampaign(campaign));
+}));
+
+// Campaign progress and per-recipient results
+router.get('/:id', asyncHandler(async (req, res) => {
+  const campaign = findCampaign(req, res);
+  if (!campaign) return;
+  res.json(campaignService.toPublicCampaign(campaign));
+}));
+
+// Start, pause, resume, cancel, retry failed recipients
+const ACTIONS = {
+  start: id => campaignService.startCampaign(id),
+  resume: id => campaignService.startCampaign(id),
+  pause: id => campaignService.pauseCampaign(id),
+  cancel: id => campaignService.cancelCampaign(id),
+  'retry-failed': id => campaignService.retryFailed(id)
+};
+
+router.post('/:id/:action', asyncHandler(async (req, res) => {
+  const action = ACTIONS[req.params.action];
+  if (!action) return res.status(404).json({ error: `Unknown campaign action: ${req.params.action}` });
+
+  const campaign = findCampaign(req, res);
+  if (!campaign) return;
+
+  res.json(campaignService.toPublicCampaign(action(campaign.id)));
+}));
+
+// Delete a campaign that is not running
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const campaign = findCampaign(req, res);
+  if (!campaign) return;
+
+  campaignService.deleteCampaign(campaign.id);
+  res.json({ success: true, id: campaign.id });
+}));
+
+module.exports = router;
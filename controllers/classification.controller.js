@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const asyncHandler = require('express-async-handler');
+const adminAuth = require('../middleware/admin-auth');
+const classificationService = require('../services/classification.service');
+
+const MAX_TEST_EMAILS = 500;
+
+// Active rule set: keywords per language, prefixes, domain lists, weights, query templates
+router.get('/rules', asyncHandler(async (req, res) => {
+  const { id, rules, updatedAt, updatedBy } = classificationService.getActive();
+  res.json({ version: id, updatedAt, updatedBy, rules });
+}));
+
+// Earlier versions, newest first (rules included with ?full=true)
+router.get('/rules/versions', adminAuth, asyncHandler(async (req, res) => {
+  const versions = [...classificationService.getVersions()].reverse();
+  res.json(versions.map(({ rules, ...version }) => (req.query.full === 'true' ? { ...version, rules } : version)));
+}));
+
+// Replace the whole rule set
+router.put('/rules', adminAuth, asyncHandler(async (req, res) => {
+  const version = classificationService.setRules(req.body, req.user.username);
+  res.json({ version: version.id, updatedAt: version.updatedAt, updatedBy: version.updatedBy, rules: version.rules });
+}));
+
+// Change some sections, e.g. { "weights": { "namePattern": 0.4 }, "threshold": 0.6 }
+router.patch('/rules', adminAuth, asyncHandler(async (req, res) => {
+  const version = classificationService.updateRules(req.body, req.user.username);
+  res.json({ version: version.id, updatedAt: version.updatedAt, updatedBy: version.updatedBy, rules: version.rules });
+}));
+
+// Back to the bundled defaults, or to an earlier version with { version: id }
+router.post('/rules/reset', adminAuth, asyncHandler(async (req, res) => {
+  const version = req.body.version
+    ? classificationService.restoreVersion(req.body.version, req.user.username)
+    : classificationService.resetRules(req.user.username);
+  if (!version) return res.status(404).json({ error: 'Rules version not found' });
+  res.json({ version: version.id, updatedAt: version.updatedAt, updatedBy: version.updatedBy, rules: version.rules });
+}));
+
+// Try the active rules: { emails: [], context, hrFocus, country } -> scores with the matched reasons
+router.post('/test', asyncHandler(async (req, res) => {
+  const { emails, context = '', hrFocus = true, country } = req.body;
+  if (!Array.isArray(emails) || emails.length === 0) {
+    return res.status(400).json({ error: 'emails must be a non-empty array' });
+  }
+  if (emails.length > MAX_TEST_EMAILS) {
+    return res.status(400).json({ error: `At most ${MAX_TEST_EMAILS} emails per request` });
+  }
+
+  const focus = String(hrFocus) !== 'false';
+  const classified = classificationService.classify(emails, context, { hrFocus: focus, country });
+  res.json({
+    hr: classified.hr,
+    general: classified.general,
+    results: Object.entries(classified.scores)
+      .map(([email, result]) => ({ email, ...result }))
+      .sort((a, b) => b.score - a.score)
+  });
+}));
+
+// Search queries a hunt would run: ?query=&country=&hrFocus=
+router.get('/queries', asyncHandler(async (req, res) => {
+  const { query, country, hrFocus = 'true' } = req.query;
+  if (!query) return res.status(400).json({ error: 'Missing parameter: query' });
+
+  const { key, geo, languages } = classificationService.resolveCountry(country);
+  res.json({
+    template: key,
+    geo,
+    languages,
+    queries: classificationService.buildQueries(query, hrFocus === 'true', country)
+  });
+}));
+
+module.exports = router;
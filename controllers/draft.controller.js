@@ -2,15 +2,31 @@ const express = require('express');
 const router = express.Router();
 const asyncHandler = require('express-async-handler');
 const storeService = require('../services/store.service');
-const fs = require('fs').promises;
-const path = require('path');
+const attachmentService = require('../services/attachment.service');
+const renderService = require('../services/render.service');
+const schedulerService = require('../services/scheduler.service');
+const { resolveSendAt } = require('../utils/timezone');
+const { canAccess } = require('../middleware/auth');
 
-// Get all drafts
+// Get the current user's drafts (admins may pass ?all=true)
 router.get('/', asyncHandler(async (req, res) => {
-  const drafts = storeService.getDrafts();
+  const showAll = req.query.all === 'true' && req.user.role === 'admin';
+  const drafts = storeService.getDrafts()
+    .filter(draft => showAll || draft.ownerId === req.user.id);
   res.json(drafts);
 }));
 
+// Preview a draft exactly as it would be sent
+router.get('/:id/preview', asyncHandler(async (req, res) => {
+  const draft = storeService.getDraftById(req.params.id);
+  if (!canAccess(req.user, draft)) {
+    return res.status(404).json({ error: 'Draft not found' });
+  }
+
+  const preview = await renderService.render(draft);
+  res.json(preview);
+}));
+
 // Save a draft
 router.post('/', asyncHandler(async (req, res) => {
   const draft = req.body;
@@ -20,30 +36,47 @@ router.post('/', asyncHandler(async (req, res) => {
     return res.status(400).json({ error: 'Missing required draft fields' });
   }
 
-  const savedDraft = storeService.saveDraft(draft);
+  if (draft.profileId && !storeService.getSmtpProfile(draft.profileId)) {
+    return res.status(400).json({ error: `Unknown SMTP profile: ${draft.profileId}` });
+  }
+
+  // Library items the user may use, stored as references by id
+  const attachments = attachmentService.resolveRefs(draft.attachments, req.user);
+
+  // Updating keeps the original owner; nobody may overwrite someone else's draft
+  const existing = draft.id ? storeService.getDraftById(draft.id) : null;
+  if (existing && !canAccess(req.user, existing)) {
+    return res.status(404).json({ error: 'Draft not found' });
+  }
+
+  // A new or changed sendAt (re)schedules the draft; clearing it cancels the schedule
+  const scheduleChanged = (draft.sendAt || null) !== (existing?.sendAt || null) ||
+    (draft.timezone || null) !== (existing?.timezone || null);
+  if (scheduleChanged && draft.sendAt && resolveSendAt(draft.sendAt, draft.timezone) <= new Date()) {
+    return res.status(400).json({ error: 'sendAt must be in the future' });
+  }
+
+  const savedDraft = storeService.saveDraft({
+    ...draft,
+    attachments,
+    ownerId: existing ? existing.ownerId : req.user.id
+  });
+  if (scheduleChanged) schedulerService.syncDraft(savedDraft);
+
   res.json(savedDraft);
 }));
 
 // Delete a draft
 router.delete('/:id', asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const draft = storeService.deleteDraft(id);
 
-  if (!draft) {
+  if (!canAccess(req.user, storeService.getDraftById(id))) {
     return res.status(404).json({ error: 'Draft not found' });
   }
 
-  // If draft has attachments, delete them
-  if (draft.attachments?.length > 0) {
-  for (const attachment of draft.attachments) {
-    try {
-      await fs.unlink(path.join('/tmp', attachment.filename));
-      console.log(`Deleted attachment: ${attachment.filename}`);
-    } catch (err) {
-      console.error(`Failed to delete attachment ${attachment.filename}:`, err);
-    }
-  }
-}
+  // Its attachments stay in the library for other drafts and sends
+  storeService.deleteDraft(id);
+  schedulerService.syncDraft({ id, sendAt: null });
 
   res.json({ success: true, id });
 }));
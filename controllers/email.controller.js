@@ -2,50 +2,253 @@ const express = require('express');
 const router = express.Router();
 const asyncHandler = require('express-async-handler');
 const emailService = require('../services/email.service');
+const storeService = require('../services/store.service');
+const queueService = require('../services/queue.service');
+const renderService = require('../services/render.service');
+const schedulerService = require('../services/scheduler.service');
+const suppressionService = require('../services/suppression.service');
+const validationService = require('../services/validation.service');
+const leadService = require('../services/lead.service');
+const attachmentService = require('../services/attachment.service');
+const config = require('../config/default');
+const { canAccess } = require('../middleware/auth');
 
-// Send an email with HTML content properly preserved
+// Queue an email with HTML content properly preserved; delivery happens in the background.
+// With sendAt (and optional IANA timezone) the email is scheduled instead.
+// leadIds instead of to sends one copy to each lead (see sendToLeads).
 router.post('/', asyncHandler(async (req, res) => {
   const emailData = req.body;
 
+  let leads = null;
+  if (emailData.leadIds !== undefined) {
+    if (!Array.isArray(emailData.leadIds) || emailData.leadIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'leadIds must be a non-empty array' });
+    }
+    if (emailData.to) {
+      return res.status(400).json({ success: false, error: 'Use either to or leadIds, not both' });
+    }
+    const ids = [...new Set(emailData.leadIds)];
+    leads = ids.map(id => leadService.getLead(id));
+    const unknown = ids.find((id, i) => !canAccess(req.user, leads[i]));
+    if (unknown) {
+      return res.status(400).json({ success: false, error: `Unknown lead: ${unknown}` });
+    }
+  }
+
   // Validate required fields
-  if (!emailData.to || !emailData.subject || !emailData.html) {
+  if ((!emailData.to && !leads) || !emailData.subject || !emailData.html) {
     return res.status(400).json({
       success: false,
       error: 'Missing required email fields'
     });
   }
 
+  if (emailData.profileId && !storeService.getSmtpProfile(emailData.profileId)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown SMTP profile: ${emailData.profileId}`
+    });
+  }
+
+  // Only the uploader may send a library item; the message keeps references by id
   try {
-    // Log that we're sending the email
-    console.log(`Sending email to: ${emailData.to}`);
-    console.log(`Subject: ${emailData.subject}`);
-    console.log(`HTML content preview: ${emailData.html.substring(0, 100)}...`);
+    emailData.attachments = attachmentService.resolveRefs(emailData.attachments, req.user);
+  } catch (err) {
+    if (err.statusCode !== 400) throw err;
+    return res.status(400).json({ success: false, error: err.message });
+  }
 
-    // Send the email with preserved HTML formatting
-    const result = await emailService.sendEmail(emailData);
+  if (leads) return sendToLeads(req, res, emailData, leads);
 
-    res.json({
+  // Checked again at send time; this gives immediate feedback
+  const { emailData: deliverable, suppressed } = suppressionService.filterRecipients(emailData);
+  if (suppressed.length && (emailData.onSuppressed === 'reject' || !deliverable.to)) {
+    return res.status(422).json({
+      success: false,
+      error: 'Recipients are on the suppression list',
+      suppressed
+    });
+  }
+
+  // Refuse addresses that cannot receive mail (bad syntax, no such domain...)
+  if (config.validation.preSend === 'reject') {
+    const invalid = await validationService.checkRecipients(emailData);
+    if (invalid.length) {
+      return res.status(422).json({
+        success: false,
+        error: `Invalid recipient addresses: ${invalid.map(r => r.email).join(', ')}`,
+        invalid
+      });
+    }
+  }
+
+  // Scheduled for later: the scheduler hands it to the queue when due
+  if (emailData.sendAt) {
+    const entry = schedulerService.schedule({
+      emailData,
+      sendAt: emailData.sendAt,
+      timezone: emailData.timezone
+    }, req.user.id);
+
+    return res.status(202).json({
       success: true,
-      messageId: result.messageId,
-      message: 'Email sent successfully'
+      scheduledId: entry.id,
+      status: entry.status,
+      sendAt: entry.sendAt,
+      suppressed,
+      message: 'Email scheduled'
     });
-  } catch (error) {
-    console.error('Email sending error:', error);
-    res.status(500).json({
+  }
+
+  // Log that we're queueing the email
+  console.log(`Queueing email to: ${emailData.to} (user ${req.user.username})`);
+  console.log(`Subject: ${emailData.subject}`);
+  if (emailData.profileId) console.log(`SMTP profile: ${emailData.profileId}`);
+  console.log(`HTML content preview: ${emailData.html.substring(0, 100)}...`);
+
+  const job = queueService.enqueue(emailData, { ownerId: req.user.id });
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    suppressed,
+    message: 'Email queued for delivery'
+  });
+}));
+
+/**
+ * One message per lead, so scraped addresses never see each other. Suppressed
+ * and invalid leads are skipped (onSuppressed: 'reject' refuses the whole send).
+ */
+async function sendToLeads(req, res, emailData, leads) {
+  const { leadIds, ...message } = emailData;
+
+  const suppressed = [];
+  let targets = leads.filter(lead => {
+    const entry = suppressionService.getSuppression(lead.email);
+    if (entry) suppressed.push({ leadId: lead.id, email: lead.email, field: 'to', reason: entry.reason });
+    return !entry;
+  });
+  if (suppressed.length && emailData.onSuppressed === 'reject') {
+    return res.status(422).json({ success: false, error: 'Recipients are on the suppression list', suppressed });
+  }
+
+  let invalid = [];
+  if (config.validation.preSend === 'reject' && targets.length) {
+    const { results } = await validationService.validateMany(targets.map(lead => lead.email));
+    invalid = results.filter(result => result.status === 'invalid');
+    const invalidEmails = new Set(invalid.map(result => result.input));
+    targets = targets.filter(lead => !invalidEmails.has(lead.email));
+  }
+
+  if (targets.length === 0) {
+    return res.status(422).json({ success: false, error: 'None of the leads can be emailed', suppressed, invalid });
+  }
+
+  const jobs = targets.map(lead => {
+    const data = { ...message, to: lead.email };
+    if (emailData.sendAt) {
+      const entry = schedulerService.schedule({ emailData: data, sendAt: emailData.sendAt, timezone: emailData.timezone }, req.user.id);
+      return { leadId: lead.id, email: lead.email, scheduledId: entry.id, status: entry.status, sendAt: entry.sendAt };
+    }
+    const job = queueService.enqueue(data, { ownerId: req.user.id });
+    return { leadId: lead.id, email: lead.email, jobId: job.id, status: job.status };
+  });
+  // Scheduled sends count once they go out, not now
+  if (!emailData.sendAt) leadService.markContacted(targets.map(lead => lead.id));
+  console.log(`${emailData.sendAt ? 'Scheduled' : 'Queued'} "${emailData.subject}" for ${jobs.length} lead(s) (user ${req.user.username})`);
+
+  res.status(202).json({
+    success: true,
+    jobs,
+    suppressed,
+    invalid,
+    message: `Email ${emailData.sendAt ? 'scheduled' : 'queued'} for ${jobs.length} lead(s)`
+  });
+}
+
+// Preview the exact HTML/text that would be sent, with size breakdown and warnings
+router.post('/preview', asyncHandler(async (req, res) => {
+  const emailData = req.body;
+
+  if (!emailData.html) {
+    return res.status(400).json({
       success: false,
-      error: error.message || 'Failed to send email'
+      error: 'Missing required field: html'
     });
   }
+
+  // Same check as sending: only the user's own library items are looked up
+  try {
+    emailData.attachments = attachmentService.resolveRefs(emailData.attachments, req.user);
+  } catch (err) {
+    if (err.statusCode !== 400) throw err;
+    return res.status(400).json({ success: false, error: err.message });
+  }
+
+  const preview = await renderService.render(emailData);
+  res.json({ success: true, ...preview });
+}));
+
+// -------------- SEND JOBS -------------- //
+
+// List the current user's send jobs (?status=, admins may pass ?all=true)
+router.get('/jobs', asyncHandler(async (req, res) => {
+  const showAll = req.query.all === 'true' && req.user.role === 'admin';
+  const jobs = [...queueService.getJobs(), ...queueService.getDeadLetters()]
+    .filter(job => showAll || job.ownerId === req.user.id)
+    .filter(job => !req.query.status || job.status === req.query.status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  res.json(jobs.map(job => queueService.toPublicJob(job)));
+}));
+
+// Permanently failed jobs
+router.get('/jobs/dead-letters', asyncHandler(async (req, res) => {
+  const showAll = req.query.all === 'true' && req.user.role === 'admin';
+  const jobs = queueService.getDeadLetters()
+    .filter(job => showAll || job.ownerId === req.user.id);
+  res.json(jobs.map(job => queueService.toPublicJob(job)));
+}));
+
+// Job status, attempts and last error
+router.get('/jobs/:id', asyncHandler(async (req, res) => {
+  const job = queueService.getJob(req.params.id);
+  if (!canAccess(req.user, job)) return res.status(404).json({ error: 'Job not found' });
+  res.json(queueService.toPublicJob(job));
+}));
+
+// Requeue a dead-lettered job
+router.post('/jobs/:id/retry', asyncHandler(async (req, res) => {
+  const job = queueService.getJob(req.params.id);
+  if (!canAccess(req.user, job)) return res.status(404).json({ error: 'Job not found' });
+
+  const requeued = queueService.retryJob(job.id);
+  if (!requeued) return res.status(409).json({ error: `Job is ${job.status}, only failed jobs can be retried` });
+  res.json(queueService.toPublicJob(requeued));
+}));
+
+// Cancel a job that has not been sent yet
+router.delete('/jobs/:id', asyncHandler(async (req, res) => {
+  const job = queueService.getJob(req.params.id);
+  if (!canAccess(req.user, job)) return res.status(404).json({ error: 'Job not found' });
+
+  const cancelled = queueService.cancelJob(job.id);
+  if (!cancelled) return res.status(409).json({ error: `Job is ${job.status} and can no longer be cancelled` });
+  res.json(queueService.toPublicJob(cancelled));
 }));
 
-// Get SMTP configuration status
+// Get SMTP configuration status (default profile, or ?profileId=) with per-profile details
 router.get('/smtp-status', asyncHandler(async (req, res) => {
-  const smtpConfig = emailService.getSmtpStatus();
+  const smtpConfig = emailService.getSmtpStatus(req.query.profileId);
   res.json({
     success: true,
     configured: smtpConfig.configured,
     host: smtpConfig.host,
-    from: smtpConfig.from
+    from: smtpConfig.from,
+    senderName: smtpConfig.senderName,
+    profileId: smtpConfig.profileId,
+    profiles: smtpConfig.profiles
   });
 }));
 
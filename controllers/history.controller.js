@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const asyncHandler = require('express-async-handler');
+const historyService = require('../services/history.service');
+const { canAccess } = require('../middleware/auth');
+
+// Search the current user's sent mail
+// ?recipient=acme.com&q=subject text&status=sent|failed|retrying&profileId=&since=&until=&page=&limit=
+router.get('/', asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+  for (const field of ['since', 'until']) {
+    if (req.query[field] && Number.isNaN(new Date(req.query[field]).getTime())) {
+      return res.status(400).json({ error: `Invalid date: ${field}` });
+    }
+  }
+
+  const showAll = req.query.all === 'true' && req.user.role === 'admin';
+  const owned = historyService.getHistory().filter(record => showAll || record.ownerId === req.user.id);
+  const results = historyService.search(owned, req.query);
+
+  res.json({
+    total: results.length,
+    page: pageNum,
+    pageSize,
+    records: results
+      .slice((pageNum - 1) * pageSize, pageNum * pageSize)
+      .map(record => historyService.toSummary(record))
+  });
+}));
+
+// Full record including the rendered HTML and text
+router.get('/:id', asyncHandler(async (req, res) => {
+  const record = historyService.getRecord(req.params.id);
+  if (!canAccess(req.user, record)) return res.status(404).json({ error: 'History record not found' });
+  res.json(record);
+}));
+
+module.exports = router;
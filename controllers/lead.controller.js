@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const asyncHandler = require('express-async-handler');
+const leadService = require('../services/lead.service');
+const { canAccess } = require('../middleware/auth');
+
+function findLead(req, res) {
+  const lead = leadService.getLead(req.params.id);
+  if (!canAccess(req.user, lead)) {
+    res.status(404).json({ error: 'Lead not found' });
+    return null;
+  }
+  return lead;
+}
+
+/**
+ * The current user's leads matching the query filters (?all=true: everyone's, for admins)
+ */
+function filteredLeads(req) {
+  const showAll = req.query.all === 'true' && req.user.role === 'admin';
+  const owned = leadService.getLeads().filter(lead => showAll || lead.ownerId === req.user.id);
+  return leadService.search(owned, req.query);
+}
+
+function invalidDate(query) {
+  return ['since', 'until'].find(field => query[field] && Number.isNaN(new Date(query[field]).getTime()));
+}
+
+// Search leads
+// ?q=name, company or address&category=hr|general&status=&domain=&since=&until=&sort=score&page=&limit=
+router.get('/', asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+  const badDate = invalidDate(req.query);
+  if (badDate) return res.status(400).json({ error: `Invalid date: ${badDate}` });
+
+  const results = filteredLeads(req);
+  res.json({
+    total: results.length,
+    page: pageNum,
+    pageSize,
+    leads: results.slice((pageNum - 1) * pageSize, pageNum * pageSize)
+  });
+}));
+
+// Export the filtered leads (?format=csv|json, same filters as the list)
+router.get('/export', asyncHandler(async (req, res) => {
+  const { format = 'csv' } = req.query;
+  if (!['csv', 'json'].includes(format)) return res.status(400).json({ error: 'format must be csv or json' });
+
+  const badDate = invalidDate(req.query);
+  if (badDate) return res.status(400).json({ error: `Invalid date: ${badDate}` });
+
+  const leads = filteredLeads(req);
+  res.set('Content-Disposition', `attachment; filename="leads.${format}"`);
+  if (format === 'json') return res.json(leads);
+
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.send(leadService.exportCsv(leads));
+}));
+
+router.get('/:id', asyncHandler(async (req, res) => {
+  const lead = findLead(req, res);
+  if (lead) res.json(lead);
+}));
+
+// Add a lead by hand: { email, name, company, category, status, notes }
+router.post('/', asyncHandler(async (req, res) => {
+  if (!req.body.email) return res.status(400).json({ error: 'Missing required field: email' });
+
+  try {
+    const lead = leadService.create(req.body, req.user.id);
+    res.status(201).json(lead);
+  } catch (err) {
+    if (err.statusCode !== 409) throw err;
+    res.status(409).json({ error: err.message, leadId: err.leadId });
+  }
+}));
+
+// Merge duplicates into the first lead: { ids: [keepId, ...others] }
+router.post('/merge', asyncHandler(async (req, res) => {
+  const ids = [...new Set(Array.isArray(req.body.ids) ? req.body.ids : [])];
+  if (ids.length < 2) return res.status(400).json({ error: 'ids must list at least two leads' });
+
+  const leads = ids.map(id => leadService.getLead(id));
+  const missing = ids.find((id, i) => !canAccess(req.user, leads[i]));
+  if (missing) return res.status(404).json({ error: `Lead not found: ${missing}` });
+  if (leads.some(lead => lead.ownerId !== leads[0].ownerId)) {
+    return res.status(400).json({ error: 'Only leads of the same user can be merged' });
+  }
+
+  res.json(leadService.merge(ids));
+}));
+
+// Update name, company, category, status (free-form) or notes
+router.put('/:id', asyncHandler(async (req, res) => {
+  const lead = findLead(req, res);
+  if (!lead) return;
+  res.json(leadService.update(lead.id, req.body));
+}));
+
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const lead = findLead(req, res);
+  if (!lead) return;
+  leadService.remove(lead.id);
+  res.json({ success: true, id: lead.id });
+}));
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const asyncHandler = require('express-async-handler');
+const schedulerService = require('../services/scheduler.service');
+const { canAccess } = require('../middleware/auth');
+
+function findEntry(req, res) {
+  const entry = schedulerService.getScheduledById(req.params.id);
+  if (!canAccess(req.user, entry)) {
+    res.status(404).json({ error: 'Scheduled send not found' });
+    return null;
+  }
+  return entry;
+}
+
+// List the current user's scheduled sends (?status=scheduled|queued|cancelled|failed)
+router.get('/', asyncHandler(async (req, res) => {
+  const entries = schedulerService.getScheduled()
+    .filter(entry => entry.ownerId === req.user.id)
+    .filter(entry => !req.query.status || entry.status === req.query.status)
+    .sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+  res.json(entries.map(entry => schedulerService.toPublicEntry(entry)));
+}));
+
+// Get one scheduled send
+router.get('/:id', asyncHandler(async (req, res) => {
+  const entry = findEntry(req, res);
+  if (!entry) return;
+  res.json(schedulerService.toPublicEntry(entry));
+}));
+
+// Reschedule: { sendAt, timezone }
+router.put('/:id', asyncHandler(async (req, res) => {
+  const entry = findEntry(req, res);
+  if (!entry) return;
+
+  if (!req.body.sendAt) {
+    return res.status(400).json({ error: 'Missing required field: sendAt' });
+  }
+
+  const updated = schedulerService.reschedule(entry.id, {
+    sendAt: req.body.sendAt,
+    timezone: req.body.timezone
+  });
+  res.json(schedulerService.toPublicEntry(updated));
+}));
+
+// Cancel a scheduled send
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const entry = findEntry(req, res);
+  if (!entry) return;
+
+  const cancelled = schedulerService.cancel(entry.id);
+  res.json(schedulerService.toPublicEntry(cancelled));
+}));
+
+module.exports = router;
@@ -1,314 +1,126 @@
 /**
- * Scraping Controller (Bing-based)
+ * Scraping Controller
+ * Search engines are pluggable (services/search); Bing is the default.
  * Provides two endpoints:
  *  - GET /api/scraping/search      (paginated single search page)
  *  - GET /api/scraping/search-all  (multi-page comprehensive search)
+ * and /api/scraping/jobs to run the multi-page search in the background
+ * (polling, SSE progress stream, cancel with partial results).
+ * POST /api/scraping/domains skips the search engine and visits a given list
+ * of domains or URLs (JSON or CSV upload).
+ * The hunt itself lives in services/scraping.service.js.
  *
  * Fully aligned with the Angular front-end interfaces:
  *  ScrapingResponse & ComprehensiveScrapingResponse
  *
  * Key Features:
- *  - Multiple adaptive Bing queries (HR focused if hrFocus=true)
- *  - Extracts emails from snippets + visited pages
- *  - HR email classification
+ *  - Multiple adaptive search queries (HR focused if hrFocus=true)
+ *  - provider=bing|duckduckgo|searxng|brave|google, falling back to the others on failure
+ *  - Extracts emails from snippets + visited pages, including obfuscated ones
+ *    ([at]/[dot], entities, Cloudflare cfemail, reversed or split text; see utils/email-extractor.js)
+ *  - HR email classification with scores, from editable rules (/api/classification)
  *  - Returns stats in the exact structure the frontend expects
  *  - CAPTCHA detection handling (returns 429 with needsCaptcha=true)
  *  - Graceful timeouts + abort controllers
  *  - Unified scrapedUrls objects with hr/general/total counts
+ *  - Structured contacts per page and per domain: company, phones, addresses,
+ *    social profiles, named contacts (JSON-LD, microdata, hCard/vCard, tel: links)
+ *  - Optional same-site crawl (crawl=true) of contact/careers pages, grouped by domain
+ *  - Polite page fetching: honest user agent, robots.txt, per-host limits, page cache
+ *  - Found addresses are kept as leads (/api/leads) unless saveLeads=false
  */
 
 const express = require('express');
-const cheerio = require('cheerio');
 const router = express.Router();
+const asyncHandler = require('express-async-handler');
+const multer = require('multer');
+const config = require('../config/default');
+const searchService = require('../services/search.service');
+const scrapingService = require('../services/scraping.service');
+const leadService = require('../services/lead.service');
+const { PROVIDERS } = require('../services/search');
+const { canAccess } = require('../middleware/auth');
+const { parseCsv } = require('../utils/csv');
+
+// Domain lists are small; keep the CSV in memory
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 1024 * 1024 } });
 
 // ------------------ CONFIG ------------------ //
 
 const MAX_SINGLE_URLS = 20;
 const MAX_MULTI_PAGES = 10;
 const MAX_MULTI_URLS_PER_PAGE = 20;
-const GLOBAL_TIMEOUT_MS = 15000;
-
-// Regex for emails
-const EMAIL_REGEX = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
-
-// HR keyword buckets
-const HR_EMAIL_KEYWORDS = [
-  'hr', 'job', 'jobs', 'career', 'careers', 'recruit', 'recruiter', 'recruitment',
-  'talent', 'apply', 'hiring', 'people', 'human', 'resource', 'resources',
-  'employment', 'candidature', 'recrutement', 'carriere', 'emploi', 'poste', 'cv'
-];
-
-const GENERIC_EXCLUDE_PREFIXES = [
-  'info@', 'contact@', 'support@', 'help@', 'noreply@', 'no-reply@', 'newsletter@',
-  'marketing@', 'sales@', 'webmaster@', 'admin@', 'postmaster@', 'hello@', 'office@'
-];
-
-// Delay helper
-const sleep = ms => new Promise(r => setTimeout(r, ms));
-
-// -------------- UTILITIES ------------------ //
-
-function extractEmails(text) {
-  if (!text) return [];
-  const raw = text.match(EMAIL_REGEX) || [];
-  return [...new Set(raw.map(e => e.trim().toLowerCase()))];
-}
-
-function classifyEmails(emails, context = '', hrFocus = true) {
-  const ctx = (context || '').toLowerCase();
-  const hr = [];
-  const general = [];
-
-  emails.forEach(email => {
-    const lower = email.toLowerCase();
-    if (GENERIC_EXCLUDE_PREFIXES.some(p => lower.startsWith(p))) {
-      // Usually generic; only keep as general if hrFocus=false
-      if (!hrFocus) general.push(lower);
-      return;
-    }
-
-    const hasKeyword = HR_EMAIL_KEYWORDS.some(k => lower.includes(k));
-    const namePattern = /^[a-z]+\.[a-z]+@/i.test(lower);
-    const contextHas = HR_EMAIL_KEYWORDS.some(k => ctx.includes(k));
-
-    if (hasKeyword || (contextHas && (namePattern || hrFocus)) || namePattern && hrFocus) {
-      hr.push(lower);
-    } else {
-      general.push(lower);
-    }
-  });
+const SSE_HEARTBEAT_MS = 15000;
+const MAX_CRAWL_DEPTH = 3;
+const MAX_CRAWL_PAGES_PER_DOMAIN = 20;
+const MAX_DOMAIN_TARGETS = 200;
+const MAX_DOMAIN_CONCURRENCY = 10;
+const DOMAIN_COLUMNS = ['domain', 'url', 'website', 'site', 'domains', 'urls'];
 
+/**
+ * crawl=true follows same-site contact/careers links (crawlDepth, crawlPages per domain)
+ */
+function crawlOptions({ crawl = 'false', crawlDepth = 1, crawlPages = 5 }) {
+  if (String(crawl) !== 'true') return null;
   return {
-    hr: [...new Set(hr)],
-    general: [...new Set(general)],
-    all: [...new Set([...hr, ...general])]
+    depth: Math.min(Math.max(parseInt(crawlDepth) || 1, 1), MAX_CRAWL_DEPTH),
+    pagesPerDomain: Math.min(Math.max(parseInt(crawlPages) || 1, 1), MAX_CRAWL_PAGES_PER_DOMAIN)
   };
 }
 
 /**
- * Build an array of Bing queries (deduplicated) depending on hrFocus.
+ * Clamp /search-all style parameters (query string or job body) into hunt options
  */
-function buildBingQueries(baseQuery, hrFocus, country) {
-  const q = baseQuery.trim();
-  const geo = country ? country.trim() : 'morocco';
-
-  const core = [
-    `"${q}" email contact ${geo}`,
-    `"${q}" ("email us" OR "contact us") ${geo}`
-  ];
-
-  const hrSet = [
-    `"${q}" ("hr@" OR "careers@" OR "jobs@" OR "recruitment@") ${geo}`,
-    `"${q}" careers jobs apply cv email ${geo}`,
-    `"${q}" ("send your cv" OR "submit your cv" OR "postuler") ${geo}`,
-    `"${q}" recrutement emploi carriere email ${geo}`,
-    `"${q}" site:linkedin.com email ${geo}`,
-    `"${q}" site:indeed.com email ${geo}`
-  ];
-
-  const all = hrFocus ? [...core, ...hrSet] : core;
-  return [...new Set(all)];
-}
-
-function isLikelyHRPage(url, title) {
-  const target = (url + ' ' + (title || '')).toLowerCase();
-  return HR_EMAIL_KEYWORDS.some(k => target.includes(k));
-}
+function multiPageOptions(params) {
+  const {
+    query,
+    maxPages = 3,
+    urlsPerPage = 5,
+    maxUrls = 50,
+    country,
+    hrFocus = 'true',
+    provider = config.search.defaultProvider,
+    fallback = 'true'
+  } = params;
+  const pages = Math.min(Math.max(parseInt(maxPages) || 1, 1), MAX_MULTI_PAGES);
+  const urlsEach = Math.min(Math.max(parseInt(urlsPerPage) || 1, 1), MAX_MULTI_URLS_PER_PAGE);
+  const totalUrlLimit = Math.min(Math.max(parseInt(maxUrls) || 1, 1), 100);
 
-async function fetchWithTimeout(url, opts = {}, timeoutMs = GLOBAL_TIMEOUT_MS) {
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    const res = await fetch(url, {
-      ...opts,
-      headers: {
-        'User-Agent': opts.userAgent ||
-          'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 ' +
-          '(KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36',
-        'Accept-Language': 'en-US,en;q=0.9',
-        ...(opts.headers || {})
-      },
-      signal: controller.signal
-    });
-    clearTimeout(id);
-    return res;
-  } catch (e) {
-    clearTimeout(id);
-    throw e;
-  }
+  return {
+    query,
+    hrFocus: String(hrFocus) === 'true',
+    country,
+    provider,
+    fallback: String(fallback) !== 'false',
+    maxQueries: pages,
+    maxUrlsPerQuery: urlsEach,
+    globalUrlBudget: totalUrlLimit,
+    crawl: crawlOptions(params),
+    saveLeads: String(params.saveLeads) !== 'false'
+  };
 }
 
-async function resolveBingRedirect(url) {
-  try {
-    if (!url.includes('bing.com/ck/a?')) return url;
-    const match = url.match(/u=([^&]+)/);
-    if (!match) return url;
-    let decoded = decodeURIComponent(match[1]);
-    if (decoded.startsWith('a1') && !decoded.startsWith('http')) {
-      try {
-        decoded = Buffer.from(decoded.slice(2), 'base64').toString('utf-8');
-      } catch {
-        return url;
-      }
-    }
-    return decoded.startsWith('http') ? decoded : url;
-  } catch {
-    return url;
-  }
+/**
+ * Keep the addresses of a run as the user's leads (skipped with saveLeads=false)
+ * @returns {{created, updated}|null}
+ */
+function saveLeads(req, params, result, query = null) {
+  if (String(params.saveLeads) === 'false') return null;
+  return leadService.recordScrape(result, { ownerId: req.user.id, query });
 }
 
-// -------------- CORE SCRAPING LOGIC (shared) -------------- //
-
 /**
- * Executes multiple Bing queries, collects snippet emails and visits top result URLs.
- * Returns a unified structure for both endpoints.
+ * Targets from a CSV: the domain/url/website column, or the first column
+ * of every line when the file has no such header
  */
-async function runBingEmailHunt({
-  query,
-  hrFocus,
-  country,
-  maxQueries,
-  maxUrlsPerQuery,
-  globalUrlBudget
-}) {
-  const queries = buildBingQueries(query, hrFocus, country).slice(0, maxQueries);
-
-  // Aggregation buckets
-  const snippetHREmails = new Set();
-  const snippetGeneralEmails = new Set();
-  const pageHREmails = new Set();
-  const pageGeneralEmails = new Set();
-
-  const scrapedUrls = [];
-  const failedUrls = [];
-  const allSearchUrls = [];
-  let totalVisited = 0;
-  let captchaTriggered = false;
-
-  for (let qi = 0; qi < queries.length; qi++) {
-    if (globalUrlBudget !== undefined && totalVisited >= globalUrlBudget) break;
-
-    const qStr = queries[qi];
-    if (qi > 0) await sleep(1200 + Math.random() * 800);
-    const bingUrl = `https://www.bing.com/search?q=${encodeURIComponent(qStr)}&count=15`;
-
-    let html;
-    try {
-      const resp = await fetchWithTimeout(bingUrl);
-      html = await resp.text();
-    } catch (err) {
-      failedUrls.push({
-        url: bingUrl,
-        error: `Search fetch failed: ${err.name === 'AbortError' ? 'timeout' : err.message}`,
-        searchPage: qi + 1,
-        type: 'search'
-      });
-      continue;
-    }
-
-    if (html.toLowerCase().includes('captcha') && html.includes('b_captcha')) {
-      captchaTriggered = true;
-      // Extract whatever snippet emails exist then stop further queries
-      const snippetEmails = extractEmails(html);
-      const classified = classifyEmails(snippetEmails, html, hrFocus);
-      classified.hr.forEach(e => snippetHREmails.add(e));
-      classified.general.forEach(e => snippetGeneralEmails.add(e));
-      break;
-    }
-
-    const $ = cheerio.load(html);
-    // Emails in snippets
-    const snippetEmails = extractEmails($('body').text());
-    if (snippetEmails.length) {
-      const classified = classifyEmails(snippetEmails, html, hrFocus);
-      classified.hr.forEach(e => snippetHREmails.add(e));
-      classified.general.forEach(e => snippetGeneralEmails.add(e));
-    }
-
-    // Collect result links
-    const links = [];
-    $('li.b_algo h2 a, .b_algo h2 a').each((_, el) => {
-      const href = $(el).attr('href');
-      if (href && href.startsWith('http')) links.push(href);
-    });
-
-    for (const rawLink of links.slice(0, maxUrlsPerQuery)) {
-      if (globalUrlBudget !== undefined && totalVisited >= globalUrlBudget) break;
-
-      let finalUrl = await resolveBingRedirect(rawLink);
-      allSearchUrls.push(finalUrl);
-
-      try {
-        totalVisited++;
-        const pageResp = await fetchWithTimeout(finalUrl);
-        if (!pageResp.ok) throw new Error(`HTTP ${pageResp.status}`);
-        const pageHtml = await pageResp.text();
-        const $$ = cheerio.load(pageHtml);
-        $$('script,style,noscript').remove();
-        const bodyText = $$('body').text();
-        const title = $$('title').text().trim();
-        const pageEmails = extractEmails(bodyText);
-
-        const classified = classifyEmails(pageEmails, bodyText + ' ' + title, hrFocus);
-        classified.hr.forEach(e => pageHREmails.add(e));
-        classified.general.forEach(e => pageGeneralEmails.add(e));
-
-        // mailto:
-        $$('a[href^="mailto:"]').each((_, a) => {
-          const m = $$(a).attr('href');
-          if (!m) return;
-          const mail = m.replace(/^mailto:/i, '').split('?')[0].trim().toLowerCase();
-            if (mail && EMAIL_REGEX.test(mail)) {
-              const c = classifyEmails([mail], title, hrFocus);
-              c.hr.forEach(e => pageHREmails.add(e));
-              c.general.forEach(e => pageGeneralEmails.add(e));
-            }
-        });
-
-        scrapedUrls.push({
-          url: finalUrl,
-            searchPage: qi + 1,
-          isHRPage: isLikelyHRPage(finalUrl, title),
-          emailCount: {
-            hr: classified.hr.length,
-            general: classified.general.length,
-            total: classified.all.length
-          },
-          emails: {
-            hr: classified.hr,
-            general: classified.general,
-            all: classified.all
-          }
-        });
-      } catch (err) {
-        failedUrls.push({
-          url: finalUrl,
-          error: err.name === 'AbortError' ? 'timeout' : err.message,
-          searchPage: qi + 1,
-          type: 'page'
-        });
-      }
-    }
-  }
-
-  const hrEmails = [...new Set([...snippetHREmails, ...pageHREmails])];
-  const generalEmails = [...new Set([...snippetGeneralEmails, ...pageGeneralEmails]
-    .filter(e => !hrEmails.includes(e)))];
-
-  return {
-    captchaTriggered,
-    hrEmails,
-    generalEmails,
-    scrapedUrls,
-    failedUrls,
-    allSearchUrls,
-    stats: {
-      snippetHr: snippetHREmails.size,
-      snippetGeneral: snippetGeneralEmails.size,
-      pageHr: pageHREmails.size,
-      pageGeneral: pageGeneralEmails.size
-    }
-  };
+function targetsFromCsv(text) {
+  const records = parseCsv(text);
+  const column = records.length && Object.keys(records[0]).find(key => DOMAIN_COLUMNS.includes(key.toLowerCase()));
+  if (column) return records.map(record => record[column]).filter(Boolean);
+
+  return String(text).replace(/^\uFEFF/, '').split(/\r?\n/)
+    .map(line => line.split(/[,;]/)[0].replace(/^"|"$/g, '').trim())
+    .filter(Boolean);
 }
 
 // -------------- ENDPOINT: /search (paginated) -------------- //
@@ -319,17 +131,22 @@ router.get('/search', async (req, res) => {
     urls = 5,
     page = 1,
     limit = 10,
-    country = 'morocco',
-    hrFocus = 'true'
+    country,
+    hrFocus = 'true',
+    provider = config.search.defaultProvider,
+    fallback = 'true'
   } = req.query;
 
   if (!query) {
     return res.status(400).json({
       error: 'Missing parameter: query',
-      usage: '/api/scraping/search?query=term&urls=10&page=1&limit=20&country=morocco&hrFocus=true'
+      usage: '/api/scraping/search?query=term&urls=10&page=1&limit=20&country=morocco&hrFocus=true&provider=bing'
     });
   }
 
+  const providerError = searchService.providerError(provider);
+  if (providerError) return res.status(400).json({ error: providerError });
+
   const urlCount = Math.min(Math.max(parseInt(urls), 1), MAX_SINGLE_URLS);
   const pageNum = Math.max(parseInt(page), 1);
   const pageSize = Math.min(Math.max(parseInt(limit), 1), 50);
@@ -338,20 +155,24 @@ router.get('/search', async (req, res) => {
   const start = Date.now();
 
   try {
-    const result = await runBingEmailHunt({
+    const result = await scrapingService.runEmailHunt({
       query,
       hrFocus: focus,
       country,
+      provider,
+      fallback: fallback !== 'false',
       maxQueries: 3,
       maxUrlsPerQuery: urlCount,
-      globalUrlBudget: urlCount // total visited across queries
+      globalUrlBudget: urlCount, // total visited across queries
+      crawl: crawlOptions(req.query)
     });
+    const leads = saveLeads(req, req.query, result, query);
 
     if (result.captchaTriggered) {
       return res.status(429).json({
         error: 'Captcha detected',
         needsCaptcha: true,
-        captchaUrl: `https://www.bing.com/search?q=${encodeURIComponent(query)}`,
+        captchaUrl: result.captchaUrl
       });
     }
 
@@ -379,7 +200,9 @@ router.get('/search', async (req, res) => {
         emailsOnCurrentPage: paginated.length
       },
       scraping: {
+        providers: result.providers,
         urlsRequested: urlCount,
+        pagesCrawled: result.stats.crawledPages,
         urlsFound: result.allSearchUrls.length,
         urlsScraped: result.scrapedUrls.length,
         urlsFailed: result.failedUrls.length,
@@ -387,12 +210,14 @@ router.get('/search', async (req, res) => {
         emailsFromWebsites: result.stats.pageHr + result.stats.pageGeneral,
         hrEmailsFound: result.hrEmails.length,
         generalEmailsFound: result.generalEmails.length,
+        leads,
         duration
       },
       emails: paginated,
       allEmails: ordered,
       details: {
         scrapedUrls: result.scrapedUrls,
+        contactsByDomain: result.contactsByDomain,
         failedUrls: result.failedUrls
       }
     });
@@ -409,44 +234,34 @@ router.get('/search', async (req, res) => {
 // -------------- ENDPOINT: /search-all (multi-page) -------------- //
 
 router.get('/search-all', async (req, res) => {
-  const {
-    query,
-    maxPages = 3,
-    urlsPerPage = 5,
-    maxUrls = 50,
-    country = 'morocco',
-    hrFocus = 'true'
-  } = req.query;
+  const { query } = req.query;
 
   if (!query) {
     return res.status(400).json({
       error: 'Missing parameter: query',
-      usage: '/api/scraping/search-all?query=term&maxPages=5&urlsPerPage=8&maxUrls=40&country=morocco&hrFocus=true'
+      usage: '/api/scraping/search-all?query=term&maxPages=5&urlsPerPage=8&maxUrls=40&country=morocco&hrFocus=true&provider=bing'
     });
   }
 
-  const pages = Math.min(Math.max(parseInt(maxPages), 1), MAX_MULTI_PAGES);
-  const urlsEach = Math.min(Math.max(parseInt(urlsPerPage), 1), MAX_MULTI_URLS_PER_PAGE);
-  const totalUrlLimit = Math.min(Math.max(parseInt(maxUrls), 1), 100);
-  const focus = hrFocus === 'true';
+  const options = multiPageOptions(req.query);
+  const providerError = searchService.providerError(options.provider);
+  if (providerError) return res.status(400).json({ error: providerError });
+
+  const pages = options.maxQueries;
+  const urlsEach = options.maxUrlsPerQuery;
+  const focus = options.hrFocus;
 
   const start = Date.now();
 
   try {
-    const result = await runBingEmailHunt({
-      query,
-      hrFocus: focus,
-      country,
-      maxQueries: pages,
-      maxUrlsPerQuery: urlsEach,
-      globalUrlBudget: totalUrlLimit
-    });
+    const result = await scrapingService.runEmailHunt(options);
+    const leads = saveLeads(req, options, result, query);
 
     if (result.captchaTriggered) {
       return res.status(429).json({
         error: 'Captcha detected',
         needsCaptcha: true,
-        captchaUrl: `https://www.bing.com/search?q=${encodeURIComponent(query)}`
+        captchaUrl: result.captchaUrl
       });
     }
 
@@ -469,10 +284,12 @@ router.get('/search-all', async (req, res) => {
     res.json({
       query,
       summary: {
+        providers: result.providers,
         searchPagesProcessed: pages,
         urlsPerPageTarget: urlsEach,
         totalUrlsFound: result.allSearchUrls.length,
         totalUrlsScraped: result.scrapedUrls.length,
+        totalPagesCrawled: result.stats.crawledPages,
         totalUrlsFailed: result.failedUrls.length,
         totalUniqueEmails: ordered.length,
         totalRawEmails,
@@ -480,7 +297,8 @@ router.get('/search-all', async (req, res) => {
         emailsFromSnippets: result.stats.snippetHr + result.stats.snippetGeneral,
         emailsFromWebsites: result.stats.pageHr + result.stats.pageGeneral,
         hrEmailsFound: result.hrEmails.length,
-        generalEmailsFound: result.generalEmails.length
+        generalEmailsFound: result.generalEmails.length,
+        leads
       },
       emails: ordered,
       breakdown: {
@@ -490,6 +308,7 @@ router.get('/search-all', async (req, res) => {
         },
         emailsBySearchPage: pages === 1 ? null : pageBreakdown,
         scrapedUrls: result.scrapedUrls,
+        contactsByDomain: result.contactsByDomain,
         failedUrls: result.failedUrls,
         allSearchUrls: result.allSearchUrls
       }
@@ -504,32 +323,222 @@ router.get('/search-all', async (req, res) => {
   }
 });
 
+// -------------- ENDPOINT: /domains (known sites) -------------- //
+
+router.post('/domains', upload.single('file'), async (req, res) => {
+  const { hrFocus = 'true', concurrency = 4, country } = req.body;
+  let targets = req.body.domains || req.body.urls;
+
+  if (req.file) {
+    targets = targetsFromCsv(req.file.buffer.toString('utf8'));
+  } else if (typeof targets === 'string') {
+    // Form field: JSON array or one target per line/comma
+    try {
+      targets = JSON.parse(targets);
+    } catch {
+      targets = targets.split(/[\s,;]+/).filter(Boolean);
+    }
+  }
+
+  if (!Array.isArray(targets) || targets.length === 0) {
+    return res.status(400).json({
+      error: 'Missing parameter: domains',
+      usage: '{ "domains": ["acme.ma", "https://example.org/careers"], "hrFocus": true, "concurrency": 4, "crawl": true } or a CSV file with a domain/url column'
+    });
+  }
+  if (targets.length > MAX_DOMAIN_TARGETS) {
+    return res.status(400).json({ error: `At most ${MAX_DOMAIN_TARGETS} domains per request` });
+  }
+
+  const focus = String(hrFocus) === 'true';
+  const start = Date.now();
+
+  try {
+    const result = await scrapingService.scrapeDomains({
+      targets,
+      hrFocus: focus,
+      country,
+      crawl: crawlOptions(req.body),
+      concurrency: Math.min(Math.max(parseInt(concurrency) || 1, 1), MAX_DOMAIN_CONCURRENCY)
+    });
+    const leads = saveLeads(req, req.body, result);
+
+    const ordered = focus ? [...result.hrEmails, ...result.generalEmails]
+                          : [...result.hrEmails, ...result.generalEmails].sort();
+    const duration = ((Date.now() - start) / 1000).toFixed(2);
+
+    res.json({
+      summary: {
+        totalTargets: result.stats.targets,
+        totalUrlsScraped: result.scrapedUrls.length,
+        totalPagesCrawled: result.stats.crawledPages,
+        totalUrlsFailed: result.failedUrls.length,
+        totalUniqueEmails: ordered.length,
+        scrapingDuration: `${duration}s`,
+        hrEmailsFound: result.hrEmails.length,
+        generalEmailsFound: result.generalEmails.length,
+        leads
+      },
+      emails: ordered,
+      breakdown: {
+        emailsByType: {
+          hr: result.hrEmails,
+          general: result.generalEmails
+        },
+        scrapedUrls: result.scrapedUrls,
+        contactsByDomain: result.contactsByDomain,
+        failedUrls: result.failedUrls
+      }
+    });
+
+  } catch (err) {
+    console.error('DOMAINS ERROR:', err);
+    res.status(500).json({
+      error: 'Domain scraping failed',
+      message: err.message || 'Unknown error'
+    });
+  }
+});
+
+// -------------- BACKGROUND JOBS -------------- //
+
+// Start a /search-all style hunt in the background (same parameters, JSON body)
+router.post('/jobs', asyncHandler(async (req, res) => {
+  if (!req.body.query) return res.status(400).json({ error: 'Missing parameter: query' });
+
+  const options = multiPageOptions(req.body);
+  const providerError = searchService.providerError(options.provider);
+  if (providerError) return res.status(400).json({ error: providerError });
+
+  const job = scrapingService.createJob(options, req.user.id);
+  res.status(202).json(scrapingService.toPublicJob(job));
+}));
+
+// The current user's jobs, without results (?all=true lists everyone's for admins)
+router.get('/jobs', asyncHandler(async (req, res) => {
+  const all = req.query.all === 'true' && req.user.role === 'admin';
+  const jobs = scrapingService.getJobs()
+    .filter(job => all || job.ownerId === req.user.id)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  res.json(jobs.map(job => scrapingService.toPublicJob(job, { withResult: false })));
+}));
+
+// Job status with the results gathered so far
+router.get('/jobs/:id', asyncHandler(async (req, res) => {
+  const job = scrapingService.getJob(req.params.id);
+  if (!canAccess(req.user, job)) return res.status(404).json({ error: 'Scrape job not found' });
+  res.json(scrapingService.toPublicJob(job));
+}));
+
+// Server-Sent Events: a snapshot, then search/page/failure/captcha events, then end
+router.get('/jobs/:id/events', (req, res) => {
+  const job = scrapingService.getJob(req.params.id);
+  if (!canAccess(req.user, job)) return res.status(404).json({ error: 'Scrape job not found' });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = event => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  send({ type: 'snapshot', job: scrapingService.toPublicJob(job) });
+
+  if (!scrapingService.isRunning(job.id)) {
+    send({ type: 'end', status: job.status });
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+  const unsubscribe = scrapingService.subscribe(job.id, event => {
+    send(event);
+    if (event.type === 'end') close();
+  });
+  function close() {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  }
+  req.on('close', close);
+});
+
+// Stop a running job; responds with what was gathered so far
+router.post('/jobs/:id/cancel', asyncHandler(async (req, res) => {
+  const job = scrapingService.getJob(req.params.id);
+  if (!canAccess(req.user, job)) return res.status(404).json({ error: 'Scrape job not found' });
+  if (!scrapingService.isRunning(job.id)) {
+    return res.status(409).json({ error: `Scrape job is already ${job.status}` });
+  }
+
+  const cancelled = await scrapingService.cancelJob(job.id);
+  res.json(scrapingService.toPublicJob(cancelled));
+}));
+
 // -------------- HEALTH -------------- //
 router.get('/health', (req, res) => {
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
+    searchProviders: searchService.listProviders(),
+    crawler: {
+      userAgent: config.crawler.userAgent,
+      respectRobots: config.crawler.respectRobots,
+      hostConcurrency: config.crawler.hostConcurrency,
+      hostDelayMs: config.crawler.hostDelayMs,
+      cacheTtlMs: config.crawler.cacheTtlMs
+    },
     endpoints: {
       '/search': {
-        description: 'Single-page (paginated) Bing email scraping',
+        description: 'Single-page (paginated) email scraping from web search results',
         params: {
           query: 'string (required)',
           urls: 'int (1-20) max URLs to visit (default 5)',
           page: 'int pagination page (default 1)',
           limit: 'int emails per page (default 10)',
-          country: 'string (default morocco)',
-          hrFocus: 'true|false (default true)'
+          country: 'string code or name; picks the query templates and keyword languages (default from the classification rules)',
+          hrFocus: 'true|false (default true)',
+          crawl: 'true|false follow same-site contact/careers links; scrapedUrls grouped by domain (default false)',
+          crawlDepth: `int (1-${MAX_CRAWL_DEPTH}) link depth from each result (default 1)`,
+          crawlPages: `int (1-${MAX_CRAWL_PAGES_PER_DOMAIN}) pages fetched per domain (default 5)`,
+          provider: `${Object.keys(PROVIDERS).join('|')} (default ${config.search.defaultProvider})`,
+          fallback: 'true|false try the other configured providers on failure (default true)',
+          saveLeads: 'true|false store the found addresses in /api/leads (default true)'
         }
       },
+      'POST /domains': {
+        description: 'Email scraping of a known list of sites, no search engine (JSON body or CSV "file" upload)',
+        params: {
+          domains: `array of domains or URLs, at most ${MAX_DOMAIN_TARGETS} (or a CSV with a domain/url/website column)`,
+          concurrency: `int (1-${MAX_DOMAIN_CONCURRENCY}) sites fetched in parallel (default 4)`,
+          country: 'string code or name; narrows the classification keywords to its languages (default all)',
+          hrFocus: 'true|false (default true)',
+          crawl: 'true|false follow same-site contact/careers links; scrapedUrls grouped by domain (default false)',
+          crawlDepth: `int (1-${MAX_CRAWL_DEPTH}) link depth from each site (default 1)`,
+          crawlPages: `int (1-${MAX_CRAWL_PAGES_PER_DOMAIN}) pages fetched per domain (default 5)`,
+          saveLeads: 'true|false store the found addresses in /api/leads (default true)'
+        }
+      },
+      'POST /jobs': {
+        description: 'Start /search-all as a background job (JSON body with the /search-all params)',
+        follow: 'GET /jobs/:id (partial results), GET /jobs/:id/events (SSE), POST /jobs/:id/cancel'
+      },
       '/search-all': {
-        description: 'Multi-page comprehensive Bing email scraping',
+        description: 'Multi-page comprehensive email scraping from web search results',
         params: {
           query: 'string (required)',
-          maxPages: 'int (1-10) number of Bing queries (default 3)',
+          maxPages: 'int (1-10) number of search queries (default 3)',
           urlsPerPage: 'int (1-20) max URLs visited per query (default 5)',
           maxUrls: 'int (1-100) global URL cap (default 50)',
-          country: 'string (default morocco)',
-          hrFocus: 'true|false (default true)'
+          country: 'string code or name; picks the query templates and keyword languages (default from the classification rules)',
+          hrFocus: 'true|false (default true)',
+          crawl: 'true|false follow same-site contact/careers links; scrapedUrls grouped by domain (default false)',
+          crawlDepth: `int (1-${MAX_CRAWL_DEPTH}) link depth from each result (default 1)`,
+          crawlPages: `int (1-${MAX_CRAWL_PAGES_PER_DOMAIN}) pages fetched per domain (default 5)`,
+          provider: `${Object.keys(PROVIDERS).join('|')} (default ${config.search.defaultProvider})`,
+          fallback: 'true|false try the other configured providers on failure (default true)',
+          saveLeads: 'true|false store the found addresses in /api/leads (default true)'
         }
       }
     }
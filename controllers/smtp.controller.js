@@ -5,31 +5,75 @@ const adminAuth = require('../middleware/admin-auth');
 const storeService = require('../services/store.service');
 const emailService = require('../services/email.service');
 
+// Fields a client may set on an SMTP profile
+// (imap: { host, port, secure, mailbox } enables the IMAP sync for bounces and replies, same credentials)
+const PROFILE_FIELDS = ['name', 'host', 'port', 'secure', 'auth', 'from', 'senderName', 'imap'];
+
+function pickProfileFields(body) {
+  const profile = {};
+  PROFILE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) profile[field] = body[field];
+  });
+  return profile;
+}
+
+function hasRequiredSmtpFields(config) {
+  return !!(config.host && config.port && config.auth?.user && config.auth?.pass);
+}
+
+// Passwords never leave the server; clients only learn whether one is stored
+function toPublicProfile(profile) {
+  const { pass, ...auth } = profile.auth || {};
+  return { ...profile, auth, hasPassword: !!pass };
+}
+
+// A request without a password falls back to the secret stored for that account.
+// Only for the same server and user: anything else must bring its own password,
+// or a stored secret could be sent to a server of the caller's choosing.
+function withStoredPassword(config, stored) {
+  if (config.auth?.pass || !stored?.auth?.pass || !isSameAccount(config, stored)) return config;
+  return { ...config, auth: { ...config.auth, pass: stored.auth.pass } };
+}
+
+// Fields missing from the request keep their stored value
+function isSameAccount(config, stored) {
+  const host = config.host ?? stored.host;
+  const port = config.port ?? stored.port;
+  const user = config.auth?.user ?? stored.auth?.user;
+  return String(host || '').toLowerCase() === String(stored.host || '').toLowerCase() &&
+    Number(port) === Number(stored.port) &&
+    user === stored.auth?.user;
+}
+
 // Get SMTP configuration (admin only)
 router.get('/', adminAuth, asyncHandler(async (req, res) => {
   const config = storeService.getSmtpConfig();
-  res.json(config);
+  res.json(toPublicProfile(config));
 }));
 
 // Update SMTP configuration (admin only)
 router.post('/', adminAuth, asyncHandler(async (req, res) => {
   const config = req.body;
+  const current = storeService.getDefaultSmtpProfile();
 
   // Validate required fields
-  if (!config.host || !config.port || !config.auth?.user || !config.auth?.pass) {
+  if (!hasRequiredSmtpFields(withStoredPassword(config, current))) {
     return res.status(400).json({ error: 'Missing required SMTP configuration fields' });
   }
 
   const updatedConfig = storeService.setSmtpConfig(config);
-  res.json(updatedConfig);
+  res.json(toPublicProfile(updatedConfig));
 }));
 
 // Test SMTP connection (admin only)
 router.post('/test', adminAuth, asyncHandler(async (req, res) => {
-  const config = req.body;
+  const stored = req.body.profileId
+    ? storeService.getSmtpProfile(req.body.profileId)
+    : storeService.getDefaultSmtpProfile();
+  const config = withStoredPassword(req.body, stored);
 
   // Validate required fields
-  if (!config.host || !config.port || !config.auth?.user || !config.auth?.pass) {
+  if (!hasRequiredSmtpFields(config)) {
     return res.status(400).json({ error: 'Missing required SMTP configuration fields' });
   }
 
@@ -37,4 +81,78 @@ router.post('/test', adminAuth, asyncHandler(async (req, res) => {
   res.json(result);
 }));
 
-module.exports = router;
\ No newline at end of file
+// -------------- PROFILES -------------- //
+
+// List SMTP profiles (admin only)
+router.get('/profiles', adminAuth, asyncHandler(async (req, res) => {
+  res.json(storeService.getSmtpProfiles().map(toPublicProfile));
+}));
+
+// Get one SMTP profile (admin only)
+router.get('/profiles/:id', adminAuth, asyncHandler(async (req, res) => {
+  const profile = storeService.getSmtpProfile(req.params.id);
+  if (!profile) return res.status(404).json({ error: 'SMTP profile not found' });
+  res.json(toPublicProfile(profile));
+}));
+
+// Create an SMTP profile (admin only)
+router.post('/profiles', adminAuth, asyncHandler(async (req, res) => {
+  const profile = pickProfileFields(req.body);
+
+  if (!profile.name || !hasRequiredSmtpFields(profile)) {
+    return res.status(400).json({ error: 'Missing required SMTP profile fields' });
+  }
+
+  const saved = storeService.saveSmtpProfile({ ...profile, isDefault: !!req.body.isDefault });
+  res.status(201).json(toPublicProfile(saved));
+}));
+
+// Update an SMTP profile (admin only)
+router.put('/profiles/:id', adminAuth, asyncHandler(async (req, res) => {
+  const existing = storeService.getSmtpProfile(req.params.id);
+  if (!existing) return res.status(404).json({ error: 'SMTP profile not found' });
+
+  const update = pickProfileFields(req.body);
+  const merged = withStoredPassword({ ...existing, ...update, auth: { user: existing.auth?.user, ...update.auth } }, existing);
+  if (!merged.name || !hasRequiredSmtpFields(merged)) {
+    return res.status(400).json({ error: 'Missing required SMTP profile fields' });
+  }
+
+  const saved = storeService.saveSmtpProfile({
+    ...update,
+    id: existing.id,
+    ...(req.body.isDefault === true && { isDefault: true })
+  });
+  res.json(toPublicProfile(saved));
+}));
+
+// Make a profile the default (admin only)
+router.post('/profiles/:id/default', adminAuth, asyncHandler(async (req, res) => {
+  const profile = storeService.setDefaultSmtpProfile(req.params.id);
+  if (!profile) return res.status(404).json({ error: 'SMTP profile not found' });
+  res.json(toPublicProfile(profile));
+}));
+
+// Test a saved profile's connection (admin only)
+router.post('/profiles/:id/test', adminAuth, asyncHandler(async (req, res) => {
+  const profile = storeService.getSmtpProfile(req.params.id);
+  if (!profile) return res.status(404).json({ error: 'SMTP profile not found' });
+
+  const result = await emailService.testConnection(profile);
+  res.json(result);
+}));
+
+// Delete an SMTP profile (admin only)
+router.delete('/profiles/:id', adminAuth, asyncHandler(async (req, res) => {
+  const profile = storeService.deleteSmtpProfile(req.params.id);
+  if (!profile) return res.status(404).json({ error: 'SMTP profile not found' });
+  res.json({ success: true, id: profile.id });
+}));
+
+// Re-encrypt stored credentials with the current key after adding a new one to SECRET_KEYS (admin only)
+router.post('/rotate-key', adminAuth, asyncHandler(async (req, res) => {
+  const rotated = storeService.rotateSecrets();
+  res.json({ success: true, rotated });
+}));
+
+module.exports = router;
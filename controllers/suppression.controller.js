@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+const asyncHandler = require('express-async-handler');
+const multer = require('multer');
+const adminAuth = require('../middleware/admin-auth');
+const suppressionService = require('../services/suppression.service');
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+// List suppressed addresses (?q=substring&reason=)
+router.get('/', asyncHandler(async (req, res) => {
+  const needle = (req.query.q || '').toLowerCase();
+  const entries = suppressionService.getSuppressions()
+    .filter(entry => !needle || entry.email.includes(needle))
+    .filter(entry => !req.query.reason || entry.reason === req.query.reason);
+  res.json(entries);
+}));
+
+// Export the list as CSV
+router.get('/export', asyncHandler(async (req, res) => {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', 'attachment; filename="suppressions.csv"');
+  res.send(suppressionService.exportCsv());
+}));
+
+// Check one address
+router.get('/:idOrEmail', asyncHandler(async (req, res) => {
+  const entry = suppressionService.getSuppression(req.params.idOrEmail);
+  if (!entry) return res.status(404).json({ error: 'Address is not suppressed' });
+  res.json(entry);
+}));
+
+// Suppress an address: { email, reason, note }
+router.post('/', asyncHandler(async (req, res) => {
+  const { email, reason, note } = req.body;
+  if (!email) return res.status(400).json({ error: 'Missing required field: email' });
+
+  const entry = suppressionService.add({ email, reason, note, source: `user:${req.user.username}` });
+  res.status(201).json(entry);
+}));
+
+// Import a CSV (uploaded "file", or a text/csv body) with an email column and optional reason/note
+router.post('/import', upload.single('file'), express.text({ type: 'text/csv', limit: '5mb' }), asyncHandler(async (req, res) => {
+  const csv = req.file ? req.file.buffer.toString('utf8') : (typeof req.body === 'string' ? req.body : '');
+  if (!csv.trim()) return res.status(400).json({ error: 'No CSV provided' });
+
+  const result = suppressionService.importCsv(csv, { source: `import:${req.user.username}` });
+  res.json({ success: true, ...result });
+}));
+
+// Remove an address from the list (admin only: it may have been an unsubscribe)
+router.delete('/:idOrEmail', adminAuth, asyncHandler(async (req, res) => {
+  const entry = suppressionService.remove(req.params.idOrEmail);
+  if (!entry) return res.status(404).json({ error: 'Address is not suppressed' });
+  res.json({ success: true, id: entry.id, email: entry.email });
+}));
+
+module.exports = router;
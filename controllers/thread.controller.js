@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const asyncHandler = require('express-async-handler');
+const adminAuth = require('../middleware/admin-auth');
+const threadService = require('../services/thread.service');
+const queueService = require('../services/queue.service');
+const mailboxService = require('../services/mailbox.service');
+const { canAccess } = require('../middleware/auth');
+
+// The current user's threads (?replied=true|false)
+router.get('/', asyncHandler(async (req, res) => {
+  let threads = threadService.getThreads(req.user.id);
+  if (req.query.replied !== undefined) {
+    const replied = req.query.replied === 'true';
+    threads = threads.filter(thread => thread.replied === replied);
+  }
+  res.json(threads);
+}));
+
+// Fetch new mail from the IMAP mailboxes now (admin only)
+router.post('/sync', adminAuth, asyncHandler(async (req, res) => {
+  const results = await mailboxService.tick();
+  if (!results) return res.status(409).json({ error: 'A mailbox sync is already running' });
+  res.json({ success: true, results });
+}));
+
+// One thread with every sent message and reply
+router.get('/:id', asyncHandler(async (req, res) => {
+  const thread = threadService.getThread(req.params.id);
+  if (!canAccess(req.user, thread)) return res.status(404).json({ error: 'Thread not found' });
+  res.json(thread);
+}));
+
+// Reply to the latest reply ({ html, text?, to?, cc? }) or follow up on our last message
+const BUILDERS = {
+  reply: (id, body) => threadService.buildReply(id, body),
+  'follow-up': (id, body) => threadService.buildFollowUp(id, body)
+};
+
+router.post('/:id/:action', asyncHandler(async (req, res) => {
+  const build = BUILDERS[req.params.action];
+  if (!build) return res.status(404).json({ error: `Unknown thread action: ${req.params.action}` });
+
+  const thread = threadService.getThread(req.params.id);
+  if (!canAccess(req.user, thread)) return res.status(404).json({ error: 'Thread not found' });
+
+  if (!req.body.html) return res.status(400).json({ error: 'Missing required field: html' });
+
+  const emailData = build(thread.id, req.body);
+  const job = queueService.enqueue(emailData, { ownerId: req.user.id });
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    to: emailData.to,
+    subject: emailData.subject,
+    message: 'Email queued for delivery'
+  });
+}));
+
+module.exports = router;
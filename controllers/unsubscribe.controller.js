@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const asyncHandler = require('express-async-handler');
+const suppressionService = require('../services/suppression.service');
+const { escapeHtml } = require('../utils/template');
+
+/**
+ * Public unsubscribe endpoints (no auth: the signed token is the credential).
+ *  - GET  /api/unsubscribe?t=token  confirmation page
+ *  - POST /api/unsubscribe?t=token  RFC 8058 one-click unsubscribe (also used by the page's form)
+ */
+
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${title}</title></head>
+<body style="font-family: sans-serif; max-width: 32rem; margin: 4rem auto; padding: 0 1rem;">
+  <h1 style="font-size: 1.4rem;">${title}</h1>
+  ${body}
+</body>
+</html>`;
+}
+
+router.get('/', asyncHandler(async (req, res) => {
+  const email = suppressionService.verifyUnsubscribeToken(req.query.t);
+  if (!email) return res.status(400).send(page('Invalid link', '<p>This unsubscribe link is invalid.</p>'));
+
+  res.send(page('Unsubscribe', `
+  <p>Stop all emails to <strong>${escapeHtml(email)}</strong>?</p>
+  <form method="post" action="?t=${encodeURIComponent(req.query.t)}">
+    <button type="submit" name="List-Unsubscribe" value="One-Click">Unsubscribe</button>
+  </form>`));
+}));
+
+router.post('/', asyncHandler(async (req, res) => {
+  const email = suppressionService.verifyUnsubscribeToken(req.query.t);
+  if (!email) return res.status(400).send(page('Invalid link', '<p>This unsubscribe link is invalid.</p>'));
+
+  suppressionService.add({ email, reason: 'unsubscribed', source: 'unsubscribe-link' });
+  console.log(`Unsubscribed: ${email}`);
+  res.send(page('Unsubscribed', `<p><strong>${escapeHtml(email)}</strong> will not receive any more emails from us.</p>`));
+}));
+
+module.exports = router;
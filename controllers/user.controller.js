@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const asyncHandler = require('express-async-handler');
+const adminAuth = require('../middleware/admin-auth');
+const userService = require('../services/user.service');
+
+// List users (admin only)
+router.get('/', adminAuth, asyncHandler(async (req, res) => {
+  res.json(userService.getUsers().map(user => userService.toPublicUser(user)));
+}));
+
+// Create a user (admin only)
+router.post('/', adminAuth, asyncHandler(async (req, res) => {
+  const { username, password, role } = req.body;
+  const user = userService.createUser({ username, password, role });
+  res.status(201).json(userService.toPublicUser(user));
+}));
+
+// Update a user's name, role or password (admin only)
+router.put('/:id', adminAuth, asyncHandler(async (req, res) => {
+  const { username, password, role } = req.body;
+  const user = userService.updateUser(req.params.id, { username, password, role });
+  if (!user) return res.status(404).json({ error: 'User not found' });
+  res.json(userService.toPublicUser(user));
+}));
+
+// Delete a user (admin only)
+router.delete('/:id', adminAuth, asyncHandler(async (req, res) => {
+  if (req.params.id === req.user.id) {
+    return res.status(400).json({ error: 'You cannot delete your own account' });
+  }
+
+  const user = userService.deleteUser(req.params.id);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+  res.json({ success: true, id: user.id });
+}));
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const asyncHandler = require('express-async-handler');
+const validationService = require('../services/validation.service');
+
+const MAX_BULK = 1000;
+
+// Validate one address ({ email }) or a list ({ emails: [...] }, strings or
+// scraped entries with an email field). dns: false skips the MX/A lookup.
+router.post('/', asyncHandler(async (req, res) => {
+  const { email, emails, dns = true } = req.body;
+  const options = { dns: dns !== false && dns !== 'false' };
+
+  if (emails !== undefined) {
+    if (!Array.isArray(emails)) return res.status(400).json({ error: 'emails must be an array' });
+    if (emails.length > MAX_BULK) {
+      return res.status(400).json({ error: `At most ${MAX_BULK} addresses per request` });
+    }
+
+    const addresses = emails.map(entry => (entry && typeof entry === 'object' ? entry.email : entry));
+    return res.json(await validationService.validateMany(addresses, options));
+  }
+
+  if (!email) return res.status(400).json({ error: 'Provide email or emails' });
+  res.json(await validationService.validate(email, options));
+}));
+
+module.exports = router;
@@ -1,16 +1,6 @@
-const auth = require('basic-auth');
-const config = require('../config/default');
+const { requireAuth, requireRole } = require('./auth');
 
 /**
- * Middleware to authenticate admin requests using Basic Auth
+ * Middleware to restrict requests to authenticated admin users
  */
-module.exports = (req, res, next) => {
-  const user = auth(req);
-
-  if (!user || user.name !== config.admin.username || user.pass !== config.admin.password) {
-    res.set('WWW-Authenticate', 'Basic realm="Admin Area"');
-    return res.status(401).json({ error: 'Authentication required' });
-  }
-
-  next();
-};
\ No newline at end of file
+module.exports = [requireAuth, requireRole('admin')];
@@ -0,0 +1,63 @@
+const userService = require('../services/user.service');
+
+/**
+ * Middleware to authenticate a user by bearer token (from /api/auth/login).
+ * Scripted clients log in with Basic Auth on /api/auth/login and use the token.
+ * Sets req.user on success; an account whose password must be changed only
+ * gets to the routes that use requireSession.
+ */
+function requireAuth(req, res, next) {
+  if (!authenticateRequest(req, res)) return;
+  if (req.user.mustChangePassword) {
+    return res.status(403).json({ error: 'Password change required (POST /api/auth/me/password)' });
+  }
+  next();
+}
+
+/**
+ * requireAuth that lets through an account with a pending password change
+ * (for the own-account routes of /api/auth)
+ */
+function requireSession(req, res, next) {
+  if (authenticateRequest(req, res)) next();
+}
+
+function authenticateRequest(req, res) {
+  const header = req.get('Authorization') || '';
+  let user = null;
+
+  if (/^Bearer\s+/i.test(header)) {
+    req.authToken = header.replace(/^Bearer\s+/i, '').trim();
+    user = userService.authenticate(req.authToken);
+  }
+
+  if (!user) {
+    res.set('WWW-Authenticate', 'Bearer');
+    res.status(401).json({ error: 'Authentication required' });
+    return false;
+  }
+
+  req.user = userService.toPublicUser(user);
+  return true;
+}
+
+/**
+ * Middleware factory restricting a route to the given roles (use after requireAuth)
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  };
+}
+
+/**
+ * Records belong to the user who created them; admins may access everyone's
+ */
+function canAccess(user, record) {
+  return !!record && (record.ownerId === user.id || user.role === 'admin');
+}
+
+module.exports = { requireAuth, requireSession, requireRole, canAccess };
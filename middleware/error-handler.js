@@ -1,10 +1,15 @@
+const multer = require('multer');
+
 /**
  * Global error handling middleware
  */
 module.exports = (err, req, res, next) => {
   console.error(err.stack);
 
-  const statusCode = err.statusCode || 500;
+  // Upload limits and malformed multipart bodies are the client's fault
+  const statusCode = err instanceof multer.MulterError
+    ? (err.code === 'LIMIT_FILE_SIZE' ? 413 : 400)
+    : err.statusCode || 500;
 
   res.status(statusCode).json({
     error: err.message || 'Internal Server Error',
@@ -2,6 +2,15 @@ const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
 const errorHandler = require('./middleware/error-handler');
+const { requireAuth } = require('./middleware/auth');
+const queueService = require('./services/queue.service');
+const campaignService = require('./services/campaign.service');
+const schedulerService = require('./services/scheduler.service');
+const attachmentService = require('./services/attachment.service');
+const mailboxService = require('./services/mailbox.service');
+const bounceService = require('./services/bounce.service');
+const threadService = require('./services/thread.service');
+const scrapingService = require('./services/scraping.service');
 
 // Initialize Express app
 const app = express();
@@ -15,7 +24,7 @@ const corsOptions = {
     'http://localhost:4200'
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 };
 
@@ -25,17 +34,29 @@ app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Routes
+app.use('/api/auth', require('./controllers/auth.controller'));
+app.use('/api/unsubscribe', require('./controllers/unsubscribe.controller')); // public, token-signed
+app.use('/api/users', require('./controllers/user.controller'));
 app.use('/api/smtp-config', require('./controllers/smtp.controller'));
-app.use('/api/send', require('./controllers/email.controller'));
-app.use('/api/drafts', require('./controllers/draft.controller'));
-app.use('/api/attachments', require('./controllers/attachment.controller')); // uses /tmp internally
+app.use('/api/send', requireAuth, require('./controllers/email.controller'));
+app.use('/api/drafts', requireAuth, require('./controllers/draft.controller'));
+app.use('/api/campaigns', requireAuth, require('./controllers/campaign.controller'));
+app.use('/api/scheduled', requireAuth, require('./controllers/scheduled.controller'));
+app.use('/api/history', requireAuth, require('./controllers/history.controller'));
+app.use('/api/suppressions', requireAuth, require('./controllers/suppression.controller'));
+app.use('/api/bounces', requireAuth, require('./controllers/bounce.controller'));
+app.use('/api/threads', requireAuth, require('./controllers/thread.controller'));
+app.use('/api/leads', requireAuth, require('./controllers/lead.controller'));
+app.use('/api/classification', requireAuth, require('./controllers/classification.controller'));
+app.use('/api/validate', requireAuth, require('./controllers/validation.controller'));
+app.use('/api/attachments', requireAuth, require('./controllers/attachment.controller'));
 
 // Root endpoint
 app.get('/', (req, res) => {
   res.send('Server is up and running 🚀');
 });
 // Scraping routes
-app.use('/api/scraping', require('./controllers/scraping.controller'));
+app.use('/api/scraping', requireAuth, require('./controllers/scraping.controller'));
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -47,4 +68,16 @@ app.use(errorHandler);
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  queueService.start();
+  schedulerService.start();
+  attachmentService.start();
+  mailboxService.addHandler((source, meta) => bounceService.handleIncoming(source, meta), {
+    accepts: message => bounceService.mightBeBounce(message)
+  });
+  mailboxService.addHandler((source, meta) => threadService.handleIncoming(source, meta), {
+    accepts: message => threadService.mightBeReply(message)
+  });
+  mailboxService.start();
+  campaignService.resumeAll();
+  scrapingService.resumeAll();
 });
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/default');
+const storeService = require('./store.service');
+const { createStorage } = require('./storage');
+const HttpError = require('../utils/http-error');
+const { canAccess } = require('../middleware/auth');
+
+const ATTACHMENTS = 'attachments';
+
+/**
+ * Attachment library: uploaded files kept per user for reuse in drafts, sends
+ * and campaigns. Uploading the same content twice returns the existing item;
+ * a new file under an existing label becomes its next version. Files go away
+ * on explicit delete, or through the retention policy once unused.
+ * Content lives in a storage backend (services/storage); each item remembers
+ * which one, so switching config.attachments.driver keeps older files readable.
+ */
+class AttachmentService {
+  constructor() {
+    this.timer = null;
+    this.storages = new Map();
+  }
+
+  /**
+   * Storage backend by name; items from before backends were configurable are on local disk
+   */
+  storage(name = config.attachments.driver) {
+    if (!this.storages.has(name)) this.storages.set(name, createStorage(name));
+    return this.storages.get(name);
+  }
+
+  getAttachments() {
+    return storeService.getCollection(ATTACHMENTS);
+  }
+
+  getAttachment(id) {
+    return this.getAttachments().find(attachment => attachment.id === id) || null;
+  }
+
+  /**
+   * Library item for a reference: an id, or an object with id or the stored
+   * filename older clients send back from the upload response
+   */
+  findByRef(ref) {
+    const key = typeof ref === 'string' ? ref : ref?.id || ref?.filename;
+    if (!key) return null;
+    return this.getAttachments().find(attachment => attachment.id === key || attachment.filename === key) || null;
+  }
+
+  /**
+   * Library items behind a draft's or message's attachment list, as references
+   * to store with it; 400 for anything the user cannot use
+   */
+  resolveRefs(refs, user) {
+    return (refs || []).map(ref => {
+      const attachment = this.findByRef(ref);
+      if (!canAccess(user, attachment)) {
+        throw new HttpError(400, `Unknown attachment: ${typeof ref === 'string' ? ref : ref?.id || ref?.filename}`);
+      }
+      return toRef(attachment);
+    });
+  }
+
+  /**
+   * Filter by label (exact, case-insensitive) or q (label or file name). Label
+   * order, newest version first.
+   */
+  search(attachments, { label, q } = {}) {
+    const needle = (q || '').toLowerCase();
+    return attachments
+      .filter(a => !label || a.label.toLowerCase() === String(label).toLowerCase())
+      .filter(a => !needle || a.label.toLowerCase().includes(needle) || a.originalname.toLowerCase().includes(needle))
+      .sort((a, b) => a.label.localeCompare(b.label) || b.version - a.version);
+  }
+
+  /**
+   * Store an upload in the library
+   * @param {{buffer: Buffer, originalname: string, mimetype: string}} file
+   * @returns {Promise<{attachment: object, duplicate: boolean}>} duplicate when the user already has this content
+   */
+  async add(file, { ownerId, label }) {
+    const sha256 = crypto.createHash('sha256').update(file.buffer).digest('hex');
+    const attachments = this.getAttachments();
+
+    const existing = attachments.find(a => a.ownerId === ownerId && a.sha256 === sha256);
+    if (existing) return { attachment: existing, duplicate: true };
+
+    const name = String(label || '').trim() || file.originalname;
+    const versions = attachments.filter(a => a.ownerId === ownerId && a.label.toLowerCase() === name.toLowerCase());
+
+    // Content-addressed: identical files of different users share one copy
+    const storage = this.storage();
+    await storage.put(sha256, file.buffer, { contentType: file.mimetype });
+
+    const id = uuidv4();
+    const attachment = {
+      id,
+      ownerId,
+      label: name,
+      version: versions.reduce((max, a) => Math.max(max, a.version), 0) + 1,
+      filename: `${id}${path.extname(file.originalname)}`,
+      originalname: file.originalname,
+      mimetype: file.mimetype,
+      size: file.buffer.length,
+      sha256,
+      storage: storage.name,
+      storageKey: sha256,
+      useCount: 0,
+      lastUsedAt: null,
+      createdAt: new Date().toISOString()
+    };
+    storeService.setCollection(ATTACHMENTS, [...this.getAttachments(), attachment]);
+    return { attachment, duplicate: false };
+  }
+
+  /**
+   * Readable stream of an item's content; rejects with code ENOENT when the
+   * content is gone (including legacy items whose file was deleted before migration)
+   */
+  async openStream(attachment) {
+    if (!attachment.storageKey) throw Object.assign(new Error('Attachment content is missing'), { code: 'ENOENT' });
+    return this.storage(attachment.storage || 'local').createReadStream(attachment.storageKey);
+  }
+
+  /**
+   * Stored size, or null when the content is gone
+   */
+  async stat(attachment) {
+    if (!attachment.storageKey) return null;
+    return this.storage(attachment.storage || 'local').stat(attachment.storageKey);
+  }
+
+  /**
+   * Drafts, scheduled and queued sends and campaigns that still use an item
+   */
+  references(id) {
+    const uses = refs => (refs || []).some(ref => this.findByRef(ref)?.id === id);
+
+    return {
+      drafts: storeService.getDrafts().filter(draft => uses(draft.attachments)).map(draft => draft.id),
+      scheduled: storeService.getCollection('scheduledSends')
+        .filter(entry => entry.status === 'scheduled' && uses(entry.emailData?.attachments))
+        .map(entry => entry.id),
+      // Dead letters count too: they can be requeued
+      queued: [...storeService.getCollection('sendJobs'), ...storeService.getCollection('sendDeadLetters')]
+        .filter(job => ['queued', 'retrying', 'sending', 'failed'].includes(job.status) && uses(job.emailData?.attachments))
+        .map(job => job.id),
+      campaigns: storeService.getCollection('campaigns')
+        .filter(campaign => campaign.status !== 'cancelled' && uses(campaign.template?.attachments))
+        .map(campaign => campaign.id)
+    };
+  }
+
+  /**
+   * Delete an item. In use by a draft or pending send: 409, unless force.
+   */
+  async remove(id, { force = false } = {}) {
+    const attachment = this.getAttachment(id);
+    if (!attachment) return null;
+
+    const refs = this.references(id);
+    if (!force && Object.values(refs).some(list => list.length)) {
+      const error = new HttpError(409, 'Attachment is still in use; pass force=true to delete it anyway');
+      error.references = refs;
+      throw error;
+    }
+
+    const attachments = this.getAttachments().filter(a => a.id !== id);
+    storeService.setCollection(ATTACHMENTS, attachments);
+    await this.deleteFileIfUnused(attachment, attachments);
+    return attachment;
+  }
+
+  /**
+   * Remember that items went out with a message (drives the retention policy)
+   */
+  markUsed(ids) {
+    if (!ids.length) return;
+    const now = new Date().toISOString();
+    const attachments = this.getAttachments();
+    attachments.filter(a => ids.includes(a.id)).forEach(a => {
+      a.useCount = (a.useCount || 0) + 1;
+      a.lastUsedAt = now;
+    });
+    storeService.setCollection(ATTACHMENTS, attachments);
+  }
+
+  /**
+   * Retention policy: delete items neither used nor uploaded in the last
+   * retentionDays days, unless something still references them
+   * @returns {Promise<object[]>} removed items
+   */
+  async prune() {
+    if (!config.attachments.retentionDays) return [];
+    const cutoff = new Date(Date.now() - config.attachments.retentionDays * 86400000).toISOString();
+
+    const expired = this.getAttachments().filter(a => (a.lastUsedAt || a.createdAt) < cutoff &&
+      !Object.values(this.references(a.id)).some(list => list.length));
+    if (!expired.length) return [];
+
+    const gone = new Set(expired.map(a => a.id));
+    const attachments = this.getAttachments().filter(a => !gone.has(a.id));
+    storeService.setCollection(ATTACHMENTS, attachments);
+    for (const attachment of expired) await this.deleteFileIfUnused(attachment, attachments);
+    return expired;
+  }
+
+  start() {
+    if (this.timer || !config.attachments.retentionDays) return;
+    this.timer = setInterval(() => {
+      this.prune().catch(err => console.error('Attachment retention error:', err));
+    }, config.attachments.pruneIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async deleteFileIfUnused(attachment, remaining) {
+    const backend = attachment.storage || 'local';
+    if (!attachment.storageKey ||
+        remaining.some(a => a.storageKey === attachment.storageKey && (a.storage || 'local') === backend)) return;
+    try {
+      await this.storage(backend).remove(attachment.storageKey);
+    } catch (err) {
+      console.error(`Failed to delete attachment file ${attachment.storageKey}:`, err);
+    }
+  }
+
+  /**
+   * Public view of an item, without storage details
+   */
+  toPublic(attachment) {
+    const { storageKey, ...rest } = attachment;
+    return rest;
+  }
+}
+
+/**
+ * What drafts and messages keep of a library item
+ */
+function toRef(attachment) {
+  return {
+    id: attachment.id,
+    filename: attachment.filename,
+    originalname: attachment.originalname,
+    label: attachment.label,
+    version: attachment.version,
+    size: attachment.size,
+    mimetype: attachment.mimetype
+  };
+}
+
+module.exports = new AttachmentService();
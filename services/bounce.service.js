@@ -0,0 +1,277 @@
+const { v4: uuidv4 } = require('uuid');
+const { simpleParser } = require('mailparser');
+const config = require('../config/default');
+const storeService = require('./store.service');
+const historyService = require('./history.service');
+const suppressionService = require('./suppression.service');
+const { normalizeEmail } = require('../utils/address');
+const { normalizeMessageId } = historyService;
+
+const BOUNCES = 'bounces';
+
+const EMAIL_REGEX = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+const ENHANCED_STATUS_REGEX = /\b([245])\.(\d{1,3})\.(\d{1,3})\b/;
+const SMTP_CODE_REGEX = /\b([45])\d\d\b/;
+const MESSAGE_ID_REGEX = /^Message-ID:\s*(<[^>]+>)/im;
+
+const BOUNCE_SUBJECT_REGEX = /(undeliver|delivery status notification|delivery (has )?failed|delivery failure|returned mail|mail delivery failed|failure notice|non remis|non distribuable|unzustellbar)/i;
+const DAEMON_SENDER_REGEX = /^(mailer-daemon|postmaster|mail-daemon)@/i;
+
+// Phrases found in non-standard bounces
+const HARD_PHRASES = [
+  'does not exist', 'user unknown', 'unknown user', 'no such user', 'no such recipient',
+  'recipient not found', 'recipientnotfound', 'address not found', 'invalid recipient',
+  'address rejected', 'unknown recipient', 'mailbox unavailable', 'account disabled',
+  "couldn't be found", 'could not be found', 'domain not found', 'host not found'
+];
+const SOFT_PHRASES = [
+  'mailbox full', 'over quota', 'quota exceeded', 'insufficient storage', 'temporarily',
+  'try again later', 'greylist', 'deferred', 'message too large'
+];
+
+/**
+ * Bounce and DSN processing.
+ * Parses RFC 3464 multipart/report delivery status notifications plus common
+ * non-standard bounces (Gmail, Exchange NDRs, Exim), matches each one to the
+ * original send by Message-ID and classifies it as hard or soft.
+ * Hard bounces, and repeated soft bounces, put the recipient on the suppression list.
+ */
+class BounceService {
+  getBounces() {
+    return storeService.getCollection(BOUNCES);
+  }
+
+  getBounce(id) {
+    return this.getBounces().find(bounce => bounce.id === id) || null;
+  }
+
+  /**
+   * Parse a raw message (.eml Buffer/string)
+   * @returns {Promise<object|null>} parsed bounce, or null when it is not a bounce
+   */
+  async parse(raw) {
+    const mail = await simpleParser(raw);
+    if (!isBounce(mail)) return null;
+
+    const text = mail.text || '';
+    const ownAddresses = new Set([
+      ...addressesOf(mail.from),
+      ...addressesOf(mail.to)
+    ]);
+
+    // RFC 3464 per-recipient fields (mailparser inlines message/delivery-status into the text)
+    let recipients = parseDeliveryStatus(text)
+      .filter(r => r.action === 'failed' || (!r.action && r.status));
+
+    if (recipients.length === 0) {
+      recipients = parseNonStandard(mail, text, ownAddresses);
+    }
+
+    return {
+      bounceMessageId: mail.messageId || null,
+      subject: mail.subject || '',
+      from: mail.from?.text || '',
+      originalMessageId: findOriginalMessageId(mail, text),
+      recipients: recipients.map(r => ({ ...r, type: classify(r) }))
+    };
+  }
+
+  /**
+   * Parse and record a bounce. A bounce belongs to the sender of the original
+   * message; ownerId is the owner when that message is not in the history.
+   * @returns {Promise<{ bounce: boolean, duplicate?: boolean, records: object[] }>}
+   */
+  async ingest(raw, { source = 'upload', ownerId = null } = {}) {
+    const parsed = await this.parse(raw);
+    if (!parsed || parsed.recipients.length === 0) return { bounce: false, records: [] };
+
+    if (parsed.bounceMessageId && this.getBounces().some(b => b.bounceMessageId === parsed.bounceMessageId)) {
+      return { bounce: true, duplicate: true, records: [] };
+    }
+
+    const history = parsed.originalMessageId ? historyService.getRecordByMessageId(parsed.originalMessageId) : null;
+    const now = new Date().toISOString();
+
+    const records = parsed.recipients.map(recipient => ({
+      id: uuidv4(),
+      recipient: recipient.email,
+      type: recipient.type,
+      status: recipient.status || null,
+      diagnostic: recipient.diagnostic || null,
+      originalMessageId: parsed.originalMessageId,
+      historyId: history?.id || null,
+      ownerId: history?.ownerId || ownerId,
+      bounceMessageId: parsed.bounceMessageId,
+      subject: parsed.subject,
+      source,
+      receivedAt: now
+    }));
+
+    storeService.setCollection(BOUNCES, [...this.getBounces(), ...records]);
+
+    if (history) {
+      historyService.updateRecord(history.id, {
+        status: 'bounced',
+        bounce: records.map(r => ({ recipient: r.recipient, type: r.type, status: r.status, diagnostic: r.diagnostic }))
+      });
+    }
+
+    records.forEach(record => this.flagRecipient(record));
+    return { bounce: true, records };
+  }
+
+  /**
+   * Hard bounce: suppress at once. Soft bounce: suppress after softBounceLimit of them.
+   */
+  flagRecipient(record) {
+    const softCount = this.getBounces()
+      .filter(b => b.recipient === record.recipient && b.type === 'soft').length;
+
+    if (record.type === 'hard' || softCount >= config.bounces.softBounceLimit) {
+      suppressionService.add({
+        email: record.recipient,
+        reason: 'bounce',
+        source: `bounce:${record.type}`,
+        note: record.diagnostic || record.status
+      });
+    }
+  }
+
+  /**
+   * Mailbox pre-check on envelope and headers: could this be a bounce?
+   */
+  mightBeBounce({ envelope, headers }) {
+    const sender = normalizeEmail(envelope.from?.[0]?.address || '');
+    return DAEMON_SENDER_REGEX.test(sender) ||
+      BOUNCE_SUBJECT_REGEX.test(envelope.subject || '') ||
+      headers.has('x-failed-recipients') ||
+      /multipart\/report/i.test(headers.get('content-type') || '');
+  }
+
+  /**
+   * Mailbox handler: ingest messages that look like bounces, ignore the rest
+   */
+  async handleIncoming(source, meta = {}) {
+    const result = await this.ingest(source, { source: `imap:${meta.profile?.name || 'mailbox'}` });
+    if (result.records.length) {
+      console.log(`Bounce processed for ${result.records.map(r => r.recipient).join(', ')}`);
+    }
+    return result;
+  }
+}
+
+function addressesOf(addressObject) {
+  return (addressObject?.value || []).map(a => normalizeEmail(a.address)).filter(Boolean);
+}
+
+function isBounce(mail) {
+  const contentType = mail.headers.get('content-type');
+  if (contentType?.value === 'multipart/report' && /delivery-status/i.test(contentType.params?.['report-type'] || '')) {
+    return true;
+  }
+  if (mail.headers.has('x-failed-recipients')) return true;
+
+  const sender = addressesOf(mail.from)[0] || '';
+  return DAEMON_SENDER_REGEX.test(sender) || BOUNCE_SUBJECT_REGEX.test(mail.subject || '');
+}
+
+/**
+ * Read "Field: value" groups (with folded continuation lines) that carry a Final-Recipient
+ */
+function parseDeliveryStatus(text) {
+  const groups = text.replace(/\r\n/g, '\n').split(/\n\s*\n/);
+  const recipients = [];
+
+  groups.forEach(group => {
+    if (!/^(Final|Original)-Recipient:/im.test(group)) return;
+
+    const fields = {};
+    let last = null;
+    group.split('\n').forEach(line => {
+      const header = line.match(/^([A-Za-z-]+):\s*(.*)$/);
+      if (header) {
+        last = header[1].toLowerCase();
+        fields[last] = header[2].trim();
+      } else if (last && /^\s/.test(line)) {
+        fields[last] += ` ${line.trim()}`;
+      }
+    });
+
+    const recipientField = fields['final-recipient'] || fields['original-recipient'] || '';
+    const email = normalizeEmail(recipientField.replace(/^[^;]*;\s*/, ''));
+    if (!email.includes('@')) return;
+
+    recipients.push({
+      email,
+      action: (fields.action || '').toLowerCase() || null,
+      status: fields.status || null,
+      diagnostic: (fields['diagnostic-code'] || '').replace(/^[^;]*;\s*/, '') || null
+    });
+  });
+
+  return recipients;
+}
+
+/**
+ * Best effort for bounces without a delivery-status part
+ */
+function parseNonStandard(mail, text, ownAddresses) {
+  // Only look at the part before the returned copy of the original message
+  const body = text.split(/^-{2,}.*(original message|copy of the message).*$/im)[0];
+
+  const failedHeader = mail.headers.get('x-failed-recipients');
+  let emails = failedHeader
+    ? String(failedHeader).split(',').map(normalizeEmail)
+    : (body.match(EMAIL_REGEX) || []).map(normalizeEmail);
+
+  emails = [...new Set(emails)].filter(email =>
+    !ownAddresses.has(email) && !DAEMON_SENDER_REGEX.test(email));
+
+  const statusMatch = body.match(ENHANCED_STATUS_REGEX);
+  const diagnosticLine = body.split('\n').find(line => ENHANCED_STATUS_REGEX.test(line) || SMTP_CODE_REGEX.test(line));
+
+  return emails.map(email => ({
+    email,
+    action: 'failed',
+    status: statusMatch ? statusMatch[0] : null,
+    diagnostic: (diagnosticLine || body.split('\n').find(line => line.trim()) || '').trim().slice(0, 500) || null
+  }));
+}
+
+function findOriginalMessageId(mail, text) {
+  // Returned original: message/rfc822 or text/rfc822-headers part
+  for (const attachment of mail.attachments || []) {
+    if (/rfc822/i.test(attachment.contentType)) {
+      const match = attachment.content.toString('utf8').match(MESSAGE_ID_REGEX);
+      if (match) return normalizeMessageId(match[1]);
+    }
+  }
+
+  // Some servers reference the original in the bounce headers
+  const reference = mail.inReplyTo || [].concat(mail.references || [])[0];
+  if (reference) return normalizeMessageId(reference);
+
+  // Or quote its headers in the body
+  const own = normalizeMessageId(mail.messageId);
+  for (const match of text.matchAll(new RegExp(MESSAGE_ID_REGEX.source, 'gim'))) {
+    const id = normalizeMessageId(match[1]);
+    if (id !== own) return id;
+  }
+  return null;
+}
+
+function classify({ status, diagnostic }) {
+  const detail = (diagnostic || '').toLowerCase();
+  const statusClass = (status || '').match(ENHANCED_STATUS_REGEX);
+
+  if (SOFT_PHRASES.some(p => detail.includes(p)) || status === '5.2.2') return 'soft';
+  if (statusClass) return statusClass[1] === '5' ? 'hard' : 'soft';
+
+  const smtpCode = detail.match(SMTP_CODE_REGEX);
+  if (smtpCode) return smtpCode[1] === '5' ? 'hard' : 'soft';
+
+  return HARD_PHRASES.some(p => detail.includes(p)) ? 'hard' : 'soft';
+}
+
+module.exports = new BounceService();
+module.exports.isBounce = isBounce;
@@ -0,0 +1,324 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/default');
+const storeService = require('./store.service');
+const queueService = require('./queue.service');
+const renderService = require('./render.service');
+const suppressionService = require('./suppression.service');
+const validationService = require('./validation.service');
+const HttpError = require('../utils/http-error');
+const { fillTemplate } = require('../utils/template');
+
+const CAMPAIGNS = 'campaigns';
+const DEFAULT_DELAY_MS = 3000;
+const BASIC_EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Column names accepted as the recipient address
+const EMAIL_COLUMNS = ['email', 'e-mail', 'mail', 'to', 'address'];
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Mail-merge campaigns: one draft, many recipients, one personalized message each.
+ * {{placeholders}} in the subject and HTML are filled from each recipient's fields.
+ * Messages go through the send queue, so temporary SMTP failures are retried;
+ * a recipient is "queued" until its job is sent or dead-lettered.
+ * Campaign state lives in the store, so a running campaign resumes after a restart.
+ */
+class CampaignService {
+  constructor() {
+    // Campaign ids with an active send loop in this process
+    this.active = new Set();
+    queueService.addHandler(job => this.handleJob(job));
+  }
+
+  getCampaigns() {
+    return storeService.getCollection(CAMPAIGNS);
+  }
+
+  getCampaign(id) {
+    return this.getCampaigns().find(campaign => campaign.id === id) || null;
+  }
+
+  createCampaign({ name, draftId, profileId, recipients, delayMs }, ownerId) {
+    const draft = storeService.getDraftById(draftId);
+    if (!draft || (draft.ownerId !== ownerId)) throw new HttpError(400, 'Draft not found');
+
+    const templateProfileId = profileId || draft.profileId;
+    if (templateProfileId && !storeService.getSmtpProfile(templateProfileId)) {
+      throw new HttpError(400, `Unknown SMTP profile: ${templateProfileId}`);
+    }
+
+    const delay = delayMs !== undefined ? Math.max(parseInt(delayMs, 10) || 0, 0) : DEFAULT_DELAY_MS;
+    if (delay > config.campaigns.maxDelayMs) {
+      throw new HttpError(400, `delayMs cannot exceed ${config.campaigns.maxDelayMs}`);
+    }
+
+    const rows = normalizeRecipients(recipients);
+    if (rows.length === 0) throw new HttpError(400, 'No valid recipients');
+
+    const now = new Date().toISOString();
+    const campaign = {
+      id: uuidv4(),
+      name: name || draft.subject,
+      draftId,
+      ownerId,
+      status: 'draft',
+      delayMs: delay,
+      // Snapshot of the draft, so later edits do not change a running campaign
+      template: {
+        subject: draft.subject,
+        html: draft.html,
+        text: draft.text,
+        styles: draft.styles,
+        senderName: draft.senderName,
+        profileId: templateProfileId,
+        attachments: draft.attachments || []
+      },
+      recipients: rows.map(row => ({ ...row, status: 'pending', messageId: null, error: null, sentAt: null })),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    storeService.setCollection(CAMPAIGNS, [...this.getCampaigns(), campaign]);
+    return campaign;
+  }
+
+  deleteCampaign(id) {
+    const campaign = this.getCampaign(id);
+    if (!campaign) return null;
+    if (campaign.status === 'running') throw new HttpError(409, 'Pause or cancel the campaign first');
+
+    storeService.setCollection(CAMPAIGNS, this.getCampaigns().filter(c => c.id !== id));
+    return campaign;
+  }
+
+  // -------------- LIFECYCLE -------------- //
+
+  startCampaign(id) {
+    const campaign = this.getCampaign(id);
+    if (!campaign) return null;
+    if (!['draft', 'paused'].includes(campaign.status)) {
+      throw new HttpError(409, `Campaign is ${campaign.status} and cannot be started`);
+    }
+
+    const updated = this.updateCampaign(id, {
+      status: 'running',
+      startedAt: campaign.startedAt || new Date().toISOString()
+    });
+    this.run(id);
+    return updated;
+  }
+
+  pauseCampaign(id) {
+    const campaign = this.getCampaign(id);
+    if (!campaign) return null;
+    if (campaign.status !== 'running') throw new HttpError(409, `Campaign is ${campaign.status}, not running`);
+    return this.updateCampaign(id, { status: 'paused' });
+  }
+
+  cancelCampaign(id) {
+    const campaign = this.getCampaign(id);
+    if (!campaign) return null;
+    if (['completed', 'cancelled'].includes(campaign.status)) {
+      throw new HttpError(409, `Campaign is already ${campaign.status}`);
+    }
+
+    // Queued messages are withdrawn too, unless already being sent
+    const recipients = campaign.recipients.map(r => (
+      r.status === 'pending' || (r.status === 'queued' && queueService.cancelJob(r.jobId))
+        ? { ...r, status: 'skipped' }
+        : r
+    ));
+    return this.updateCampaign(id, { status: 'cancelled', recipients, completedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Put failed recipients back in line; a finished campaign is reopened as paused
+   */
+  retryFailed(id) {
+    const campaign = this.getCampaign(id);
+    if (!campaign) return null;
+    if (campaign.status === 'cancelled') throw new HttpError(409, 'Campaign is cancelled');
+
+    const recipients = campaign.recipients.map(r => (
+      r.status === 'failed' ? { ...r, status: 'pending', error: null, jobId: null } : r
+    ));
+    const status = campaign.status === 'completed' ? 'paused' : campaign.status;
+    return this.updateCampaign(id, { status, recipients, completedAt: null });
+  }
+
+  /**
+   * Resume campaigns that were running when the process stopped
+   */
+  resumeAll() {
+    this.getCampaigns()
+      .filter(campaign => campaign.status === 'running')
+      .forEach(campaign => this.run(campaign.id));
+  }
+
+  // -------------- SEND LOOP -------------- //
+
+  async run(id) {
+    if (this.active.has(id)) return;
+    this.active.add(id);
+
+    try {
+      let campaign = this.getCampaign(id);
+      let first = true;
+
+      while (campaign && campaign.status === 'running') {
+        const index = campaign.recipients.findIndex(r => r.status === 'pending');
+        if (index === -1) {
+          // Completes now, or once the last queued message settles
+          this.completeIfDone(id);
+          break;
+        }
+
+        // Campaigns stored before the limit existed are held to it too
+        if (!first && campaign.delayMs) await sleep(Math.min(campaign.delayMs, config.campaigns.maxDelayMs));
+        first = false;
+
+        // Pause/cancel may have happened during the delay
+        campaign = this.getCampaign(id);
+        if (!campaign || campaign.status !== 'running') break;
+
+        await this.sendToRecipient(campaign, index);
+        campaign = this.getCampaign(id);
+      }
+    } catch (err) {
+      console.error(`Campaign ${id} stopped:`, err);
+      this.updateCampaign(id, { status: 'paused', lastError: err.message });
+    } finally {
+      this.active.delete(id);
+    }
+  }
+
+  async sendToRecipient(campaign, index) {
+    const recipient = campaign.recipients[index];
+    const { template } = campaign;
+
+    if (config.validation.preSend === 'reject') {
+      const check = await validationService.validate(recipient.email);
+      if (check.status === 'invalid') {
+        return this.setRecipientResult(campaign.id, index, { status: 'skipped', error: check.reason });
+      }
+    }
+
+    // Suppressed addresses are skipped, not failed: retrying them would never succeed
+    if (suppressionService.isSuppressed(recipient.email)) {
+      return this.setRecipientResult(campaign.id, index, { status: 'skipped', error: 'Address is suppressed' });
+    }
+
+    const job = queueService.enqueue(personalize(template, recipient), {
+      ownerId: campaign.ownerId,
+      campaignId: campaign.id
+    });
+    this.setRecipientResult(campaign.id, index, { status: 'queued', jobId: job.id, error: null });
+  }
+
+  /**
+   * Record the outcome of a campaign message's queue job on its recipient
+   */
+  handleJob(job) {
+    if (!job.campaignId) return;
+    const campaign = this.getCampaign(job.campaignId);
+    const index = campaign ? campaign.recipients.findIndex(r => r.jobId === job.id) : -1;
+    if (index === -1) return;
+
+    const result = job.status === 'sent'
+      ? { status: 'sent', messageId: job.messageId, error: null, sentAt: job.completedAt }
+      : { status: 'failed', error: job.lastError?.message || 'Send failed' };
+    if (result.status === 'failed') {
+      console.error(`Campaign ${campaign.id}: sending to ${campaign.recipients[index].email} failed:`, result.error);
+    }
+    this.setRecipientResult(campaign.id, index, result);
+    this.completeIfDone(campaign.id);
+  }
+
+  /**
+   * A running campaign is done once no recipient is pending or queued
+   */
+  completeIfDone(id) {
+    const campaign = this.getCampaign(id);
+    if (campaign?.status !== 'running' ||
+        campaign.recipients.some(r => ['pending', 'queued'].includes(r.status))) return;
+    this.updateCampaign(id, { status: 'completed', completedAt: new Date().toISOString() });
+  }
+
+  setRecipientResult(id, index, result) {
+    // Re-read so concurrent pause/cancel changes are not overwritten
+    const latest = this.getCampaign(id);
+    const recipients = latest.recipients.map((r, i) => (i === index ? { ...r, ...result } : r));
+    this.updateCampaign(id, { recipients });
+  }
+
+  updateCampaign(id, changes) {
+    const campaigns = this.getCampaigns();
+    const index = campaigns.findIndex(campaign => campaign.id === id);
+    if (index === -1) return null;
+
+    campaigns[index] = { ...campaigns[index], ...changes, updatedAt: new Date().toISOString() };
+    storeService.setCollection(CAMPAIGNS, campaigns);
+    return campaigns[index];
+  }
+
+  /**
+   * Campaign with progress counters, optionally without the per-recipient list
+   */
+  toPublicCampaign(campaign, { withRecipients = true } = {}) {
+    const progress = { total: campaign.recipients.length, pending: 0, queued: 0, sent: 0, failed: 0, skipped: 0 };
+    campaign.recipients.forEach(r => { progress[r.status]++; });
+
+    const { recipients, template, ...rest } = campaign;
+    return {
+      ...rest,
+      subject: template.subject,
+      profileId: template.profileId || null,
+      progress,
+      ...(withRecipients && { recipients })
+    };
+  }
+}
+
+/**
+ * Accept rows as { email, ...fields } objects or plain address strings.
+ * Drops rows without a valid address and duplicate addresses.
+ */
+function normalizeRecipients(recipients) {
+  const seen = new Set();
+  const rows = [];
+
+  (recipients || []).forEach(row => {
+    const fields = typeof row === 'string' ? { email: row } : { ...row };
+    const emailKey = Object.keys(fields).find(k => EMAIL_COLUMNS.includes(k.toLowerCase()));
+    const email = emailKey ? String(fields[emailKey]).trim().toLowerCase() : '';
+
+    if (!BASIC_EMAIL_REGEX.test(email) || seen.has(email)) return;
+    seen.add(email);
+    rows.push({ email, fields });
+  });
+
+  return rows;
+}
+
+/**
+ * One recipient's message. The editor's escaping is undone before merging, so
+ * the escaped merge values stay text.
+ */
+function personalize(template, recipient) {
+  const fields = { ...recipient.fields, email: recipient.email };
+  const { html } = renderService.normalizeSource(template.html);
+  return {
+    to: recipient.email,
+    subject: fillTemplate(template.subject, fields),
+    html: fillTemplate(html, fields, { html: true }),
+    sourceNormalized: true,
+    text: fillTemplate(template.text, fields),
+    styles: template.styles,
+    senderName: template.senderName,
+    profileId: template.profileId,
+    attachments: template.attachments
+  };
+}
+
+module.exports = new CampaignService();
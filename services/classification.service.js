@@ -0,0 +1,326 @@
+const { v4: uuidv4 } = require('uuid');
+const storeService = require('./store.service');
+const leadService = require('./lead.service');
+const HttpError = require('../utils/http-error');
+const { fillTemplate } = require('../utils/template');
+const DEFAULT_RULES = require('../config/classification-rules.json');
+
+const RULES = 'classificationRules';
+const MAX_VERSIONS = 20;
+const WEIGHTS = Object.keys(DEFAULT_RULES.weights);
+const PREFIX_LISTS = ['hr', 'generic', 'ignore'];
+// first.last@ and first-last@ look like a person
+const NAME_PATTERN = /^[a-z]+[.-][a-z]+$/;
+
+/**
+ * HR vs general classification of scraped addresses and the search query
+ * templates, driven by an editable rule set. Each address gets a score in
+ * [0, 1] with the rules that produced it; HR means score >= threshold.
+ * Edits are stored as versions (newest is active), so a change can be rolled back,
+ * and every new version scores the stored leads again.
+ */
+class ClassificationService {
+  constructor() {
+    this.compiled = null;   // { versionId, rules, ... } of the active rule set
+  }
+
+  getVersions() {
+    return storeService.getCollection(RULES);
+  }
+
+  /**
+   * Active rule set with its version info; the bundled defaults until an admin edits them
+   */
+  getActive() {
+    const versions = this.getVersions();
+    const latest = versions[versions.length - 1];
+    return latest || { id: null, rules: clone(DEFAULT_RULES), updatedAt: null, updatedBy: null };
+  }
+
+  getRules() {
+    return this.compile().rules;
+  }
+
+  /**
+   * Replace the whole rule set
+   */
+  setRules(rules, updatedBy = null) {
+    validateRules(rules);
+    const version = {
+      id: uuidv4(),
+      rules: normalizeRules(rules),
+      updatedAt: new Date().toISOString(),
+      updatedBy
+    };
+    storeService.setCollection(RULES, [...this.getVersions(), version].slice(-MAX_VERSIONS));
+    this.compiled = null;
+    // The hunt's focus is not stored with a lead, so leads are scored without it
+    leadService.reclassify((email, context) => this.score(email, context, { hrFocus: false }));
+    return version;
+  }
+
+  /**
+   * Change some sections: objects (languages, prefixes, domains, weights,
+   * queryTemplates) are merged key by key, threshold is replaced
+   */
+  updateRules(changes, updatedBy = null) {
+    if (!isPlainObject(changes)) throw new HttpError(400, 'Rules must be an object');
+    const current = this.getActive().rules;
+    const merged = { ...current };
+    Object.entries(changes).forEach(([section, value]) => {
+      merged[section] = isPlainObject(value) && isPlainObject(current[section])
+        ? { ...current[section], ...value }
+        : value;
+    });
+    return this.setRules(merged, updatedBy);
+  }
+
+  resetRules(updatedBy = null) {
+    return this.setRules(clone(DEFAULT_RULES), updatedBy);
+  }
+
+  /**
+   * Activate an earlier version again (as a new version)
+   */
+  restoreVersion(id, updatedBy = null) {
+    const version = this.getVersions().find(v => v.id === id);
+    if (!version) return null;
+    return this.setRules(version.rules, updatedBy);
+  }
+
+  /**
+   * Split addresses into HR and general, each ranked by score
+   * @param {string} context page text or snippets the addresses came from
+   * @param {{hrFocus?: boolean, country?: string}} options country selects the keyword languages
+   * @returns {{hr: string[], general: string[], all: string[], scores: Object<string, {score, category, reasons}>}}
+   */
+  classify(emails, context = '', { hrFocus = true, country } = {}) {
+    const compiled = this.compile();
+    const languages = this.resolveCountry(country).languages;
+    const contextMatch = findKeyword(compiled, languages, (context || '').toLowerCase());
+
+    const scores = {};
+    [...new Set(emails.map(email => String(email).toLowerCase()))].forEach(email => {
+      scores[email] = scoreEmail(compiled, email, { contextMatch, languages, hrFocus });
+    });
+
+    const ranked = Object.entries(scores)
+      .filter(([, result]) => result.category !== 'excluded')
+      .sort((a, b) => b[1].score - a[1].score);
+    const hr = ranked.filter(([, result]) => result.category === 'hr').map(([email]) => email);
+    const general = ranked.filter(([, result]) => result.category === 'general').map(([email]) => email);
+    return { hr, general, all: [...hr, ...general], scores };
+  }
+
+  /**
+   * Score one address (see classify)
+   */
+  score(email, context = '', options = {}) {
+    const { scores } = this.classify([email], context, options);
+    return { email: String(email).toLowerCase(), ...Object.values(scores)[0] };
+  }
+
+  isHrPage(url, title, country) {
+    const target = `${url} ${title || ''}`.toLowerCase();
+    return !!findKeyword(this.compile(), this.resolveCountry(country).languages, target);
+  }
+
+  /**
+   * Search queries for a term, from the country's templates (or the default
+   * ones, with the country name as the place)
+   */
+  buildQueries(query, hrFocus, country) {
+    const { template, geo } = this.resolveCountry(country);
+    const fields = { query: String(query || '').trim(), geo, country: geo };
+    const templates = hrFocus ? [...template.core, ...template.hr] : template.core;
+    return [...new Set(templates.map(t => fillTemplate(t, fields).replace(/\s+/g, ' ').trim()))];
+  }
+
+  /**
+   * Template, place name and keyword languages for a country code or name
+   */
+  resolveCountry(country) {
+    const rules = this.getRules();
+    const needle = String(country || '').trim().toLowerCase();
+    const templates = rules.queryTemplates;
+    const key = Object.keys(templates).find(k => k !== 'default' &&
+      (k === needle || (templates[k].names || []).some(name => name.toLowerCase() === needle)));
+
+    if (key) {
+      const template = templates[key];
+      return { key, template, geo: template.geo || needle, languages: template.languages || Object.keys(rules.languages) };
+    }
+    // Unknown place: default templates, every language
+    return {
+      key: 'default',
+      template: templates.default,
+      geo: needle || templates.default.geo || '',
+      languages: templates.default.languages || Object.keys(rules.languages)
+    };
+  }
+
+  // Rules only change through setRules, which drops the compiled copy
+  compile() {
+    if (this.compiled) return this.compiled;
+
+    const active = this.getActive();
+    const { rules } = active;
+    this.compiled = {
+      versionId: active.id,
+      rules,
+      keywords: Object.fromEntries(Object.entries(rules.languages)
+        .map(([language, { keywords }]) => [language, keywords.map(k => ({ keyword: k, pattern: keywordPattern(k) }))])),
+      deny: new Set(rules.domains.deny),
+      allow: new Set(rules.domains.allow)
+    };
+    return this.compiled;
+  }
+}
+
+function scoreEmail(compiled, email, { contextMatch, languages, hrFocus }) {
+  const { rules } = compiled;
+  const { weights } = rules;
+  const at = email.lastIndexOf('@');
+  const local = email.slice(0, at);
+  const domain = email.slice(at + 1);
+  const reasons = [];
+  const result = category => {
+    const score = Math.round(Math.min(1, Math.max(0, reasons.reduce((sum, r) => sum + r.weight, 0))) * 100) / 100;
+    return { score, category: category || (score >= rules.threshold ? 'hr' : 'general'), reasons };
+  };
+
+  const denied = findDomain(compiled.deny, domain);
+  if (denied && !findDomain(compiled.allow, domain)) {
+    reasons.push({ rule: 'domain-deny', match: denied, weight: 0 });
+    return result('excluded');
+  }
+  const ignored = rules.prefixes.ignore.find(prefix => hasPrefix(local, prefix));
+  if (ignored) {
+    reasons.push({ rule: 'ignore-prefix', match: `${ignored}@`, weight: 0 });
+    return result('excluded');
+  }
+
+  const generic = rules.prefixes.generic.find(prefix => hasPrefix(local, prefix));
+  if (generic) {
+    reasons.push({ rule: 'generic-prefix', match: `${generic}@`, weight: weights.genericPrefix });
+    // HR hunts leave shared inboxes out
+    return result(hrFocus ? 'excluded' : 'general');
+  }
+
+  const hrPrefix = rules.prefixes.hr.find(prefix => hasPrefix(local, prefix));
+  if (hrPrefix) reasons.push({ rule: 'hr-prefix', match: `${hrPrefix}@`, weight: weights.hrPrefix });
+
+  const keyword = findKeyword(compiled, languages, local.replace(/[._+-]/g, ' '));
+  if (keyword && keyword.keyword !== hrPrefix) {
+    reasons.push({ rule: 'hr-keyword', match: keyword.keyword, language: keyword.language, weight: weights.hrKeyword });
+  }
+
+  if (NAME_PATTERN.test(local)) reasons.push({ rule: 'name-pattern', match: local, weight: weights.namePattern });
+  if (contextMatch) {
+    reasons.push({ rule: 'hr-context', match: contextMatch.keyword, language: contextMatch.language, weight: weights.hrContext });
+  }
+  if (hrFocus) reasons.push({ rule: 'hr-focus', match: null, weight: weights.hrFocus });
+
+  return result();
+}
+
+/**
+ * Keywords match whole words; longer ones (5+ letters) also as a word start ("recruit" in "recruiting")
+ */
+function keywordPattern(keyword) {
+  const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}${keyword.length >= 5 ? '' : '(?![\\p{L}])'}`, 'u');
+}
+
+function findKeyword(compiled, languages, text) {
+  if (!text) return null;
+  for (const language of languages) {
+    const match = (compiled.keywords[language] || []).find(({ pattern }) => pattern.test(text));
+    if (match) return { keyword: match.keyword, language };
+  }
+  return null;
+}
+
+// "hr" matches hr@, hr.paris@, hr2@ but not hrothgar@
+function hasPrefix(local, prefix) {
+  if (!local.startsWith(prefix)) return false;
+  return local.length === prefix.length || !/[a-z]/.test(local[prefix.length]);
+}
+
+// The domain itself or a parent listed (mail.acme.com matches acme.com)
+function findDomain(list, domain) {
+  const labels = domain.split('.');
+  return labels.map((_, i) => labels.slice(i).join('.')).find(candidate => list.has(candidate)) || null;
+}
+
+function validateRules(rules) {
+  const fail = message => { throw new HttpError(400, `Invalid rules: ${message}`); };
+  const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+  if (!isPlainObject(rules)) fail('must be an object');
+
+  if (!isPlainObject(rules.languages) || Object.keys(rules.languages).length === 0) fail('languages must map language codes to { keywords }');
+  Object.entries(rules.languages).forEach(([language, entry]) => {
+    if (!isPlainObject(entry) || !isStringList(entry.keywords)) fail(`languages.${language}.keywords must be a list of strings`);
+  });
+
+  if (!isPlainObject(rules.prefixes)) fail(`prefixes must have ${PREFIX_LISTS.join(', ')}`);
+  PREFIX_LISTS.forEach(list => {
+    if (!isStringList(rules.prefixes[list])) fail(`prefixes.${list} must be a list of strings`);
+  });
+
+  if (!isPlainObject(rules.domains) || !isStringList(rules.domains.allow) || !isStringList(rules.domains.deny)) {
+    fail('domains must have allow and deny lists');
+  }
+
+  if (!isPlainObject(rules.weights)) fail(`weights must have ${WEIGHTS.join(', ')}`);
+  WEIGHTS.forEach(weight => {
+    const value = rules.weights[weight];
+    if (typeof value !== 'number' || value < -1 || value > 1) fail(`weights.${weight} must be a number between -1 and 1`);
+  });
+  if (typeof rules.threshold !== 'number' || rules.threshold <= 0 || rules.threshold > 1) {
+    fail('threshold must be a number above 0 and at most 1');
+  }
+
+  if (!isPlainObject(rules.queryTemplates) || !rules.queryTemplates.default) fail('queryTemplates needs a default entry');
+  Object.entries(rules.queryTemplates).forEach(([key, template]) => {
+    const where = `queryTemplates.${key}`;
+    if (!isPlainObject(template)) fail(`${where} must be an object`);
+    if (!isStringList(template.core) || template.core.length === 0) fail(`${where}.core must be a non-empty list of strings`);
+    if (!isStringList(template.hr)) fail(`${where}.hr must be a list of strings`);
+    if (template.names !== undefined && !isStringList(template.names)) fail(`${where}.names must be a list of strings`);
+    if (template.geo !== undefined && typeof template.geo !== 'string') fail(`${where}.geo must be a string`);
+    if (template.languages !== undefined) {
+      if (!isStringList(template.languages)) fail(`${where}.languages must be a list of strings`);
+      const unknown = template.languages.find(language => !rules.languages[language]);
+      if (unknown) fail(`${where}.languages: unknown language ${unknown}`);
+    }
+    const missing = [...template.core, ...template.hr].find(t => !t.includes('{{query}}'));
+    if (missing) fail(`${where}: template without {{query}}: ${missing}`);
+  });
+}
+
+// Lower-case keywords, prefixes and domains; template keys are country codes
+function normalizeRules(rules) {
+  const lower = list => [...new Set(list.map(item => item.trim().toLowerCase()))];
+  return {
+    languages: Object.fromEntries(Object.entries(rules.languages)
+      .map(([language, entry]) => [language.toLowerCase(), { keywords: lower(entry.keywords) }])),
+    prefixes: Object.fromEntries(PREFIX_LISTS.map(list => [list, lower(rules.prefixes[list])])),
+    domains: { allow: lower(rules.domains.allow), deny: lower(rules.domains.deny) },
+    weights: Object.fromEntries(WEIGHTS.map(weight => [weight, rules.weights[weight]])),
+    threshold: rules.threshold,
+    queryTemplates: Object.fromEntries(Object.entries(rules.queryTemplates)
+      .map(([key, template]) => [key.toLowerCase(), template]))
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = new ClassificationService();
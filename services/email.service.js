@@ -1,19 +1,42 @@
 const nodemailer = require('nodemailer');
-const fs = require('fs').promises;
-const path = require('path');
 const storeService = require('./store.service');
+const attachmentService = require('./attachment.service');
 const mime = require('mime-types');
-const juice = require('juice'); // <-- Add juice
+const renderService = require('./render.service');
+const historyService = require('./history.service');
+const suppressionService = require('./suppression.service');
+const HttpError = require('../utils/http-error');
+const { toAddressList } = require('../utils/address');
 
 class EmailService {
+  /**
+   * Resolve the SMTP profile to send with: the requested one, or the default profile
+   */
+  resolveProfile(profileId) {
+    if (!profileId) return storeService.getSmtpConfig();
+
+    const profile = storeService.getSmtpProfile(profileId);
+    if (!profile) {
+      throw new HttpError(400, `Unknown SMTP profile: ${profileId}`);
+    }
+    return profile;
+  }
+
   /**
    * Send an email with HTML content and optional attachments
-   * This will inline all CSS using juice, for maximum compatibility.
+   * The HTML goes through renderService.prepareHtml (CSS inlined with juice) for maximum compatibility.
+   * emailData.profileId selects the SMTP profile (defaults to the default profile).
+   * emailData.attachments reference attachment library items; they stay in the library after sending.
+   * options.ownerId / jobId / campaignId are stored on the sent-mail history record.
+   * Suppressed recipients are removed first and reported in info.suppressed.
    */
-  async sendEmail(emailData) {
-    const smtpConfig = storeService.getSmtpConfig();
+  async sendEmail(originalEmailData, options = {}) {
+    const smtpConfig = this.resolveProfile(originalEmailData.profileId);
 
-    if (!smtpConfig.host || !smtpConfig.auth.user || !smtpConfig.auth.pass) {
+    // Drop (or refuse, with onSuppressed: 'reject') addresses on the suppression list
+    const { emailData, suppressed } = suppressionService.enforce(originalEmailData);
+
+    if (!isConfigured(smtpConfig)) {
       throw new Error('SMTP configuration is incomplete. Please configure SMTP settings first.');
     }
 
@@ -31,104 +54,111 @@ class EmailService {
     const fromEmail = smtpConfig.from || smtpConfig.auth.user;
     const formattedFrom = `"${customSenderName}" <${fromEmail}>`;
 
-    // --- HTML PREP START ---
-    let htmlContent = emailData.html;
-
-    // Remove Quill wrappers if present (optional, keep if you use Quill)
-    if (htmlContent.includes('ql-code-block-container')) {
-      const matches = htmlContent.match(/<div class="ql-code-block">([\s\S]*?)<\/div>/);
-      if (matches && matches[1]) {
-        htmlContent = matches[1];
-      }
-      htmlContent = htmlContent
-        .replace(/<div class="ql-code-block-container"[^>]*>/g, '')
-        .replace(/<\/div>/g, '');
-    }
-
-    // Decode HTML entities if needed
-    if (htmlContent.includes('&lt;')) {
-      htmlContent = htmlContent
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&quot;/g, '"')
-        .replace(/&#039;/g, "'")
-        .replace(/&amp;/g, '&');
-    }
-
-    // Wrap in full HTML structure if not already
-    const hasDoctype = htmlContent.toLowerCase().includes('<!doctype') ||
-                       htmlContent.toLowerCase().includes('<html');
-    if (!hasDoctype) {
-      htmlContent = `<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1">
-  <title>${emailData.subject}</title>
-  ${emailData.styles || ''} <!-- Optionally allow passing CSS styles -->
-</head>
-<body>
-  ${htmlContent}
-</body>
-</html>`;
-    }
-
-    // Inline all CSS with juice
-    htmlContent = juice(htmlContent);
-    // --- HTML PREP END ---
+    // Quill unwrap, entity decoding, document shell and CSS inlining
+    const { html: htmlContent } = renderService.prepareHtml(emailData);
 
     const mailOptions = {
       from: formattedFrom,
       to: emailData.to,
       subject: emailData.subject,
       html: htmlContent,
-      contentType: 'text/html; charset=utf-8'
+      // Plain-text alternative: caller-supplied, or generated from the final HTML
+      text: emailData.text || renderService.htmlToText(htmlContent)
     };
 
     if (emailData.cc) mailOptions.cc = emailData.cc;
     if (emailData.bcc) mailOptions.bcc = emailData.bcc;
 
-    // Attachments
+    // Threading headers for replies and follow-ups
+    if (emailData.inReplyTo) mailOptions.inReplyTo = emailData.inReplyTo;
+    if (emailData.references) mailOptions.references = emailData.references;
+
+    // RFC 8058 one-click unsubscribe. The link is signed for one address, so it
+    // only goes on messages with a single recipient: anyone else who clicked it
+    // would unsubscribe that address instead of their own.
+    const recipients = ['to', 'cc', 'bcc'].flatMap(field => toAddressList(emailData[field]));
+    const unsubscribeUrl = recipients.length === 1 && suppressionService.getUnsubscribeUrl(recipients[0]);
+    if (unsubscribeUrl) {
+      mailOptions.list = { unsubscribe: { url: unsubscribeUrl, comment: 'Unsubscribe' } };
+      mailOptions.headers = { 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' };
+    }
+
+    // Attachments, streamed from the library's storage backend
+    const usedAttachments = [];
     if (emailData.attachments && emailData.attachments.length > 0) {
-      mailOptions.attachments = await Promise.all(emailData.attachments.map(async (attachment) => {
-        const filePath = path.join('/tmp', attachment.filename);
-        try {
-          await fs.access(filePath);
-        } catch (err) {
-          console.error(`Attachment file not found: ${filePath}`);
-          return null;
-        }
+      mailOptions.attachments = [];
+      try {
+        for (const ref of emailData.attachments) {
+          const attachment = attachmentService.findByRef(ref);
+          const content = attachment && await openAttachment(attachment);
+          if (!content) {
+            console.error(`Attachment file not found: ${ref.originalname || ref.id || ref.filename}`);
+            continue;
+          }
 
-        const mimeType = mime.lookup(attachment.originalname) || 'application/octet-stream';
-        return {
-          filename: attachment.originalname,
-          path: filePath,
-          contentType: mimeType,
-          contentDisposition: 'attachment'
-        };
-      }));
-      mailOptions.attachments = mailOptions.attachments.filter(att => att !== null);
+          usedAttachments.push(attachment.id);
+          mailOptions.attachments.push({
+            filename: attachment.originalname,
+            content,
+            contentType: mime.lookup(attachment.originalname) || 'application/octet-stream',
+            contentDisposition: 'attachment'
+          });
+        }
+      } catch (err) {
+        // Storage unreachable: close what was opened, the queue retries the send
+        mailOptions.attachments.forEach(a => a.content.destroy());
+        throw err;
+      }
     }
 
+    const historyEntry = {
+      ownerId: options.ownerId || null,
+      jobId: options.jobId || null,
+      campaignId: options.campaignId || null,
+      threadId: emailData.threadId || null,
+      inReplyTo: emailData.inReplyTo || null,
+      profileId: smtpConfig.id || null,
+      profileName: smtpConfig.name || null,
+      from: formattedFrom,
+      to: toAddressList(emailData.to),
+      cc: toAddressList(emailData.cc),
+      bcc: toAddressList(emailData.bcc),
+      subject: emailData.subject,
+      suppressed,
+      html: mailOptions.html,
+      text: mailOptions.text,
+      attachments: (mailOptions.attachments || []).map(a => ({ filename: a.filename, contentType: a.contentType }))
+    };
+
     // Send the email
     try {
       const info = await transporter.sendMail(mailOptions);
-
-      // Optional: Delete attachments after sending
-      if (emailData.attachments && emailData.attachments.length > 0) {
-        for (const attachment of emailData.attachments) {
-          try {
-            const filePath = path.join('/tmp', attachment.filename);
-            await fs.unlink(filePath);
-          } catch (err) {
-            console.error(`Error deleting attachment ${attachment.filename}:`, err);
-          }
-        }
-      }
+      const record = historyService.record({
+        ...historyEntry,
+        status: 'sent',
+        error: null,
+        messageId: info.messageId,
+        smtpResponse: info.response,
+        accepted: info.accepted,
+        rejected: info.rejected,
+        sentAt: new Date().toISOString()
+      });
+      info.historyId = record.id;
+      info.suppressed = suppressed;
+      attachmentService.markUsed(usedAttachments);
 
       return info;
     } catch (error) {
       console.error('Error sending email:', error);
+      // Streams nodemailer did not get to read would keep their file or connection open
+      (mailOptions.attachments || []).forEach(a => a.content.destroy());
+      historyService.record({
+        ...historyEntry,
+        status: 'failed',
+        error: error.message,
+        smtpResponse: error.response || null,
+        sentAt: new Date().toISOString()
+      });
       throw error;
     }
   }
@@ -154,16 +184,51 @@ class EmailService {
     }
   }
 
-  getSmtpStatus() {
-    const config = storeService.getSmtpConfig();
+  /**
+   * Report configuration status for the default (or requested) profile,
+   * plus a per-profile breakdown
+   */
+  getSmtpStatus(profileId) {
+    const config = this.resolveProfile(profileId);
+    const profiles = storeService.getSmtpProfiles().map(profile => ({
+      id: profile.id,
+      name: profile.name,
+      isDefault: !!profile.isDefault,
+      ...describeProfile(profile)
+    }));
+
     return {
-      configured: !!(config.host && config.auth.user && config.auth.pass),
-      host: config.host,
-      from: config.from || config.auth.user,
-      senderName: config.senderName || ''
+      ...describeProfile(config),
+      profileId: config.id || null,
+      profiles
     };
   }
 }
 
+/**
+ * Stream of a library item's content; null when the content is gone
+ */
+async function openAttachment(attachment) {
+  try {
+    return await attachmentService.openStream(attachment);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+function isConfigured(config) {
+  return !!(config.host && config.auth?.user && config.auth?.pass);
+}
+
+function describeProfile(config) {
+  return {
+    configured: isConfigured(config),
+    host: config.host,
+    from: config.from || config.auth?.user,
+    senderName: config.senderName || ''
+  };
+}
+
 module.exports = new EmailService();
 
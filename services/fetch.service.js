@@ -0,0 +1,358 @@
+const dns = require('dns');
+const { Agent, buildConnector, fetch } = require('undici');
+const config = require('../config/default');
+const { parseRobots, rulesFor, isAllowed } = require('../utils/robots');
+const { isPublicHost, publicLookup, privateAddressError } = require('../utils/public-address');
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const ROBOTS_MAX_BYTES = 500 * 1024;
+// robots.txt that could not be fetched blocks the site, but only for a while
+const ROBOTS_ERROR_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Outgoing HTTP requests for scraping and search providers.
+ * Pages visited by the scraper go through politeFetch: robots.txt, per-host
+ * concurrency and delay, and a page cache revalidated with ETag/Last-Modified.
+ * Redirects are followed by hand so every hop gets the same checks, and bodies
+ * are read up to a size limit. Scraped URLs come from users and search results,
+ * so hosts on private or local networks are refused unless allowed in config:
+ * the check runs when the socket connects, on the address it connects to.
+ */
+class FetchService {
+  constructor() {
+    this.robots = new Map();   // origin -> { promise, expiresAt }
+    this.hosts = new Map();    // host -> { active, nextAt, waiters }
+    this.pages = new Map();    // url -> { status, body, etag, lastModified, expiresAt }, oldest first
+    this.lookup = dns.lookup;  // resolver behind the private address check
+    this.dispatcher = null;
+  }
+
+  /**
+   * fetch() that aborts after timeoutMs, or earlier when opts.signal aborts.
+   * A connection refused by the crawler dispatcher rejects with its
+   * PRIVATE_ADDRESS error rather than a bare "fetch failed".
+   * @param {object} opts fetch options plus userAgent
+   */
+  async fetchWithTimeout(url, opts = {}, timeoutMs = DEFAULT_TIMEOUT_MS) {
+    const { userAgent, headers, signal, ...rest } = opts;
+    const controller = new AbortController();
+    const id = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      return await fetch(url, {
+        ...rest,
+        headers: {
+          'User-Agent': userAgent || config.crawler.userAgent,
+          'Accept-Language': 'en-US,en;q=0.9',
+          ...(headers || {})
+        },
+        signal: signal ? AbortSignal.any([controller.signal, signal]) : controller.signal
+      });
+    } catch (err) {
+      throw err.cause?.code === 'PRIVATE_ADDRESS' ? err.cause : err;
+    } finally {
+      clearTimeout(id);
+    }
+  }
+
+  /**
+   * GET a page the way a well-behaved crawler does, following up to
+   * config.crawler.maxRedirects redirects. robots.txt and the per-host limits
+   * apply to every hop, and so does the private address check. Throws a
+   * ROBOTS_DISALLOWED error when robots.txt forbids a URL, PRIVATE_ADDRESS for a
+   * host on a private or local network, TOO_MANY_REDIRECTS or BAD_REDIRECT when
+   * redirects go nowhere usable.
+   * @param {{signal?: AbortSignal, maxBytes?: number}} options maxBytes caps the body read
+   * @returns {Promise<{url, status, ok, body, truncated: boolean, fromCache: boolean}>} url is the final URL
+   */
+  async politeFetch(url, { signal, maxBytes = config.crawler.maxPageBytes } = {}, timeoutMs = DEFAULT_TIMEOUT_MS) {
+    let target = new URL(url);
+    for (let hop = 0; ; hop++) {
+      target.hash = '';
+      const page = await this.fetchHop(target, { signal, maxBytes }, timeoutMs);
+      if (!page.location) return page;
+
+      if (hop >= config.crawler.maxRedirects) throw fetchError(`More than ${config.crawler.maxRedirects} redirects`, 'TOO_MANY_REDIRECTS');
+      target = new URL(page.location, target);
+      if (!/^https?:$/.test(target.protocol)) throw fetchError(`Redirect to unsupported URL: ${target.href}`, 'BAD_REDIRECT');
+    }
+  }
+
+  /**
+   * One request of politeFetch: a page, or { location } for a redirect
+   */
+  async fetchHop(target, { signal, maxBytes }, timeoutMs) {
+    const key = target.href;
+
+    const cached = this.pages.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      this.touchPage(key, cached);
+      return { url: key, status: cached.status, ok: true, body: cached.body, truncated: false, fromCache: true };
+    }
+
+    const robots = config.crawler.respectRobots
+      ? await untilAborted(this.getRobots(target.origin), signal)
+      : { rules: [], crawlDelay: null };
+    if (robots.error) throw robots.error;
+    if (!isAllowed(robots.rules, target.pathname + target.search)) {
+      throw fetchError('Disallowed by robots.txt', 'ROBOTS_DISALLOWED');
+    }
+
+    const delayMs = Math.max(
+      config.crawler.hostDelayMs,
+      Math.min((robots.crawlDelay || 0) * 1000, config.crawler.maxCrawlDelayMs)
+    );
+    const release = await this.acquireHost(target.host, delayMs, signal);
+    try {
+      // A stale page is revalidated instead of downloaded again
+      const validators = {};
+      if (cached?.etag) validators['If-None-Match'] = cached.etag;
+      if (cached?.lastModified) validators['If-Modified-Since'] = cached.lastModified;
+
+      const resp = await this.fetchWithTimeout(key, {
+        signal,
+        headers: validators,
+        redirect: 'manual',
+        dispatcher: this.crawlerDispatcher()
+      }, timeoutMs);
+      if (resp.status === 304 && cached) {
+        await resp.body?.cancel();
+        cached.expiresAt = Date.now() + config.crawler.cacheTtlMs;
+        this.touchPage(key, cached);
+        return { url: key, status: cached.status, ok: true, body: cached.body, truncated: false, fromCache: true };
+      }
+
+      const location = resp.headers.get('location');
+      if (resp.status >= 300 && resp.status < 400 && location) {
+        await resp.body?.cancel();
+        return { location };
+      }
+
+      const { text: body, truncated } = await readText(resp, maxBytes, timeoutMs, signal);
+      if (resp.status === 200 && !truncated) this.cachePage(key, resp, body);
+      else this.pages.delete(key);
+      return { url: key, status: resp.status, ok: resp.ok, body, truncated, fromCache: false };
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Parsed robots.txt rules for our token, cached per origin. Not tied to one
+   * caller's signal: concurrent visits of the site share the request.
+   */
+  getRobots(origin) {
+    const cached = this.robots.get(origin);
+    if (cached && cached.expiresAt > Date.now()) return cached.promise;
+
+    const promise = this.fetchRobots(origin);
+    const entry = { promise, expiresAt: Date.now() + config.crawler.robotsTtlMs };
+    this.robots.set(origin, entry);
+    promise.then(robots => {
+      if (robots.unreachable) entry.expiresAt = Date.now() + ROBOTS_ERROR_TTL_MS;
+    });
+    return promise;
+  }
+
+  async fetchRobots(origin) {
+    let resp;
+    try {
+      let url = `${origin}/robots.txt`;
+      for (let hop = 0; ; hop++) {
+        resp = await this.fetchWithTimeout(url, { redirect: 'manual', dispatcher: this.crawlerDispatcher() }, DEFAULT_TIMEOUT_MS);
+        const location = resp.status >= 300 && resp.status < 400 && resp.headers.get('location');
+        if (!location) break;
+        await resp.body?.cancel();
+
+        // RFC 9309: a robots.txt behind too many redirects counts as unavailable (allow all)
+        url = new URL(location, url).href;
+        if (hop >= config.crawler.maxRedirects || !/^https?:/.test(url)) return { rules: [], crawlDelay: null };
+      }
+    } catch (err) {
+      // A site on a private network is refused outright, not just disallowed
+      const error = err.code === 'PRIVATE_ADDRESS' ? err : undefined;
+      return { rules: [{ allow: false, path: '/' }], crawlDelay: null, unreachable: true, error };
+    }
+
+    // RFC 9309: no robots.txt (4xx) allows everything, a server error disallows everything
+    if (resp.status >= 400 && resp.status < 500) {
+      await resp.body?.cancel();
+      return { rules: [], crawlDelay: null };
+    }
+    if (!resp.ok) {
+      await resp.body?.cancel();
+      return { rules: [{ allow: false, path: '/' }], crawlDelay: null, unreachable: true };
+    }
+
+    let text;
+    try {
+      ({ text } = await readText(resp, ROBOTS_MAX_BYTES, DEFAULT_TIMEOUT_MS));
+    } catch {
+      return { rules: [{ allow: false, path: '/' }], crawlDelay: null, unreachable: true };
+    }
+    return rulesFor(parseRobots(text), config.crawler.robotsToken);
+  }
+
+  /**
+   * Dispatcher for scraper requests that refuses to connect to loopback,
+   * private, link-local or ULA addresses: IP literals are checked as they are,
+   * names through publicLookup on the connecting socket. Undefined (the
+   * default dispatcher) when config.crawler.allowPrivateNetworks is set.
+   */
+  crawlerDispatcher() {
+    if (config.crawler.allowPrivateNetworks) return undefined;
+    if (!this.dispatcher) {
+      const connect = buildConnector({ lookup: publicLookup(this.lookup) });
+      this.dispatcher = new Agent({
+        connect: (opts, callback) => {
+          if (!isPublicHost(opts.hostname)) return callback(privateAddressError(opts.hostname, opts.hostname), null);
+          connect(opts, callback);
+        }
+      });
+    }
+    return this.dispatcher;
+  }
+
+  /**
+   * Wait for a free request slot on a host; returns the release function
+   */
+  async acquireHost(host, delayMs, signal) {
+    let slot = this.hosts.get(host);
+    if (!slot) {
+      slot = { active: 0, nextAt: 0, waiters: new Set() };
+      this.hosts.set(host, slot);
+    }
+
+    while (slot.active >= config.crawler.hostConcurrency || Date.now() < slot.nextAt) {
+      const waitMs = slot.active >= config.crawler.hostConcurrency ? null : slot.nextAt - Date.now();
+      await waitForSlot(slot, waitMs, signal);
+    }
+
+    slot.active++;
+    slot.nextAt = Date.now() + delayMs;
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      slot.active--;
+      slot.waiters.forEach(wake => wake());
+      if (slot.active === 0 && slot.waiters.size === 0) {
+        // Forget idle hosts once their delay has passed
+        setTimeout(() => {
+          if (slot.active === 0 && slot.waiters.size === 0 && this.hosts.get(host) === slot) this.hosts.delete(host);
+        }, Math.max(0, slot.nextAt - Date.now())).unref();
+      }
+    };
+  }
+
+  cachePage(key, resp, body) {
+    const cacheControl = resp.headers.get('cache-control') || '';
+    if (/no-store/i.test(cacheControl) || Buffer.byteLength(body) > config.crawler.cacheMaxBytes) {
+      this.pages.delete(key);
+      return;
+    }
+    this.touchPage(key, {
+      status: resp.status,
+      body,
+      etag: resp.headers.get('etag'),
+      lastModified: resp.headers.get('last-modified'),
+      expiresAt: Date.now() + config.crawler.cacheTtlMs
+    });
+    while (this.pages.size > config.crawler.cacheMaxEntries) {
+      this.pages.delete(this.pages.keys().next().value);
+    }
+  }
+
+  // Move to the newest end, so eviction drops the least recently used page
+  touchPage(key, entry) {
+    this.pages.delete(key);
+    this.pages.set(key, entry);
+  }
+}
+
+/**
+ * Body of a response as text, reading at most maxBytes. The rest is not downloaded.
+ * Aborts after timeoutMs (the headers' timeout is over by now) or when signal aborts.
+ * @returns {Promise<{text: string, truncated: boolean}>}
+ */
+async function readText(resp, maxBytes, timeoutMs, signal) {
+  if (!resp.body) return { text: '', truncated: false };
+
+  const reader = resp.body.getReader();
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    reader.cancel().catch(() => {});
+  }, timeoutMs);
+  const onAbort = () => reader.cancel().catch(() => {});
+  signal?.addEventListener('abort', onAbort, { once: true });
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      if (size + value.length > maxBytes) {
+        chunks.push(value.subarray(0, maxBytes - size));
+        truncated = true;
+        await reader.cancel();
+        break;
+      }
+      chunks.push(value);
+      size += value.length;
+    }
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+  signal?.throwIfAborted();
+  if (timedOut) throw fetchError('Timed out reading the response body', 'ETIMEDOUT');
+  return { text: new TextDecoder().decode(Buffer.concat(chunks)), truncated };
+}
+
+function fetchError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Settle with the promise, or reject as soon as signal aborts
+ */
+function untilAborted(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Resolve when the slot frees up or waitMs passes; reject when signal aborts
+ */
+function waitForSlot(slot, waitMs, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+
+    let timer = null;
+    const done = () => {
+      clearTimeout(timer);
+      slot.waiters.delete(done);
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    };
+    const onAbort = () => {
+      clearTimeout(timer);
+      slot.waiters.delete(done);
+      reject(signal.reason);
+    };
+
+    slot.waiters.add(done);
+    if (waitMs !== null) timer = setTimeout(done, waitMs);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+module.exports = new FetchService();
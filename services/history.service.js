@@ -0,0 +1,93 @@
+const { v4: uuidv4 } = require('uuid');
+const storeService = require('./store.service');
+
+const HISTORY = 'sentHistory';
+
+// Fields left out of list results (the full message is on the detail endpoint)
+const HEAVY_FIELDS = ['html', 'text'];
+
+/**
+ * Sent-mail log: one record per sent message, including the rendered HTML/text.
+ * A send retried by the queue keeps a single record keyed by its job id.
+ */
+class HistoryService {
+  getHistory() {
+    return storeService.getCollection(HISTORY);
+  }
+
+  getRecord(id) {
+    return this.getHistory().find(record => record.id === id) || null;
+  }
+
+  getRecordByJobId(jobId) {
+    return this.getHistory().find(record => record.jobId && record.jobId === jobId) || null;
+  }
+
+  getRecordByMessageId(messageId) {
+    const wanted = normalizeMessageId(messageId);
+    return this.getHistory().find(record => normalizeMessageId(record.messageId) === wanted) || null;
+  }
+
+  /**
+   * Insert a record, or update the one already logged for the same job
+   */
+  record(entry) {
+    const history = this.getHistory();
+    const now = new Date().toISOString();
+    const index = entry.jobId ? history.findIndex(r => r.jobId === entry.jobId) : -1;
+
+    let saved;
+    if (index !== -1) {
+      saved = { ...history[index], ...entry, attempts: (history[index].attempts || 1) + 1, updatedAt: now };
+      history[index] = saved;
+    } else {
+      saved = { id: uuidv4(), ...entry, attempts: 1, createdAt: now, updatedAt: now };
+      history.push(saved);
+    }
+
+    storeService.setCollection(HISTORY, history);
+    return saved;
+  }
+
+  updateRecord(id, changes) {
+    const history = this.getHistory();
+    const index = history.findIndex(record => record.id === id);
+    if (index === -1) return null;
+
+    history[index] = { ...history[index], ...changes, updatedAt: new Date().toISOString() };
+    storeService.setCollection(HISTORY, history);
+    return history[index];
+  }
+
+  /**
+   * Filter records: recipient (substring, e.g. a company domain), subject text,
+   * status, profileId and a since/until date range. Newest first.
+   */
+  search(records, { recipient, q, status, profileId, since, until } = {}) {
+    const recipientNeedle = (recipient || '').toLowerCase();
+    const subjectNeedle = (q || '').toLowerCase();
+
+    return records
+      .filter(r => !recipientNeedle ||
+        [...r.to, ...r.cc, ...r.bcc].some(addr => addr.toLowerCase().includes(recipientNeedle)))
+      .filter(r => !subjectNeedle || (r.subject || '').toLowerCase().includes(subjectNeedle))
+      .filter(r => !status || r.status === status)
+      .filter(r => !profileId || r.profileId === profileId)
+      .filter(r => !since || r.sentAt >= new Date(since).toISOString())
+      .filter(r => !until || r.sentAt <= new Date(until).toISOString())
+      .sort((a, b) => b.sentAt.localeCompare(a.sentAt));
+  }
+
+  toSummary(record) {
+    const summary = { ...record };
+    HEAVY_FIELDS.forEach(field => delete summary[field]);
+    return summary;
+  }
+}
+
+function normalizeMessageId(messageId) {
+  return String(messageId || '').trim().replace(/^<|>$/g, '').toLowerCase();
+}
+
+module.exports = new HistoryService();
+module.exports.normalizeMessageId = normalizeMessageId;
@@ -0,0 +1,316 @@
+const { v4: uuidv4 } = require('uuid');
+const storeService = require('./store.service');
+const HttpError = require('../utils/http-error');
+const { toCsv } = require('../utils/csv');
+const { normalizeEmail, parseAddress } = require('../utils/address');
+
+const LEADS = 'leads';
+const CATEGORIES = ['hr', 'general'];
+const DEFAULT_STATUS = 'new';
+const MAX_SOURCES = 20;
+const EDITABLE_FIELDS = ['name', 'company', 'category', 'status', 'notes'];
+const CSV_COLUMNS = [
+  'email', 'aliases', 'name', 'company', 'domain', 'category', 'status', 'sourceUrl', 'pageTitle', 'query',
+  'method', 'score', 'firstSeenAt', 'lastSeenAt', 'seenCount', 'lastContactedAt', 'notes'
+];
+
+/**
+ * Lead database: scraped addresses kept per user across runs, with where and
+ * when they were seen. The same address seen again updates its lead.
+ */
+class LeadService {
+  getLeads() {
+    return storeService.getCollection(LEADS);
+  }
+
+  getLead(id) {
+    return this.getLeads().find(lead => lead.id === id) || null;
+  }
+
+  /**
+   * A user's lead for an address, including addresses merged into another lead
+   */
+  findByEmail(ownerId, email) {
+    const needle = normalizeEmail(email);
+    return this.getLeads().find(lead => lead.ownerId === ownerId &&
+      (lead.email === needle || (lead.aliases || []).includes(needle))) || null;
+  }
+
+  /**
+   * Filter leads: q (email, name, company, title, notes), category, status,
+   * domain and a lastSeenAt since/until range. Most recently seen first, or
+   * best classification score first with sort=score.
+   */
+  search(leads, { q, category, status, domain, since, until, sort } = {}) {
+    const needle = (q || '').toLowerCase();
+    const domainNeedle = (domain || '').toLowerCase();
+
+    return leads
+      .filter(lead => !needle || [lead.email, lead.name, lead.company, lead.pageTitle, lead.notes]
+        .some(value => (value || '').toLowerCase().includes(needle)))
+      .filter(lead => !category || lead.category === category)
+      .filter(lead => !status || lead.status === status)
+      .filter(lead => !domainNeedle || lead.domain === domainNeedle || lead.domain.endsWith(`.${domainNeedle}`))
+      .filter(lead => !since || lead.lastSeenAt >= new Date(since).toISOString())
+      .filter(lead => !until || lead.lastSeenAt <= new Date(until).toISOString())
+      .sort((a, b) => (sort === 'score' && (b.score ?? -1) - (a.score ?? -1)) || b.lastSeenAt.localeCompare(a.lastSeenAt));
+  }
+
+  /**
+   * Add a lead by hand
+   */
+  create(data, ownerId) {
+    const parsed = parseAddress(data.email);
+    if (parsed.error) throw new HttpError(400, `Invalid email address: ${data.email} (${parsed.error})`);
+
+    const existing = this.findByEmail(ownerId, parsed.email);
+    if (existing) {
+      const error = new HttpError(409, `Lead already exists for ${existing.email}`);
+      error.leadId = existing.id;
+      throw error;
+    }
+
+    const lead = newLead(normalizeEmail(parsed.email), ownerId, new Date().toISOString());
+    Object.assign(lead, pickEditable({ category: 'general', ...data }));
+    lead.categorySetByUser = data.category !== undefined;
+    storeService.setCollection(LEADS, [...this.getLeads(), lead]);
+    return lead;
+  }
+
+  update(id, changes) {
+    const leads = this.getLeads();
+    const index = leads.findIndex(lead => lead.id === id);
+    if (index === -1) return null;
+
+    const picked = pickEditable(changes);
+    leads[index] = {
+      ...leads[index],
+      ...picked,
+      ...(picked.category !== undefined && { categorySetByUser: true }),
+      updatedAt: new Date().toISOString()
+    };
+    storeService.setCollection(LEADS, leads);
+    return leads[index];
+  }
+
+  remove(id) {
+    const lead = this.getLead(id);
+    if (!lead) return null;
+    storeService.setCollection(LEADS, this.getLeads().filter(l => l.id !== id));
+    return lead;
+  }
+
+  /**
+   * Store every address of a scraping result (page and snippet emails)
+   * @param {object} result runEmailHunt or scrapeDomains result
+   * @returns {{created: number, updated: number}}
+   */
+  recordScrape(result, { ownerId, query = null }) {
+    const hr = new Set(result.hrEmails);
+    const sightings = [];
+    const onPages = new Set();
+
+    // Crawl mode nests the pages of each domain
+    result.scrapedUrls.flatMap(entry => entry.pages || [entry]).forEach(page => {
+      page.emails.all.forEach(email => {
+        onPages.add(email);
+        sightings.push({
+          email,
+          category: hr.has(email) ? 'hr' : 'general',
+          url: page.url,
+          title: page.title || null,
+          query,
+          method: page.emailSources?.[email] || null,
+          score: result.emailScores?.[email]?.score ?? null
+        });
+      });
+    });
+
+    // Found in search snippets only
+    [...result.hrEmails, ...result.generalEmails]
+      .filter(email => !onPages.has(email))
+      .forEach(email => sightings.push({
+        email,
+        category: hr.has(email) ? 'hr' : 'general',
+        url: null,
+        title: null,
+        query,
+        method: result.emailSources?.[email] || null,
+        score: result.emailScores?.[email]?.score ?? null
+      }));
+
+    return this.recordSightings(sightings, ownerId);
+  }
+
+  /**
+   * Create or refresh leads in one write
+   * @param {Array<{email, category, url, title, query, method, score}>} sightings
+   */
+  recordSightings(sightings, ownerId) {
+    const leads = this.getLeads();
+    const now = new Date().toISOString();
+    const created = new Set();
+    const touched = new Set();
+
+    sightings.forEach(sighting => {
+      const email = normalizeEmail(sighting.email);
+      let lead = leads.find(l => l.ownerId === ownerId && (l.email === email || (l.aliases || []).includes(email)));
+      if (!lead) {
+        lead = newLead(email, ownerId, now);
+        leads.push(lead);
+        created.add(lead.id);
+      }
+
+      // One run counts once per lead, however many pages showed the address
+      if (!touched.has(lead.id)) {
+        lead.seenCount = (lead.seenCount || 0) + 1;
+        touched.add(lead.id);
+      }
+      lead.lastSeenAt = now;
+      lead.updatedAt = now;
+      if (sighting.category === 'hr') lead.category = 'hr';
+      // Best classification score seen so far
+      if (sighting.score !== null && sighting.score !== undefined) lead.score = Math.max(lead.score ?? 0, sighting.score);
+      if (sighting.url || !lead.sourceUrl) {
+        lead.sourceUrl = sighting.url || null;
+        lead.pageTitle = sighting.title || null;
+        lead.method = sighting.method || lead.method || null;
+      }
+      if (sighting.query) lead.query = sighting.query;
+      addSource(lead, { url: sighting.url, title: sighting.title, query: sighting.query, method: sighting.method, seenAt: now });
+    });
+
+    storeService.setCollection(LEADS, leads);
+    return { created: created.size, updated: touched.size - created.size };
+  }
+
+  /**
+   * Fold duplicate leads into the first one: sightings, dates and notes are
+   * combined and the other addresses become aliases of the kept lead
+   */
+  merge(ids) {
+    const leads = this.getLeads();
+    const merged = ids.map(id => leads.find(lead => lead.id === id));
+    const [target, ...others] = merged;
+    const now = new Date().toISOString();
+
+    others.forEach(other => {
+      target.aliases = [...new Set([...(target.aliases || []), other.email, ...(other.aliases || [])])]
+        .filter(email => email !== target.email);
+      target.name = target.name || other.name;
+      target.company = target.company || other.company;
+      if (other.category === 'hr') target.category = 'hr';
+      if (target.status === DEFAULT_STATUS) target.status = other.status;
+      target.notes = [target.notes, other.notes].filter(Boolean).join('\n') || null;
+      target.firstSeenAt = [target.firstSeenAt, other.firstSeenAt].sort()[0];
+      target.lastSeenAt = [target.lastSeenAt, other.lastSeenAt].sort()[1];
+      target.lastContactedAt = [target.lastContactedAt, other.lastContactedAt].filter(Boolean).sort().pop() || null;
+      target.seenCount = (target.seenCount || 0) + (other.seenCount || 0);
+      if (other.score !== null && other.score !== undefined) target.score = Math.max(target.score ?? 0, other.score);
+      [...other.sources].sort((a, b) => a.seenAt.localeCompare(b.seenAt)).forEach(source => addSource(target, source));
+    });
+    target.updatedAt = now;
+
+    const removed = new Set(others.map(other => other.id));
+    storeService.setCollection(LEADS, leads.filter(lead => !removed.has(lead.id)));
+    return target;
+  }
+
+  /**
+   * Score every lead again after the classification rules changed. The titles
+   * of the pages an address was seen on stand in for the page text, which is
+   * not stored. A category set by hand is kept.
+   * @param {(email: string, context: string) => {score: number, category: string}} score
+   * @returns {number} leads whose category or score changed
+   */
+  reclassify(score) {
+    const leads = this.getLeads();
+    const now = new Date().toISOString();
+    let changed = 0;
+
+    leads.forEach(lead => {
+      const context = [lead.pageTitle, ...(lead.sources || []).map(source => source.title)].filter(Boolean).join(' ');
+      const result = score(lead.email, context);
+      const category = lead.categorySetByUser ? lead.category : (result.category === 'hr' ? 'hr' : 'general');
+      if (category === lead.category && result.score === lead.score) return;
+
+      lead.category = category;
+      lead.score = result.score;
+      lead.updatedAt = now;
+      changed++;
+    });
+
+    if (changed) storeService.setCollection(LEADS, leads);
+    return changed;
+  }
+
+  /**
+   * Remember that a message was queued to these leads
+   */
+  markContacted(ids) {
+    const leads = this.getLeads();
+    const now = new Date().toISOString();
+    leads.filter(lead => ids.includes(lead.id)).forEach(lead => {
+      lead.lastContactedAt = now;
+      lead.updatedAt = now;
+    });
+    storeService.setCollection(LEADS, leads);
+  }
+
+  exportCsv(leads) {
+    return toCsv(leads, CSV_COLUMNS);
+  }
+}
+
+function newLead(email, ownerId, now) {
+  const domain = email.slice(email.lastIndexOf('@') + 1);
+  return {
+    id: uuidv4(),
+    ownerId,
+    email,
+    aliases: [],
+    domain,
+    name: null,
+    company: null,
+    category: 'general',
+    categorySetByUser: false,
+    status: DEFAULT_STATUS,
+    notes: null,
+    sourceUrl: null,
+    pageTitle: null,
+    query: null,
+    method: null,
+    score: null,
+    sources: [],
+    seenCount: 0,
+    firstSeenAt: now,
+    lastSeenAt: now,
+    lastContactedAt: null,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+function pickEditable(data) {
+  const picked = {};
+  EDITABLE_FIELDS.filter(field => data[field] !== undefined).forEach(field => {
+    const value = data[field] === null ? null : String(data[field]).trim();
+    picked[field] = value || null;
+  });
+
+  if (picked.category !== undefined && !CATEGORIES.includes(picked.category)) {
+    throw new HttpError(400, `Category must be one of: ${CATEGORIES.join(', ')}`);
+  }
+  if ('status' in picked && !picked.status) picked.status = DEFAULT_STATUS;
+  return picked;
+}
+
+/**
+ * Keep one sighting per URL (the latest), at most MAX_SOURCES
+ */
+function addSource(lead, source) {
+  lead.sources = [...(lead.sources || []).filter(s => s.url !== source.url), source].slice(-MAX_SOURCES);
+}
+
+module.exports = new LeadService();
+module.exports.CATEGORIES = CATEGORIES;
@@ -0,0 +1,209 @@
+const { ImapFlow } = require('imapflow');
+const config = require('../config/default');
+const storeService = require('./store.service');
+
+const MAILBOX_STATE = 'mailboxState';
+// Fetched with the envelope to decide which messages are downloaded
+const CANDIDATE_HEADERS = ['content-type', 'x-failed-recipients', 'references'];
+
+/**
+ * IMAP mailbox reader for SMTP profiles that have imap settings
+ * ({ host, port, secure, mailbox, rejectUnauthorized }; credentials are the profile's).
+ * Remembers the last seen UID per profile/mailbox so each message is handled once.
+ * Without that cursor (first sync, or a new UIDVALIDITY) only the last
+ * config.mailbox.backfillDays days are read, not the whole mailbox.
+ * New messages are read as envelope and a few headers first; the full source is
+ * downloaded only when a handler's accepts() wants the message.
+ */
+class MailboxService {
+  constructor() {
+    this.handlers = [];
+    this.timer = null;
+    this.syncing = false;
+  }
+
+  /**
+   * @param {function(Buffer, object)} handler receives the raw message and { profile, mailbox, uid }
+   * @param {{accepts?: function({uid, envelope, headers: Map}): boolean}} options accepts picks the
+   *   messages worth downloading from their envelope and headers (default: all of them)
+   */
+  addHandler(handler, { accepts = () => true } = {}) {
+    this.handlers.push({ handle: handler, accepts });
+  }
+
+  getState(profileId, mailbox) {
+    return storeService.getCollection(MAILBOX_STATE)
+      .find(s => s.profileId === profileId && s.mailbox === mailbox) || null;
+  }
+
+  saveState(state) {
+    const states = storeService.getCollection(MAILBOX_STATE)
+      .filter(s => !(s.profileId === state.profileId && s.mailbox === state.mailbox));
+    storeService.setCollection(MAILBOX_STATE, [...states, state]);
+    return state;
+  }
+
+  getImapProfiles() {
+    return storeService.getSmtpProfiles().filter(profile => profile.imap?.host);
+  }
+
+  createClient(profile) {
+    const imap = profile.imap;
+    return new ImapFlow({
+      host: imap.host,
+      port: imap.port || 993,
+      secure: imap.secure !== false,
+      auth: { user: profile.auth.user, pass: profile.auth.pass },
+      tls: { rejectUnauthorized: imap.rejectUnauthorized !== false },
+      logger: false
+    });
+  }
+
+  /**
+   * Fetch messages that arrived since the last sync and pass the ones a handler
+   * accepts to the handlers
+   * @returns {{ profileId: string, mailbox: string, fetched: number }} fetched counts downloaded messages
+   */
+  async syncProfile(profile) {
+    const mailbox = profile.imap.mailbox || 'INBOX';
+    const previous = this.getState(profile.id, mailbox);
+    const client = this.createClient(profile);
+    let fetched = 0;
+    let lastUid = 0;
+    let uidValidity = null;
+
+    try {
+      await client.connect();
+      const lock = await client.getMailboxLock(mailbox);
+      try {
+        uidValidity = String(client.mailbox.uidValidity);
+        // A new UIDVALIDITY means the old UIDs are meaningless; start over
+        const resume = previous && previous.uidValidity === uidValidity;
+        let range = null;
+        let newest = 0;
+
+        if (resume) {
+          lastUid = previous.lastUid;
+          range = `${lastUid + 1}:*`;
+        } else {
+          // Start at the end of the mailbox, plus a short window of recent mail
+          newest = Math.max((client.mailbox.uidNext || 1) - 1, 0);
+          const since = new Date(Date.now() - config.mailbox.backfillDays * 86400000);
+          const recent = config.mailbox.backfillDays > 0 && client.mailbox.exists > 0
+            ? await client.search({ since }, { uid: true }) || []
+            : [];
+          range = recent.length ? recent.join(',') : null;
+        }
+
+        const candidates = [];
+        if (range && client.mailbox.exists > 0) {
+          const query = { uid: true, envelope: true, headers: CANDIDATE_HEADERS };
+          for await (const message of client.fetch(range, query, { uid: true })) {
+            // "n:*" always returns the newest message, even when it is older than n
+            if (message.uid <= lastUid) continue;
+            newest = Math.max(newest, message.uid);
+
+            const summary = { uid: message.uid, envelope: message.envelope || {}, headers: parseHeaders(message.headers) };
+            if (this.handlers.some(handler => handler.accepts(summary))) candidates.push(message.uid);
+          }
+        }
+
+        if (candidates.length) {
+          for await (const message of client.fetch(candidates.join(','), { uid: true, source: true }, { uid: true })) {
+            await this.dispatch(message.source, { profile, mailbox, uid: message.uid });
+            lastUid = Math.max(lastUid, message.uid);
+            fetched++;
+          }
+        }
+        lastUid = Math.max(lastUid, newest);
+      } finally {
+        lock.release();
+      }
+      await client.logout();
+
+      this.saveState({
+        profileId: profile.id, mailbox, uidValidity, lastUid, lastSyncAt: new Date().toISOString(), lastError: null
+      });
+    } catch (err) {
+      client.close();
+      // Keep what was reached; without progress the previous cursor stays as it was
+      this.saveState({
+        profileId: profile.id,
+        mailbox,
+        uidValidity: lastUid ? uidValidity : previous?.uidValidity || null,
+        lastUid: lastUid || previous?.lastUid || 0,
+        lastSyncAt: new Date().toISOString(),
+        lastError: err.message
+      });
+      throw err;
+    }
+
+    return { profileId: profile.id, mailbox, fetched };
+  }
+
+  async dispatch(source, meta) {
+    for (const handler of this.handlers) {
+      try {
+        await handler.handle(source, meta);
+      } catch (err) {
+        console.error(`Mailbox handler failed for UID ${meta.uid}:`, err);
+      }
+    }
+  }
+
+  /**
+   * Sync every profile with IMAP settings; one failing account does not stop the others
+   */
+  async syncAll() {
+    const results = [];
+    for (const profile of this.getImapProfiles()) {
+      try {
+        results.push(await this.syncProfile(profile));
+      } catch (err) {
+        console.error(`IMAP sync failed for profile ${profile.name}:`, err.message);
+        results.push({ profileId: profile.id, error: err.message });
+      }
+    }
+    return results;
+  }
+
+  // -------------- POLLER -------------- //
+
+  start() {
+    if (this.timer || !config.mailbox.pollIntervalMs) return;
+    this.timer = setInterval(() => this.tick(), config.mailbox.pollIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * @returns {Promise<object[]|null>} sync results, or null when a sync is already running
+   */
+  async tick() {
+    if (this.syncing) return null;
+    this.syncing = true;
+    try {
+      return await this.syncAll();
+    } finally {
+      this.syncing = false;
+    }
+  }
+}
+
+/**
+ * Header lines fetched with HEADER.FIELDS, as a Map of lowercase name -> unfolded value
+ */
+function parseHeaders(raw) {
+  const headers = new Map();
+  String(raw || '').replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+    const match = line.match(/^([^:\s]+):\s*(.*)$/);
+    if (match) headers.set(match[1].toLowerCase(), match[2].trim());
+  });
+  return headers;
+}
+
+module.exports = new MailboxService();
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File persistence adapter
+ * Stores every key as its own JSON document inside a data directory.
+ * Documents are read from disk once and then served from memory; writes
+ * update memory right away and reach disk after writeDelayMs, so a burst of
+ * writes to the same collection costs one file write. Writes go to a temp
+ * file first and are renamed into place so a crash mid-write never leaves a
+ * truncated document behind.
+ */
+class FileAdapter {
+  constructor({ dataDir, writeDelayMs = 0 }) {
+    if (!dataDir) throw new Error('FileAdapter requires a dataDir');
+    this.dataDir = dataDir;
+    this.writeDelayMs = writeDelayMs;
+    // key -> serialized document, undefined when the key does not exist
+    this.cache = new Map();
+    this.dirty = new Set();
+    this.timer = null;
+    fs.mkdirSync(this.dataDir, { recursive: true });
+
+    if (this.writeDelayMs > 0) {
+      // Pending writes must not die with the process
+      process.on('exit', () => this.flush());
+      ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => {
+        this.flush();
+        process.kill(process.pid, signal);
+      }));
+    }
+  }
+
+  filePath(key) {
+    if (!/^[a-zA-Z0-9_-]+$/.test(key)) throw new Error(`Invalid storage key: ${key}`);
+    return path.join(this.dataDir, `${key}.json`);
+  }
+
+  read(key) {
+    if (!this.cache.has(key)) this.cache.set(key, this.load(key));
+    const raw = this.cache.get(key);
+    // Parsed per read so callers never share references with the cached copy
+    return raw === undefined ? undefined : JSON.parse(raw);
+  }
+
+  write(key, value) {
+    this.filePath(key);
+    this.cache.set(key, JSON.stringify(value));
+    this.dirty.add(key);
+
+    if (!this.writeDelayMs) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.writeDelayMs);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Write every pending document to disk now
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    for (const key of this.dirty) {
+      const target = this.filePath(key);
+      const tmp = `${target}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, this.cache.get(key));
+      fs.renameSync(tmp, target);
+    }
+    this.dirty.clear();
+  }
+
+  remove(key) {
+    this.cache.set(key, undefined);
+    this.dirty.delete(key);
+    try {
+      fs.unlinkSync(this.filePath(key));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  keys() {
+    const keys = new Set(fs.readdirSync(this.dataDir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => name.slice(0, -'.json'.length)));
+    this.cache.forEach((raw, key) => (raw === undefined ? keys.delete(key) : keys.add(key)));
+    return [...keys];
+  }
+
+  load(key) {
+    try {
+      return fs.readFileSync(this.filePath(key), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return undefined;
+      throw err;
+    }
+  }
+}
+
+module.exports = FileAdapter;
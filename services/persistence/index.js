@@ -0,0 +1,22 @@
+const config = require('../../config/default');
+const MemoryAdapter = require('./memory.adapter');
+const FileAdapter = require('./file.adapter');
+const SqliteAdapter = require('./sqlite.adapter');
+
+/**
+ * Build the persistence adapter selected in config.storage.driver
+ */
+function createAdapter(options = config.storage) {
+  switch (options.driver) {
+    case 'memory':
+      return new MemoryAdapter();
+    case 'file':
+      return new FileAdapter({ dataDir: options.dataDir, writeDelayMs: options.writeDelayMs });
+    case 'sqlite':
+      return new SqliteAdapter({ file: options.sqliteFile });
+    default:
+      throw new Error(`Unknown storage driver: ${options.driver}`);
+  }
+}
+
+module.exports = { createAdapter, MemoryAdapter, FileAdapter, SqliteAdapter };
@@ -0,0 +1,29 @@
+/**
+ * In-memory persistence adapter
+ * Data lives only as long as the process; intended for tests and local experiments
+ */
+class MemoryAdapter {
+  constructor() {
+    this.data = new Map();
+  }
+
+  read(key) {
+    if (!this.data.has(key)) return undefined;
+    return JSON.parse(this.data.get(key));
+  }
+
+  write(key, value) {
+    // Serialize on write so callers never share references with the stored copy
+    this.data.set(key, JSON.stringify(value));
+  }
+
+  remove(key) {
+    this.data.delete(key);
+  }
+
+  keys() {
+    return [...this.data.keys()];
+  }
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,172 @@
+const config = require('../../config/default');
+
+/**
+ * Schema migrations
+ * Each migration runs once, in version order, and receives the raw adapter.
+ * Append new entries at the end; never edit one that has already shipped.
+ */
+const migrations = [
+  {
+    version: 1,
+    description: 'Initial schema: SMTP config and drafts',
+    up(adapter) {
+      if (adapter.read('smtpConfig') === undefined) adapter.write('smtpConfig', config.smtp);
+      if (adapter.read('drafts') === undefined) adapter.write('drafts', []);
+    }
+  },
+  {
+    version: 2,
+    description: 'Named SMTP profiles replace the single SMTP config',
+    up(adapter) {
+      const profiles = adapter.read('smtpProfiles') || [];
+      const legacy = adapter.read('smtpConfig');
+
+      if (legacy && legacy.host && profiles.length === 0) {
+        const now = new Date().toISOString();
+        profiles.push({
+          ...legacy,
+          id: require('uuid').v4(),
+          name: 'Default',
+          isDefault: true,
+          createdAt: now,
+          updatedAt: now
+        });
+      }
+
+      adapter.write('smtpProfiles', profiles);
+      adapter.remove('smtpConfig');
+    }
+  },
+  {
+    version: 3,
+    description: 'Encrypt stored SMTP passwords',
+    up(adapter) {
+      const secretService = require('../secret.service');
+      const profiles = (adapter.read('smtpProfiles') || []).map(profile => {
+        const pass = profile.auth?.pass;
+        if (!pass || secretService.isEncrypted(pass)) return profile;
+        return { ...profile, auth: { ...profile.auth, pass: secretService.encrypt(pass) } };
+      });
+      adapter.write('smtpProfiles', profiles);
+    }
+  },
+  {
+    version: 4,
+    description: 'User accounts and sessions; existing drafts go to the bootstrap admin',
+    up(adapter) {
+      const { hashPassword } = require('../../utils/password');
+      const users = adapter.read('users') || [];
+      let admin = users.find(user => user.role === 'admin');
+
+      if (!admin) {
+        // No ADMIN_PASSWORD: a random password that must be changed at first login
+        const oneTime = !config.admin.password;
+        const password = config.admin.password || require('crypto').randomBytes(12).toString('base64url');
+        const now = new Date().toISOString();
+        admin = {
+          id: require('uuid').v4(),
+          username: config.admin.username,
+          passwordHash: hashPassword(password),
+          role: 'admin',
+          ...(oneTime && { mustChangePassword: true }),
+          createdAt: now,
+          updatedAt: now
+        };
+        users.push(admin);
+        if (oneTime) {
+          console.warn(`Created admin user "${admin.username}" with one-time password ${password} (shown only now); ` +
+            'log in and change it, or set ADMIN_PASSWORD before the first start');
+        }
+      }
+
+      const drafts = (adapter.read('drafts') || []).map(draft => ({
+        ...draft,
+        ownerId: draft.ownerId || admin.id
+      }));
+
+      adapter.write('users', users);
+      adapter.write('drafts', drafts);
+      if (adapter.read('sessions') === undefined) adapter.write('sessions', []);
+      if (adapter.read('attachments') === undefined) adapter.write('attachments', []);
+    }
+  },
+  {
+    version: 5,
+    description: 'Attachment library: uploads move out of /tmp and get ids, labels, versions and content hashes',
+    up(adapter) {
+      const crypto = require('crypto');
+      const fs = require('fs');
+      const path = require('path');
+      const now = new Date().toISOString();
+      const versions = new Map();
+      const byFilename = new Map();
+
+      const attachments = (adapter.read('attachments') || []).map(legacy => {
+        // Files already deleted after a send keep their record, without content
+        let sha256 = null;
+        const tmpPath = path.join('/tmp', legacy.filename);
+        if (fs.existsSync(tmpPath)) {
+          const content = fs.readFileSync(tmpPath);
+          sha256 = crypto.createHash('sha256').update(content).digest('hex');
+          const target = path.join(config.attachments.dir, sha256);
+          fs.mkdirSync(config.attachments.dir, { recursive: true });
+          if (!fs.existsSync(target)) fs.writeFileSync(target, content);
+          fs.unlinkSync(tmpPath);
+        }
+
+        const versionKey = `${legacy.ownerId}:${legacy.originalname.toLowerCase()}`;
+        versions.set(versionKey, (versions.get(versionKey) || 0) + 1);
+        const attachment = {
+          id: require('uuid').v4(),
+          ownerId: legacy.ownerId,
+          label: legacy.originalname,
+          version: versions.get(versionKey),
+          filename: legacy.filename,
+          originalname: legacy.originalname,
+          mimetype: legacy.mimetype,
+          size: legacy.size,
+          sha256,
+          storageKey: sha256,
+          useCount: 0,
+          lastUsedAt: null,
+          createdAt: legacy.createdAt || now
+        };
+        byFilename.set(attachment.filename, attachment);
+        return attachment;
+      });
+
+      // Drafts point at library items by id from now on
+      const drafts = (adapter.read('drafts') || []).map(draft => ({
+        ...draft,
+        attachments: (draft.attachments || []).map(ref => {
+          const attachment = byFilename.get(ref.filename);
+          return attachment ? { ...ref, id: attachment.id, label: attachment.label, version: attachment.version } : ref;
+        })
+      }));
+
+      adapter.write('attachments', attachments);
+      adapter.write('drafts', drafts);
+    }
+  }
+];
+
+/**
+ * Apply every migration newer than the stored schema version
+ */
+function runMigrations(adapter) {
+  const meta = adapter.read('meta') || { schemaVersion: 0 };
+
+  for (const migration of migrations) {
+    if (migration.version <= meta.schemaVersion) continue;
+
+    migration.up(adapter);
+    meta.schemaVersion = migration.version;
+    meta.migratedAt = new Date().toISOString();
+    adapter.write('meta', meta);
+    console.log(`Store migrated to schema v${migration.version}: ${migration.description}`);
+  }
+
+  return meta.schemaVersion;
+}
+
+module.exports = { migrations, runMigrations };
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SQLite persistence adapter
+ * Every key is one row holding its JSON document, so writing a collection
+ * touches that row only. Needs the optional better-sqlite3 package.
+ */
+class SqliteAdapter {
+  constructor({ file }) {
+    if (!file) throw new Error('SqliteAdapter requires a file');
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (err) {
+      throw new Error('The sqlite storage driver needs the better-sqlite3 package: npm install better-sqlite3');
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`CREATE TABLE IF NOT EXISTS documents (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )`);
+
+    this.statements = {
+      read: this.db.prepare('SELECT value FROM documents WHERE key = ?'),
+      write: this.db.prepare(`INSERT INTO documents (key, value, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`),
+      remove: this.db.prepare('DELETE FROM documents WHERE key = ?'),
+      keys: this.db.prepare('SELECT key FROM documents ORDER BY key')
+    };
+  }
+
+  read(key) {
+    const row = this.statements.read.get(key);
+    return row ? JSON.parse(row.value) : undefined;
+  }
+
+  write(key, value) {
+    this.statements.write.run(key, JSON.stringify(value), new Date().toISOString());
+  }
+
+  remove(key) {
+    this.statements.remove.run(key);
+  }
+
+  keys() {
+    return this.statements.keys.all().map(row => row.key);
+  }
+}
+
+module.exports = SqliteAdapter;
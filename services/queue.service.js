@@ -0,0 +1,245 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/default');
+const storeService = require('./store.service');
+const emailService = require('./email.service');
+const historyService = require('./history.service');
+
+// Network-level nodemailer/Node error codes worth retrying
+const TRANSIENT_ERROR_CODES = [
+  'ETIMEDOUT', 'ECONNECTION', 'ESOCKET', 'ECONNRESET', 'ECONNREFUSED', 'EDNS', 'EAI_AGAIN', 'EPIPE'
+];
+
+const JOBS = 'sendJobs';
+const DEAD_LETTERS = 'sendDeadLetters';
+
+/**
+ * Durable send queue.
+ * Jobs are persisted through the store, so queued and retrying sends survive restarts.
+ * Transient failures (SMTP 4xx, timeouts, dropped connections) are retried with
+ * exponential backoff; permanent failures and exhausted jobs move to the dead-letter list.
+ * Handlers registered with addHandler receive every job once it is sent or dead-lettered.
+ */
+class QueueService {
+  constructor() {
+    this.timer = null;
+    this.processing = false;
+    this.handlers = [];
+  }
+
+  addHandler(handler) {
+    this.handlers.push(handler);
+  }
+
+  enqueue(emailData, { ownerId, campaignId } = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: config.queue.maxAttempts,
+      nextAttemptAt: now,
+      lastError: null,
+      messageId: null,
+      ownerId: ownerId || null,
+      campaignId: campaignId || null,
+      emailData,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    storeService.setCollection(JOBS, [...storeService.getCollection(JOBS), job]);
+    // Pick it up right away instead of waiting for the next poll
+    if (this.timer) setImmediate(() => this.tick());
+    return job;
+  }
+
+  getJobs() {
+    return storeService.getCollection(JOBS);
+  }
+
+  getDeadLetters() {
+    return storeService.getCollection(DEAD_LETTERS);
+  }
+
+  /**
+   * Look a job up in the queue and in the dead-letter list
+   */
+  getJob(id) {
+    return this.getJobs().find(job => job.id === id) ||
+      this.getDeadLetters().find(job => job.id === id) ||
+      null;
+  }
+
+  cancelJob(id) {
+    const job = this.getJobs().find(j => j.id === id);
+    if (!job || !['queued', 'retrying'].includes(job.status)) return null;
+    return this.updateJob(id, { status: 'cancelled', nextAttemptAt: null });
+  }
+
+  /**
+   * Move a dead-lettered job back into the queue with a fresh attempt budget
+   */
+  retryJob(id) {
+    const deadLetters = this.getDeadLetters();
+    const job = deadLetters.find(j => j.id === id);
+    if (!job) return null;
+
+    const now = new Date().toISOString();
+    const requeued = { ...job, status: 'queued', attempts: 0, nextAttemptAt: now, updatedAt: now };
+    storeService.setCollection(DEAD_LETTERS, deadLetters.filter(j => j.id !== id));
+    storeService.setCollection(JOBS, [...this.getJobs(), requeued]);
+    if (this.timer) setImmediate(() => this.tick());
+    return requeued;
+  }
+
+  // -------------- WORKER -------------- //
+
+  start() {
+    if (this.timer) return;
+
+    // A job still marked "sending" was interrupted by a restart; send it again
+    const jobs = this.getJobs().map(job => (
+      job.status === 'sending' ? { ...job, status: 'queued' } : job
+    ));
+    storeService.setCollection(JOBS, jobs);
+
+    this.timer = setInterval(() => this.tick(), config.queue.pollIntervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      let job;
+      while ((job = this.nextDueJob())) {
+        await this.processJob(job);
+      }
+      this.pruneSentJobs();
+    } catch (err) {
+      console.error('Send queue error:', err);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  nextDueJob() {
+    const now = new Date().toISOString();
+    return this.getJobs().find(job =>
+      ['queued', 'retrying'].includes(job.status) && job.nextAttemptAt <= now) || null;
+  }
+
+  async processJob(job) {
+    const attempts = job.attempts + 1;
+    this.updateJob(job.id, { status: 'sending', attempts });
+
+    try {
+      const info = await emailService.sendEmail(job.emailData, {
+        ownerId: job.ownerId,
+        jobId: job.id,
+        campaignId: job.campaignId
+      });
+      const sent = this.updateJob(job.id, {
+        status: 'sent',
+        messageId: info.messageId,
+        historyId: info.historyId,
+        lastError: null,
+        nextAttemptAt: null,
+        completedAt: new Date().toISOString()
+      });
+      console.log(`Job ${job.id} sent to ${job.emailData.to} (attempt ${attempts})`);
+      this.notify(sent);
+    } catch (error) {
+      const lastError = {
+        message: error.message,
+        code: error.code || null,
+        responseCode: error.responseCode || null,
+        at: new Date().toISOString()
+      };
+
+      if (isTransientError(error) && attempts < job.maxAttempts) {
+        const delay = Math.min(config.queue.baseDelayMs * 2 ** (attempts - 1), config.queue.maxDelayMs);
+        const record = historyService.getRecordByJobId(job.id);
+        if (record) historyService.updateRecord(record.id, { status: 'retrying' });
+        this.updateJob(job.id, {
+          status: 'retrying',
+          lastError,
+          nextAttemptAt: new Date(Date.now() + delay).toISOString()
+        });
+        console.warn(`Job ${job.id} failed transiently, retrying in ${delay}ms: ${error.message}`);
+      } else {
+        const failed = this.deadLetter(job.id, lastError);
+        console.error(`Job ${job.id} failed permanently: ${error.message}`);
+        this.notify(failed);
+      }
+    }
+  }
+
+  updateJob(id, changes) {
+    const jobs = this.getJobs();
+    const index = jobs.findIndex(job => job.id === id);
+    if (index === -1) return null;
+
+    jobs[index] = { ...jobs[index], ...changes, updatedAt: new Date().toISOString() };
+    storeService.setCollection(JOBS, jobs);
+    return jobs[index];
+  }
+
+  deadLetter(id, lastError) {
+    const job = this.getJobs().find(j => j.id === id);
+    const now = new Date().toISOString();
+    const failed = { ...job, status: 'failed', lastError, nextAttemptAt: null, updatedAt: now, failedAt: now };
+    storeService.setCollection(JOBS, this.getJobs().filter(j => j.id !== id));
+    storeService.setCollection(DEAD_LETTERS, [...this.getDeadLetters(), failed]);
+    return failed;
+  }
+
+  notify(job) {
+    this.handlers.forEach(handler => {
+      try {
+        handler(job);
+      } catch (err) {
+        console.error(`Send queue handler failed for job ${job.id}:`, err);
+      }
+    });
+  }
+
+  pruneSentJobs() {
+    const cutoff = new Date(Date.now() - config.queue.retainSentDays * 86400000).toISOString();
+    const jobs = this.getJobs();
+    const kept = jobs.filter(job =>
+      !['sent', 'cancelled'].includes(job.status) || job.updatedAt > cutoff);
+    if (kept.length !== jobs.length) storeService.setCollection(JOBS, kept);
+  }
+
+  /**
+   * Public view of a job, without the full message body
+   */
+  toPublicJob(job) {
+    const { emailData, ...rest } = job;
+    return {
+      ...rest,
+      to: emailData.to,
+      subject: emailData.subject,
+      profileId: emailData.profileId || null
+    };
+  }
+}
+
+/**
+ * SMTP 4xx replies and connection-level failures are transient; everything else is permanent
+ */
+function isTransientError(error) {
+  if (error.statusCode) return false;
+  if (error.responseCode) return error.responseCode >= 400 && error.responseCode < 500;
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+module.exports = new QueueService();
+module.exports.isTransientError = isTransientError;
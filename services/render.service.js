@@ -0,0 +1,304 @@
+const cheerio = require('cheerio');
+const juice = require('juice');
+const attachmentService = require('./attachment.service');
+const { findPlaceholders, escapeHtml } = require('../utils/template');
+
+// Gmail clips message bodies above ~102 KB behind a "View entire message" link
+const GMAIL_CLIP_BYTES = 102 * 1024;
+// Most providers (Gmail, Outlook) reject messages above 25 MB
+const MAX_MESSAGE_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Email renderer
+ * Turns editor HTML into the exact HTML document that is sent, and reports
+ * what the preparation did and anything likely to render badly.
+ */
+class RenderService {
+  /**
+   * Undo what the editor does to the HTML it hands over: Quill code-block
+   * wrappers and entity-escaped markup
+   * @returns {{ html: string, transforms: string[] }}
+   */
+  normalizeSource(html) {
+    const transforms = [];
+    let htmlContent = html || '';
+
+    // Remove Quill wrappers if present (optional, keep if you use Quill)
+    if (htmlContent.includes('ql-code-block-container')) {
+      const matches = htmlContent.match(/<div class="ql-code-block">([\s\S]*?)<\/div>/);
+      if (matches && matches[1]) {
+        htmlContent = matches[1];
+      }
+      htmlContent = htmlContent
+        .replace(/<div class="ql-code-block-container"[^>]*>/g, '')
+        .replace(/<\/div>/g, '');
+      transforms.push('quill-unwrap');
+    }
+
+    // Decode HTML entities if needed
+    if (htmlContent.includes('&lt;')) {
+      htmlContent = htmlContent
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#039;/g, "'")
+        .replace(/&amp;/g, '&');
+      transforms.push('entity-decode');
+    }
+
+    return { html: htmlContent, transforms };
+  }
+
+  /**
+   * Run the HTML preparation pipeline used for every outgoing message.
+   * emailData.sourceNormalized marks HTML that already went through
+   * normalizeSource (merged campaign messages): decoding it again would turn
+   * escaped merge values back into markup.
+   * @returns {{ html: string, transforms: string[] }}
+   */
+  prepareHtml(emailData) {
+    const { html: source, transforms } = emailData.sourceNormalized
+      ? { html: emailData.html || '', transforms: [] }
+      : this.normalizeSource(emailData.html);
+    let htmlContent = source;
+
+    // Wrap in full HTML structure if not already
+    const hasDoctype = htmlContent.toLowerCase().includes('<!doctype') ||
+                       htmlContent.toLowerCase().includes('<html');
+    if (!hasDoctype) {
+      htmlContent = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(emailData.subject || '')}</title>
+  ${emailData.styles || ''} <!-- Optionally allow passing CSS styles -->
+</head>
+<body>
+  ${htmlContent}
+</body>
+</html>`;
+      transforms.push('document-wrap');
+    }
+
+    // Inline all CSS with juice
+    htmlContent = juice(htmlContent);
+    transforms.push('css-inline');
+
+    return { html: htmlContent, transforms };
+  }
+
+  /**
+   * Readable text/plain alternative of the final HTML.
+   * Keeps link URLs, renders lists and tables as text and drops head/style/script.
+   */
+  htmlToText(html) {
+    const $ = cheerio.load(html || '');
+    $('head, style, script, noscript, template').remove();
+
+    return renderChildren($, $('body').get(0), { listDepth: 0, pre: false })
+      .split('\n')
+      // Indentation is protected with INDENT until whitespace from the markup is stripped
+      .map(line => line.trim().replace(new RegExp(INDENT, 'g'), ' '))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Full preview: final HTML, text part, size breakdown and warnings
+   */
+  async render(emailData) {
+    const { html, transforms } = this.prepareHtml(emailData);
+    const text = emailData.text || this.htmlToText(html);
+
+    const attachments = await Promise.all((emailData.attachments || []).map(async ref => {
+      const attachment = attachmentService.findByRef(ref);
+      const stat = attachment && await attachmentService.stat(attachment).catch(() => null);
+      return stat
+        ? { filename: attachment.originalname, bytes: stat.size, found: true }
+        : { filename: attachment?.originalname || ref.originalname || ref.filename, bytes: 0, found: false };
+    }));
+
+    const size = {
+      html: Buffer.byteLength(html),
+      text: Buffer.byteLength(text),
+      // Base64 inflates attachment bytes by a third
+      attachments: attachments.reduce((sum, a) => sum + Math.ceil(a.bytes / 3) * 4, 0)
+    };
+    size.total = size.html + size.text + size.attachments;
+
+    return {
+      subject: emailData.subject,
+      html,
+      text,
+      textSource: emailData.text ? 'custom' : 'generated',
+      transforms,
+      size,
+      attachments,
+      warnings: collectWarnings(emailData, html, size, attachments)
+    };
+  }
+}
+
+// Placeholder for meaningful leading spaces (list nesting, <pre>), restored at the end
+const INDENT = '\u0000';
+
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav', 'center',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'address', 'figure', 'figcaption', 'dl', 'dt', 'dd'
+]);
+
+function renderChildren($, parent, ctx) {
+  return (parent?.children || []).map(child => renderNode($, child, ctx)).join('');
+}
+
+function renderNode($, node, ctx) {
+  if (node.type === 'text') {
+    return ctx.pre
+      ? node.data.replace(/^ +/gm, m => INDENT.repeat(m.length))
+      : node.data.replace(/\s+/g, ' ');
+  }
+  if (node.type !== 'tag') return '';
+
+  const tag = node.name.toLowerCase();
+  const inner = () => renderChildren($, node, ctx);
+
+  switch (tag) {
+    case 'br':
+      return '\n';
+    case 'hr':
+      return '\n\n----------\n\n';
+    case 'img': {
+      const alt = ($(node).attr('alt') || '').trim();
+      return alt ? `[${alt}]` : '';
+    }
+    case 'a':
+      return renderLink($, node, inner().trim());
+    case 'pre':
+      return `\n\n${renderChildren($, node, { ...ctx, pre: true })}\n\n`;
+    case 'blockquote':
+      return `\n\n${inner().trim().split('\n').map(line => `> ${line.trim()}`).join('\n')}\n\n`;
+    case 'ul':
+    case 'ol':
+      return `\n${renderList($, node, tag === 'ol', ctx)}\n`;
+    case 'table':
+      return `\n\n${renderTable($, node, ctx)}\n\n`;
+    default:
+      if (BLOCK_TAGS.has(tag)) {
+        const text = inner().trim();
+        if (!text) return '\n';
+        return /^h[1-3]$/.test(tag) ? `\n\n${text.toUpperCase()}\n\n` : `\n\n${text}\n\n`;
+      }
+      return inner();
+  }
+}
+
+function renderLink($, node, text) {
+  const href = ($(node).attr('href') || '').trim();
+  if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return text;
+
+  const target = href.replace(/^mailto:/i, '').split('?')[0];
+  const bare = t => t.replace(/^https?:\/\//i, '').replace(/\/$/, '').toLowerCase();
+  if (!text) return target;
+  if (bare(text) === bare(target)) return text;
+  return `${text} (${target})`;
+}
+
+function renderList($, node, ordered, ctx) {
+  const indent = INDENT.repeat(ctx.listDepth * 2);
+  let counter = parseInt($(node).attr('start') || '1', 10);
+
+  return $(node).children('li').toArray().map(li => {
+    const marker = ordered ? `${counter++}. ` : '- ';
+    const body = renderChildren($, li, { ...ctx, listDepth: ctx.listDepth + 1 })
+      .trim()
+      .replace(/\n{2,}/g, '\n')
+      .split('\n')
+      .map((line, i) => (i === 0 || line.startsWith(INDENT) ? line : indent + INDENT.repeat(marker.length) + line.trim()))
+      .join('\n');
+    return `${indent}${marker}${body}`;
+  }).join('\n');
+}
+
+/**
+ * Data tables become "cell | cell" rows; layout tables (one cell per row, or
+ * cells holding block content) just stack their cells
+ */
+function renderTable($, node, ctx) {
+  const rows = $(node).find('tr').filter((_, tr) => $(tr).closest('table').get(0) === node).toArray();
+
+  return rows.map(tr => {
+    const cells = $(tr).children('td, th').toArray()
+      .map(cell => renderChildren($, cell, ctx).trim())
+      .filter(Boolean);
+    const isDataRow = cells.length > 1 && cells.every(cell => !cell.includes('\n'));
+    return isDataRow ? cells.join(' | ') : cells.join('\n\n');
+  }).filter(Boolean).join('\n');
+}
+
+function collectWarnings(emailData, html, size, attachments) {
+  const warnings = [];
+  const $ = cheerio.load(html);
+
+  if (!emailData.subject || !emailData.subject.trim()) {
+    warnings.push({ code: 'missing-subject', message: 'The subject is empty' });
+  }
+  if (size.html > GMAIL_CLIP_BYTES) {
+    warnings.push({
+      code: 'gmail-clipping',
+      message: `HTML is ${Math.round(size.html / 1024)} KB; Gmail clips messages above 102 KB`
+    });
+  }
+  if (size.total > MAX_MESSAGE_BYTES) {
+    warnings.push({ code: 'message-too-large', message: 'Message exceeds the 25 MB limit of most providers' });
+  }
+
+  const placeholders = [
+    ...findPlaceholders(emailData.subject),
+    ...findPlaceholders(html)
+  ];
+  if (placeholders.length) {
+    warnings.push({
+      code: 'unresolved-placeholders',
+      message: `Unfilled placeholders: ${[...new Set(placeholders)].join(', ')}`
+    });
+  }
+
+  if ($('script').length) {
+    warnings.push({ code: 'script', message: 'Scripts are stripped or blocked by every mail client' });
+  }
+  if ($('link[rel="stylesheet"]').length) {
+    warnings.push({ code: 'external-css', message: 'External stylesheets are not inlined and most clients ignore them' });
+  }
+  if ($('form, iframe, video, embed, object').length) {
+    warnings.push({ code: 'unsupported-elements', message: 'Forms, iframes and embedded media do not work in most clients' });
+  }
+
+  $('img').each((_, el) => {
+    const src = $(el).attr('src') || '';
+    if (!$(el).attr('alt')) {
+      warnings.push({ code: 'image-alt', message: `Image without alt text: ${src.slice(0, 80)}` });
+    }
+    if (src.startsWith('data:')) {
+      warnings.push({ code: 'data-uri-image', message: 'Inline data: images are blocked by Gmail and Outlook' });
+    } else if (src && !/^(https?:|cid:)/i.test(src)) {
+      warnings.push({ code: 'relative-url', message: `Image URL is not absolute: ${src.slice(0, 80)}` });
+    }
+  });
+
+  $('a[href]').each((_, el) => {
+    const href = $(el).attr('href');
+    if (!/^(https?:|mailto:|tel:|#)/i.test(href)) {
+      warnings.push({ code: 'relative-url', message: `Link URL is not absolute: ${href.slice(0, 80)}` });
+    }
+  });
+
+  attachments.filter(a => !a.found).forEach(a => {
+    warnings.push({ code: 'missing-attachment', message: `Attachment file not found, it will be skipped: ${a.filename}` });
+  });
+
+  return warnings;
+}
+
+module.exports = new RenderService();
@@ -0,0 +1,192 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/default');
+const storeService = require('./store.service');
+const queueService = require('./queue.service');
+const suppressionService = require('./suppression.service');
+const validationService = require('./validation.service');
+const HttpError = require('../utils/http-error');
+const { resolveSendAt } = require('../utils/timezone');
+
+const SCHEDULED = 'scheduledSends';
+
+/**
+ * Scheduled sending.
+ * Entries are persisted through the store and handed to the send queue once due,
+ * including any that fell due while the server was down.
+ * An entry holds either the full emailData or a draftId read at send time.
+ * Draft recipients are only known then, so they get the suppression and
+ * validation checks POST /api/send applies when the entry fires.
+ */
+class SchedulerService {
+  constructor() {
+    this.timer = null;
+    // Entries being checked before they are queued
+    this.firing = new Set();
+  }
+
+  getScheduled() {
+    return storeService.getCollection(SCHEDULED);
+  }
+
+  getScheduledById(id) {
+    return this.getScheduled().find(entry => entry.id === id) || null;
+  }
+
+  getActiveForDraft(draftId) {
+    return this.getScheduled().find(entry => entry.draftId === draftId && entry.status === 'scheduled') || null;
+  }
+
+  schedule({ emailData, draftId, sendAt, timezone }, ownerId) {
+    const now = new Date().toISOString();
+    const entry = {
+      id: uuidv4(),
+      status: 'scheduled',
+      ...resolveFutureSendAt(sendAt, timezone),
+      draftId: draftId || null,
+      emailData: draftId ? null : stripSchedule(emailData),
+      ownerId,
+      jobId: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    storeService.setCollection(SCHEDULED, [...this.getScheduled(), entry]);
+    return entry;
+  }
+
+  reschedule(id, { sendAt, timezone }) {
+    const entry = this.getScheduledById(id);
+    if (!entry) return null;
+    if (entry.status !== 'scheduled') throw new HttpError(409, `Scheduled send is already ${entry.status}`);
+
+    const updated = this.updateEntry(id, resolveFutureSendAt(sendAt, timezone));
+
+    // Keep the draft's own sendAt in line with its schedule
+    const draft = entry.draftId && storeService.getDraftById(entry.draftId);
+    if (draft) {
+      storeService.saveDraft({ ...draft, sendAt: updated.localSendAt, timezone: updated.timezone });
+    }
+    return updated;
+  }
+
+  cancel(id) {
+    const entry = this.getScheduledById(id);
+    if (!entry) return null;
+    if (entry.status !== 'scheduled') throw new HttpError(409, `Scheduled send is already ${entry.status}`);
+    return this.updateEntry(id, { status: 'cancelled' });
+  }
+
+  /**
+   * Bring a draft's schedule in line with its sendAt/timezone fields
+   */
+  syncDraft(draft) {
+    const active = this.getActiveForDraft(draft.id);
+
+    if (!draft.sendAt) {
+      if (active) this.cancel(active.id);
+      return null;
+    }
+
+    return active
+      ? this.updateEntry(active.id, resolveFutureSendAt(draft.sendAt, draft.timezone))
+      : this.schedule({ draftId: draft.id, sendAt: draft.sendAt, timezone: draft.timezone }, draft.ownerId);
+  }
+
+  // -------------- TIMER -------------- //
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), config.scheduler.pollIntervalMs);
+    this.timer.unref();
+    // Fire anything that fell due while the server was down
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  tick() {
+    const now = new Date().toISOString();
+    this.getScheduled()
+      .filter(entry => entry.status === 'scheduled' && entry.sendAt <= now && !this.firing.has(entry.id))
+      .forEach(entry => this.fire(entry));
+  }
+
+  async fire(entry) {
+    this.firing.add(entry.id);
+    try {
+      const emailData = entry.draftId ? draftToEmailData(storeService.getDraftById(entry.draftId)) : entry.emailData;
+      if (!emailData) throw new Error('Draft no longer exists');
+      if (entry.draftId) await checkRecipients(emailData);
+
+      // Cancelled or rescheduled while the recipients were checked
+      if (this.getScheduledById(entry.id)?.status !== 'scheduled') return;
+
+      const job = queueService.enqueue(emailData, { ownerId: entry.ownerId });
+      this.updateEntry(entry.id, { status: 'queued', jobId: job.id, firedAt: new Date().toISOString() });
+      console.log(`Scheduled send ${entry.id} queued as job ${job.id}`);
+    } catch (err) {
+      console.error(`Scheduled send ${entry.id} failed:`, err.message);
+      this.updateEntry(entry.id, { status: 'failed', error: err.message });
+    } finally {
+      this.firing.delete(entry.id);
+    }
+  }
+
+  updateEntry(id, changes) {
+    const entries = this.getScheduled();
+    const index = entries.findIndex(entry => entry.id === id);
+    if (index === -1) return null;
+
+    entries[index] = { ...entries[index], ...changes, updatedAt: new Date().toISOString() };
+    storeService.setCollection(SCHEDULED, entries);
+    return entries[index];
+  }
+
+  /**
+   * Public view, with recipient and subject pulled from the message or draft
+   */
+  toPublicEntry(entry) {
+    const { emailData, ...rest } = entry;
+    const source = emailData || storeService.getDraftById(entry.draftId) || {};
+    return { ...rest, to: source.to || null, subject: source.subject || null };
+  }
+}
+
+function resolveFutureSendAt(sendAt, timezone) {
+  const date = resolveSendAt(sendAt, timezone);
+  if (date.getTime() <= Date.now()) throw new HttpError(400, 'sendAt must be in the future');
+  return { sendAt: date.toISOString(), localSendAt: sendAt, timezone: timezone || null };
+}
+
+function stripSchedule(emailData) {
+  const { sendAt, timezone, ...rest } = emailData;
+  return rest;
+}
+
+/**
+ * The recipient checks of POST /api/send: throws when suppressed addresses
+ * leave no primary recipient (or onSuppressed is 'reject'), or when
+ * config.validation.preSend rejects an address
+ */
+async function checkRecipients(emailData) {
+  const { emailData: deliverable, suppressed } = suppressionService.filterRecipients(emailData);
+  if (suppressed.length && (emailData.onSuppressed === 'reject' || !deliverable.to)) {
+    throw new Error(`Recipients are on the suppression list: ${suppressed.map(s => s.email).join(', ')}`);
+  }
+
+  if (config.validation.preSend === 'reject') {
+    const invalid = await validationService.checkRecipients(emailData);
+    if (invalid.length) throw new Error(`Invalid recipient addresses: ${invalid.map(r => r.email).join(', ')}`);
+  }
+}
+
+function draftToEmailData(draft) {
+  if (!draft) return null;
+  const { id, ownerId, createdAt, updatedAt, ...emailData } = draft;
+  return stripSchedule(emailData);
+}
+
+module.exports = new SchedulerService();
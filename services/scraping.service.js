@@ -0,0 +1,726 @@
+const { EventEmitter } = require('events');
+const cheerio = require('cheerio');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/default');
+const storeService = require('./store.service');
+const searchService = require('./search.service');
+const fetchService = require('./fetch.service');
+const leadService = require('./lead.service');
+const classificationService = require('./classification.service');
+const { extractFromText, extractFromHtml } = require('../utils/email-extractor');
+const { extractContacts, parseVcard, mergeContacts, emptyContacts, hasContacts } = require('../utils/contact-extractor');
+const { isPublicHost } = require('../utils/public-address');
+const { SearchProviderError } = require('./search');
+
+const SCRAPE_JOBS = 'scrapeJobs';
+const MAX_STORED_JOBS = 100;
+// Running jobs keep their live progress in memory and save it this often
+const JOB_SAVE_INTERVAL_MS = 5000;
+const PAGE_TIMEOUT_MS = 15000;
+// vCard files fetched per page, and the largest one read
+const MAX_VCARDS_PER_PAGE = 3;
+const MAX_VCARD_BYTES = 100 * 1024;
+const ABORTED = Symbol('aborted');
+
+// Same-site links worth following in crawl mode, best first
+const CRAWL_LINK_PATTERNS = [
+  /\b(careers?|jobs?|emplois?|recrutements?|recruit\w*|carrieres?|hiring|join-us|nous-rejoindre|rejoignez-nous|work-with-us|hr|rh|candidature\w*)\b/,
+  /\b(contact\w*|nous-contacter|contactez-nous|get-in-touch)\b/,
+  /\b(about|about-us|a-propos|qui-sommes-nous|team|equipe|company|societe)\b/
+];
+const SKIPPED_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|zip|rar|docx?|xlsx?|pptx?|mp4|mp3|avi)$/i;
+
+/**
+ * Email hunts: search queries, snippet emails and visits of the result pages.
+ * Hunts run inline for /search and /search-all, or as background jobs whose
+ * progress is streamed to subscribers, saved every JOB_SAVE_INTERVAL_MS and
+ * when the job ends.
+ */
+class ScrapingService {
+  constructor() {
+    this.active = new Map();   // jobId -> { controller, promise, partial, savedAt }
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+  }
+
+  /**
+   * Executes multiple search queries, collects snippet emails and visits top result URLs.
+   * Stops early when signal aborts and returns what was gathered so far (aborted: true).
+   * @param {{depth: number, pagesPerDomain: number}|null} crawl also follow same-site
+   *   contact/careers links; scrapedUrls then holds one entry per domain with its pages
+   * @param {Function} onEvent called with (event, partialResult) after every search and page
+   */
+  async runEmailHunt({
+    query,
+    hrFocus,
+    country,
+    provider,
+    fallback,
+    maxQueries,
+    maxUrlsPerQuery,
+    globalUrlBudget,
+    crawl = null,
+    signal,
+    onEvent = () => {}
+  }) {
+    const queries = classificationService.buildQueries(query, hrFocus, country).slice(0, maxQueries);
+
+    // Aggregation buckets; page emails live in the collector
+    const snippetHREmails = new Set();
+    const snippetGeneralEmails = new Set();
+
+    let captchaTriggered = false;
+    let captchaUrl = null;
+    const providersUsed = new Set();
+    let activeProvider = provider;
+
+    const summarize = () => {
+      const hrEmails = pages.rank([...new Set([...snippetHREmails, ...pages.hrEmails])]);
+      const generalEmails = pages.rank([...new Set([...snippetGeneralEmails, ...pages.generalEmails]
+        .filter(e => !hrEmails.includes(e)))]);
+
+      return {
+        aborted: !!signal?.aborted,
+        captchaTriggered,
+        captchaUrl,
+        providers: [...providersUsed],
+        hrEmails,
+        generalEmails,
+        emailSources: pages.emailSources,
+        emailScores: pages.emailScores,
+        scrapedUrls: pages.scrapedUrls,
+        contactsByDomain: pages.contactsByDomain(),
+        failedUrls: pages.failedUrls,
+        allSearchUrls: pages.visitedUrls,
+        stats: {
+          queriesPlanned: queries.length,
+          urlsVisited: pages.visitedUrls.length,
+          crawledPages: pages.crawledPages,
+          snippetHr: snippetHREmails.size,
+          snippetGeneral: snippetGeneralEmails.size,
+          pageHr: pages.hrEmails.size,
+          pageGeneral: pages.generalEmails.size
+        }
+      };
+    };
+    const emit = event => onEvent({ ...event, at: new Date().toISOString() }, summarize());
+    const pages = createPageCollector({ hrFocus, country, crawl, signal, emit });
+
+    for (let qi = 0; qi < queries.length; qi++) {
+      if (signal?.aborted) break;
+      if (globalUrlBudget !== undefined && pages.visitedUrls.length >= globalUrlBudget) break;
+
+      const qStr = queries[qi];
+      if (qi > 0) await sleep(1200 + Math.random() * 800, signal);
+      if (signal?.aborted) break;
+
+      let search;
+      try {
+        search = await searchService.search(qStr, { provider: activeProvider, fallback, count: 15, signal });
+      } catch (err) {
+        if (signal?.aborted) break;
+        if (!(err instanceof SearchProviderError)) throw err;
+
+        if (err.code === 'captcha') {
+          captchaTriggered = true;
+          captchaUrl = err.captchaUrl;
+          // Extract whatever snippet emails exist then stop further queries
+          const found = extractFromText(err.text);
+          pages.recordSources(found);
+          const classified = pages.classify(found.map(f => f.email), err.text);
+          classified.hr.forEach(e => snippetHREmails.add(e));
+          classified.general.forEach(e => snippetGeneralEmails.add(e));
+          emit({ type: 'captcha', query: qStr, searchPage: qi + 1, provider: err.provider, captchaUrl });
+          break;
+        }
+
+        (err.failures || [err]).forEach(f => {
+          const failure = {
+            url: f.url,
+            error: f.error || f.message,
+            provider: f.provider,
+            searchPage: qi + 1,
+            type: 'search'
+          };
+          pages.failedUrls.push(failure);
+          emit({ type: 'failure', ...failure });
+        });
+        continue;
+      }
+
+      // Stay on the provider that answered instead of retrying a blocked one
+      activeProvider = search.provider;
+      providersUsed.add(search.provider);
+
+      // Emails in snippets
+      const snippetText = search.results.map(r => `${r.title} ${r.snippet}`).join('\n');
+      const snippetFound = extractFromText(snippetText);
+      pages.recordSources(snippetFound);
+      const snippetEmails = snippetFound.map(f => f.email);
+      const snippetClassified = pages.classify(snippetEmails, snippetText);
+      snippetClassified.hr.forEach(e => snippetHREmails.add(e));
+      snippetClassified.general.forEach(e => snippetGeneralEmails.add(e));
+
+      // Collect result links
+      const links = search.results.map(r => r.url);
+      emit({
+        type: 'search',
+        query: qStr,
+        searchPage: qi + 1,
+        provider: search.provider,
+        results: links.length,
+        emails: snippetClassified.all
+      });
+
+      for (const finalUrl of links.slice(0, maxUrlsPerQuery)) {
+        if (signal?.aborted) break;
+        if (globalUrlBudget !== undefined && pages.visitedUrls.length >= globalUrlBudget) break;
+        if (await pages.visit(finalUrl, qi + 1) === ABORTED) break;
+      }
+    }
+
+    return summarize();
+  }
+
+  /**
+   * Visit a known list of sites instead of search results: same extraction,
+   * classification and crawl as a hunt, several sites at a time.
+   * @param {string[]} targets domains ("acme.ma") or URLs; duplicates are visited once
+   * @param {number} concurrency sites fetched in parallel
+   * @param {string} country optional, narrows the classification keywords to its languages
+   */
+  async scrapeDomains({ targets, hrFocus, country, crawl = null, concurrency = 1, signal, onEvent = () => {} }) {
+    const urls = [];
+    const invalid = [];
+    targets.forEach(target => {
+      const url = normalizeTarget(target);
+      if (!url) invalid.push({ url: String(target ?? ''), error: 'Not a domain or http(s) URL', type: 'input' });
+      else if (!config.crawler.allowPrivateNetworks && !isPublicHost(new URL(url).hostname)) invalid.push({ url, error: 'Private or local address', type: 'input' });
+      else if (!urls.includes(url)) urls.push(url);
+    });
+
+    const summarize = () => {
+      const hrEmails = pages.rank([...pages.hrEmails]);
+      const generalEmails = pages.rank([...pages.generalEmails].filter(e => !pages.hrEmails.has(e)));
+      // Input order, whatever order the sites answered in
+      const position = entry => urls.indexOf(entry.url);
+
+      return {
+        aborted: !!signal?.aborted,
+        hrEmails,
+        generalEmails,
+        emailSources: pages.emailSources,
+        emailScores: pages.emailScores,
+        scrapedUrls: [...pages.scrapedUrls].sort((a, b) => position(a) - position(b)),
+        contactsByDomain: pages.contactsByDomain(),
+        failedUrls: [...invalid, ...pages.failedUrls],
+        stats: {
+          targets: urls.length,
+          urlsVisited: pages.visitedUrls.length,
+          crawledPages: pages.crawledPages,
+          pageHr: pages.hrEmails.size,
+          pageGeneral: pages.generalEmails.size
+        }
+      };
+    };
+    const emit = event => onEvent({ ...event, at: new Date().toISOString() }, summarize());
+    const pages = createPageCollector({ hrFocus, country, crawl, signal, emit });
+
+    let next = 0;
+    const worker = async () => {
+      while (next < urls.length && !signal?.aborted) {
+        await pages.visit(urls[next++], null);
+      }
+    };
+    const workers = Math.max(1, Math.min(concurrency, urls.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    return summarize();
+  }
+
+  // -------------- BACKGROUND JOBS -------------- //
+
+  /**
+   * Stored jobs; running ones carry their live, not yet saved, results
+   */
+  getJobs() {
+    return storeService.getCollection(SCRAPE_JOBS).map(job => {
+      const partial = this.active.get(job.id)?.partial;
+      return partial ? { ...job, result: partial } : job;
+    });
+  }
+
+  getJob(id) {
+    return this.getJobs().find(job => job.id === id) || null;
+  }
+
+  /**
+   * Start a hunt in the background
+   * @param {object} params runEmailHunt options (without signal/onEvent)
+   */
+  createJob(params, ownerId) {
+    const job = {
+      id: uuidv4(),
+      ownerId,
+      status: 'running',
+      params,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+
+    // Keep the newest jobs only; results can be large
+    const jobs = [...storeService.getCollection(SCRAPE_JOBS), job];
+    const overflow = jobs.length - MAX_STORED_JOBS;
+    const kept = overflow > 0
+      ? jobs.filter((j, i) => i >= overflow || this.active.has(j.id))
+      : jobs;
+    storeService.setCollection(SCRAPE_JOBS, kept);
+
+    const run = { controller: new AbortController(), promise: null, partial: null, savedAt: Date.now() };
+    this.active.set(job.id, run);
+    run.promise = this.runJob(job, run).finally(() => this.active.delete(job.id));
+    return job;
+  }
+
+  async runJob(job, run) {
+    const { signal } = run.controller;
+    let result = null;
+    try {
+      result = await this.runEmailHunt({
+        ...job.params,
+        signal,
+        onEvent: (event, partial) => {
+          run.partial = partial;
+          if (Date.now() - run.savedAt >= JOB_SAVE_INTERVAL_MS) {
+            this.updateJob(job.id, { result: partial });
+            run.savedAt = Date.now();
+          }
+          this.publish(job.id, event);
+        }
+      });
+      // Partial results of a cancelled job are worth keeping too
+      if (job.params.saveLeads !== false) {
+        leadService.recordScrape(result, { ownerId: job.ownerId, query: job.params.query });
+      }
+      const status = signal.aborted ? 'cancelled' : 'completed';
+      this.updateJob(job.id, { status, result, finishedAt: new Date().toISOString() });
+      this.publish(job.id, { type: 'end', status });
+    } catch (err) {
+      console.error(`Scrape job ${job.id} failed:`, err);
+      this.updateJob(job.id, {
+        status: 'failed',
+        error: err.message,
+        ...(run.partial && { result: run.partial }),
+        finishedAt: new Date().toISOString()
+      });
+      this.publish(job.id, { type: 'end', status: 'failed', error: err.message });
+    }
+  }
+
+  isRunning(id) {
+    return this.active.has(id);
+  }
+
+  /**
+   * Stop a running job and wait for it to settle
+   * @returns {Promise<object|null>} the job with the results gathered so far
+   */
+  async cancelJob(id) {
+    const job = this.getJob(id);
+    if (!job) return null;
+
+    const run = this.active.get(id);
+    if (run) {
+      run.controller.abort();
+      await run.promise;
+    }
+    return this.getJob(id);
+  }
+
+  /**
+   * Jobs that were running when the process stopped keep their partial results
+   */
+  resumeAll() {
+    this.getJobs()
+      .filter(job => job.status === 'running' && !this.active.has(job.id))
+      .forEach(job => this.updateJob(job.id, {
+        status: 'interrupted',
+        error: 'Server restarted while the job was running',
+        finishedAt: new Date().toISOString()
+      }));
+  }
+
+  updateJob(id, changes) {
+    const jobs = storeService.getCollection(SCRAPE_JOBS);
+    const index = jobs.findIndex(job => job.id === id);
+    if (index === -1) return null;
+
+    jobs[index] = { ...jobs[index], ...changes, updatedAt: new Date().toISOString() };
+    storeService.setCollection(SCRAPE_JOBS, jobs);
+    return jobs[index];
+  }
+
+  /**
+   * Listen to a job's events; returns the unsubscribe function
+   */
+  subscribe(id, listener) {
+    this.events.on(id, listener);
+    return () => this.events.off(id, listener);
+  }
+
+  publish(id, event) {
+    this.events.emit(id, event);
+  }
+
+  /**
+   * Job with its results in the /search-all shape (HR emails first when hrFocus)
+   */
+  toPublicJob(job, { withResult = true } = {}) {
+    const { result, ...rest } = job;
+    const emails = result
+      ? (job.params.hrFocus
+        ? [...result.hrEmails, ...result.generalEmails]
+        : [...result.hrEmails, ...result.generalEmails].sort())
+      : [];
+
+    const progress = {
+      queriesPlanned: result?.stats.queriesPlanned || 0,
+      urlsVisited: result?.stats.urlsVisited || 0,
+      urlBudget: job.params.globalUrlBudget,
+      urlsScraped: result?.scrapedUrls.length || 0,
+      urlsFailed: result?.failedUrls.length || 0,
+      emailsFound: emails.length
+    };
+
+    return {
+      ...rest,
+      progress,
+      ...(withResult && { emails, result })
+    };
+  }
+}
+
+// -------------- UTILITIES ------------------ //
+
+/**
+ * Page visits shared by hunts and domain lists: extraction and classification of
+ * each page, failures, and in crawl mode the per-domain grouping and same-site crawl
+ * @param {Function} emit called with each page/failure event
+ */
+function createPageCollector({ hrFocus, country, crawl, signal, emit }) {
+  const pages = {
+    hrEmails: new Set(),
+    generalEmails: new Set(),
+    // email -> how it was first found (text, mailto, cfemail, at-dot, entity, reversed, split, structured)
+    emailSources: {},
+    // email -> best { score, category, reasons } from the classification rules
+    emailScores: {},
+    scrapedUrls: [],
+    failedUrls: [],
+    visitedUrls: [],
+    crawledPages: 0,
+    recordSources,
+    classify,
+    rank,
+    contactsByDomain,
+    visit
+  };
+  const groups = new Map();   // crawl mode: domain -> { entry, visited }
+
+  function recordSources(found) {
+    found.forEach(({ email, method }) => {
+      if (!pages.emailSources[email]) pages.emailSources[email] = method;
+    });
+  }
+
+  function classify(emails, context) {
+    const classified = classificationService.classify(emails, context, { hrFocus, country });
+    Object.entries(classified.scores).forEach(([email, result]) => {
+      if (result.category === 'excluded') return;
+      if (!pages.emailScores[email] || pages.emailScores[email].score < result.score) pages.emailScores[email] = result;
+    });
+    return classified;
+  }
+
+  // Highest score first
+  function rank(emails) {
+    const score = email => pages.emailScores[email]?.score || 0;
+    return [...emails].sort((a, b) => score(b) - score(a));
+  }
+
+  /**
+   * Structured contacts of every scraped page, combined per domain (www. ignored)
+   */
+  function contactsByDomain() {
+    const byDomain = {};
+    pages.scrapedUrls.flatMap(entry => entry.pages || [entry]).forEach(page => {
+      if (!hasContacts(page.contacts)) return;
+      const domain = hostKey(page.url);
+      byDomain[domain] = mergeContacts(byDomain[domain] || emptyContacts(), page.contacts);
+    });
+    return byDomain;
+  }
+
+  /**
+   * Visit a result or listed URL (and crawl its site); ABORTED when cancelled,
+   * undefined when crawl mode already covered it
+   */
+  async function visit(url, searchPage) {
+    // Crawl mode: one scrapedUrls entry per domain, each site crawled once
+    let group = null;
+    if (crawl) {
+      const domain = hostKey(url);
+      group = groups.get(domain);
+      if (group && (group.visited.has(url) || group.entry.pages.length >= crawl.pagesPerDomain)) return undefined;
+      if (!group) {
+        group = { entry: newDomainEntry(url, domain, searchPage), visited: new Set() };
+        groups.set(domain, group);
+      }
+    }
+
+    pages.visitedUrls.push(url);
+    const page = await visitPage(url, { searchPage, group, depth: 0 });
+    if (page === ABORTED) {
+      pages.visitedUrls.splice(pages.visitedUrls.indexOf(url), 1);
+      return ABORTED;
+    }
+    if (page && group) await crawlSite(page, group, searchPage);
+    return page;
+  }
+
+  /**
+   * Fetch one page and record its emails; null when it failed, ABORTED when cancelled
+   */
+  async function visitPage(url, { searchPage, group, depth, via }) {
+    group?.visited.add(url);
+    try {
+      const page = await fetchPage(url, signal);
+
+      // Company, phones, addresses, socials and named contacts from structured markup
+      const { contacts, vcardLinks } = extractContacts(page.html, page.url);
+      await addVcards(contacts, vcardLinks, signal);
+
+      // Literal, mailto and de-obfuscated addresses, plus those only given in structured data
+      const found = extractFromHtml(page.html);
+      contacts.emails
+        .filter(email => !found.some(f => f.email === email))
+        .forEach(email => found.push({ email, method: 'structured' }));
+      recordSources(found);
+      const pageEmails = found.map(f => f.email);
+
+      const classified = classify(pageEmails, page.bodyText + ' ' + page.title);
+      classified.hr.forEach(e => pages.hrEmails.add(e));
+      classified.general.forEach(e => pages.generalEmails.add(e));
+
+      const entry = {
+        url,
+        title: page.title,
+        searchPage,
+        isHRPage: classificationService.isHrPage(url, page.title, country),
+        emailCount: {
+          hr: classified.hr.length,
+          general: classified.general.length,
+          total: classified.all.length
+        },
+        emails: {
+          hr: classified.hr,
+          general: classified.general,
+          all: classified.all
+        },
+        emailSources: Object.fromEntries(found
+          .filter(f => classified.all.includes(f.email))
+          .map(f => [f.email, f.method])),
+        contacts
+      };
+
+      if (group) {
+        // The domain is listed once its first page succeeds
+        if (!group.entry.pages.length) pages.scrapedUrls.push(group.entry);
+        addToDomainEntry(group.entry, { ...entry, depth, via: via || null });
+        emit({ type: 'page', domain: group.entry.domain, depth, ...entry });
+      } else {
+        pages.scrapedUrls.push(entry);
+        emit({ type: 'page', ...entry });
+      }
+      // Links resolve against where redirects ended up
+      return { url: page.url, $: page.$, depth };
+    } catch (err) {
+      // Cancelled mid-request: not a failure of the page
+      if (signal?.aborted) return ABORTED;
+      const failure = {
+        url,
+        error: err.name === 'AbortError' ? 'timeout' : err.message,
+        searchPage,
+        type: depth > 0 ? 'crawl' : 'page'
+      };
+      pages.failedUrls.push(failure);
+      emit({ type: 'failure', ...failure });
+      return null;
+    }
+  }
+
+  /**
+   * Breadth-first walk of same-site contact/careers links, within the depth and page budget
+   */
+  async function crawlSite(start, group, searchPage) {
+    const queue = crawlLinks(start, group.entry.domain).map(link => ({ ...link, depth: 1 }));
+    while (queue.length && group.entry.pages.length < crawl.pagesPerDomain) {
+      if (signal?.aborted) return;
+      const next = queue.shift();
+      if (group.visited.has(next.url)) continue;
+
+      pages.crawledPages++;
+      const page = await visitPage(next.url, { searchPage, group, depth: next.depth, via: next.anchor });
+      if (page === ABORTED) {
+        pages.crawledPages--;
+        return;
+      }
+      if (page && next.depth < crawl.depth) {
+        crawlLinks(page, group.entry.domain)
+          .forEach(link => queue.push({ ...link, depth: next.depth + 1 }));
+      }
+    }
+  }
+
+  return pages;
+}
+
+/**
+ * Fetch through the polite layer (robots.txt, per-host limits, page cache).
+ * A page over the size limit is parsed as far as it was read.
+ */
+async function fetchPage(url, signal) {
+  const pageResp = await fetchService.politeFetch(url, { signal }, PAGE_TIMEOUT_MS);
+  if (!pageResp.ok) throw new Error(`HTTP ${pageResp.status}`);
+  const html = pageResp.body;
+  const $ = cheerio.load(html);
+  const title = $('title').text().trim();
+  // Links survive this; only the text is needed without scripts
+  $('script,style,noscript').remove();
+  return { url: pageResp.url, html, $, title, bodyText: $('body').text() };
+}
+
+/**
+ * Read the vCard files a page links to into its contacts. A missing or broken
+ * file only means fewer contacts, so errors other than cancellation are ignored.
+ */
+async function addVcards(contacts, links, signal) {
+  for (const link of links.slice(0, MAX_VCARDS_PER_PAGE)) {
+    try {
+      const resp = await fetchService.politeFetch(link, { signal, maxBytes: MAX_VCARD_BYTES }, PAGE_TIMEOUT_MS);
+      if (resp.ok && !resp.truncated) mergeContacts(contacts, parseVcard(resp.body));
+    } catch (err) {
+      if (signal?.aborted) throw err;
+    }
+  }
+}
+
+/**
+ * "acme.ma", "www.acme.ma/contact" or a full URL as an absolute http(s) URL; null otherwise
+ */
+function normalizeTarget(target) {
+  const value = String(target ?? '').trim();
+  if (!value) return null;
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+    if (!/^https?:$/.test(url.protocol) || !url.hostname.includes('.')) return null;
+    url.hash = '';
+    return url.href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Hostname without www., used to keep crawls on one site
+ */
+function hostKey(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Same-site links whose path or anchor text looks like a contact/careers page, best first
+ */
+function crawlLinks(page, domain) {
+  const { $, url: base } = page;
+  const links = new Map();
+
+  $('a[href]').each((_, a) => {
+    let url;
+    try {
+      url = new URL($(a).attr('href'), base);
+    } catch {
+      return;
+    }
+    if (!/^https?:$/.test(url.protocol) || hostKey(url.href) !== domain) return;
+    if (SKIPPED_EXTENSIONS.test(url.pathname)) return;
+    url.hash = '';
+
+    const anchor = $(a).text().replace(/\s+/g, ' ').trim();
+    const target = `${safeDecode(url.pathname)} ${anchor}`.toLowerCase();
+    const rank = CRAWL_LINK_PATTERNS.findIndex(pattern => pattern.test(target));
+    if (rank === -1 || url.href === base || links.has(url.href)) return;
+    links.set(url.href, { url: url.href, anchor, rank });
+  });
+
+  return [...links.values()]
+    .sort((a, b) => a.rank - b.rank)
+    .map(({ url, anchor }) => ({ url, anchor }));
+}
+
+function newDomainEntry(url, domain, searchPage) {
+  return {
+    url,
+    domain,
+    searchPage,
+    isHRPage: false,
+    emailCount: { hr: 0, general: 0, total: 0 },
+    emails: { hr: [], general: [], all: [] },
+    emailSources: {},
+    contacts: emptyContacts(),
+    pages: []
+  };
+}
+
+/**
+ * Add a crawled page to its domain entry and refresh the domain totals
+ */
+function addToDomainEntry(entry, page) {
+  entry.pages.push(page);
+  entry.isHRPage = entry.isHRPage || page.isHRPage;
+
+  const hr = [...new Set(entry.pages.flatMap(p => p.emails.hr))];
+  const general = [...new Set(entry.pages.flatMap(p => p.emails.general))].filter(e => !hr.includes(e));
+  entry.emails = { hr, general, all: [...hr, ...general] };
+  entry.emailCount = { hr: hr.length, general: general.length, total: hr.length + general.length };
+  entry.emailSources = Object.assign({}, ...entry.pages.map(p => p.emailSources), entry.emailSources);
+  mergeContacts(entry.contacts, page.contacts);
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+// Delay helper; resolves early when signal aborts
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+module.exports = new ScrapingService();
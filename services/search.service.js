@@ -0,0 +1,76 @@
+const config = require('../config/default');
+const HttpError = require('../utils/http-error');
+const { createProvider, PROVIDERS, SearchProviderError } = require('./search');
+
+/**
+ * Web search across pluggable providers with fallback:
+ * when the chosen provider fails (captcha, HTTP error, timeout) the next
+ * configured provider in config.search.providers is tried.
+ */
+class SearchService {
+  constructor() {
+    this.providers = Object.fromEntries(Object.keys(PROVIDERS).map(name => [name, createProvider(name)]));
+  }
+
+  /**
+   * Providers with their configuration state, in fallback order
+   */
+  listProviders() {
+    return this.fallbackOrder().map(name => ({
+      name,
+      configured: this.providers[name].isConfigured(),
+      default: name === config.search.defaultProvider
+    }));
+  }
+
+  fallbackOrder() {
+    const order = config.search.providers.filter(name => this.providers[name]);
+    return order.length ? order : Object.keys(this.providers);
+  }
+
+  /**
+   * @returns {string|null} why `name` cannot be used, null when it can
+   */
+  providerError(name) {
+    const provider = this.providers[name];
+    if (!provider) return `Unknown search provider: ${name}. Available: ${Object.keys(this.providers).join(', ')}`;
+    if (!provider.isConfigured()) return `Search provider ${name} is not configured`;
+    return null;
+  }
+
+  /**
+   * Run a query on `provider`, then on the other configured providers if it fails
+   * @returns {Promise<{provider, results, failures}>} failures lists the providers that were skipped
+   * @throws {SearchProviderError} the first provider's error (with .failures) when every provider failed
+   */
+  async search(query, { provider = config.search.defaultProvider, fallback = true, count, offset, signal } = {}) {
+    const invalid = this.providerError(provider);
+    if (invalid) throw new HttpError(400, invalid);
+    const candidates = fallback
+      ? [provider, ...this.fallbackOrder().filter(name => name !== provider && this.providers[name].isConfigured())]
+      : [provider];
+
+    const errors = [];
+    for (const name of candidates) {
+      try {
+        const { results } = await this.providers[name].search(query, { count, offset, signal });
+        const failures = errors.map(toFailure);
+        if (failures.length) console.warn(`Search fell back to ${name} after: ${failures.map(f => f.error).join('; ')}`);
+        return { provider: name, results, failures };
+      } catch (err) {
+        // A cancelled caller gets no fallback
+        if (!(err instanceof SearchProviderError) || signal?.aborted) throw err;
+        errors.push(err);
+      }
+    }
+
+    errors[0].failures = errors.map(toFailure);
+    throw errors[0];
+  }
+}
+
+function toFailure(err) {
+  return { provider: err.provider, code: err.code, error: err.message, url: err.url || null };
+}
+
+module.exports = new SearchService();
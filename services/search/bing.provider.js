@@ -0,0 +1,73 @@
+const cheerio = require('cheerio');
+const SearchProviderError = require('./provider-error');
+const { fetchText } = require('./request');
+
+/**
+ * Bing web results scraped from the HTML page (no key needed, may serve a captcha)
+ */
+class BingProvider {
+  constructor(options = {}) {
+    this.name = 'bing';
+    this.timeoutMs = options.timeoutMs;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  searchUrl(query, { count = 15, offset = 0 } = {}) {
+    return `https://www.bing.com/search?q=${encodeURIComponent(query)}&count=${count}` +
+      (offset ? `&first=${offset + 1}` : '');
+  }
+
+  async search(query, options = {}) {
+    const url = this.searchUrl(query, options);
+    const html = await fetchText(this.name, url, { timeoutMs: this.timeoutMs, signal: options.signal });
+
+    if (html.toLowerCase().includes('captcha') && html.includes('b_captcha')) {
+      throw new SearchProviderError(this.name, 'captcha', 'Captcha detected', {
+        url,
+        captchaUrl: this.searchUrl(query),
+        // Snippet emails can still be read off the challenge page
+        text: cheerio.load(html)('body').text()
+      });
+    }
+    return BingProvider.parseResults(html);
+  }
+
+  /**
+   * @returns {{ results: Array<{url, title, snippet}> }}
+   */
+  static parseResults(html) {
+    const $ = cheerio.load(html);
+    const results = [];
+    $('li.b_algo').each((_, li) => {
+      const link = $(li).find('h2 a').first();
+      const href = link.attr('href');
+      if (!href || !href.startsWith('http')) return;
+      results.push({
+        url: resolveRedirect(href),
+        title: link.text().trim(),
+        snippet: ($(li).find('.b_caption').text() || $(li).find('p').text()).trim()
+      });
+    });
+    return { results };
+  }
+}
+
+/**
+ * Bing wraps result links in bing.com/ck/a?...&u=a1<base64 url>
+ */
+function resolveRedirect(url) {
+  if (!url.includes('bing.com/ck/a?')) return url;
+  const match = url.match(/[?&]u=([^&]+)/);
+  if (!match) return url;
+
+  let decoded = decodeURIComponent(match[1]);
+  if (decoded.startsWith('a1') && !decoded.startsWith('http')) {
+    decoded = Buffer.from(decoded.slice(2), 'base64url').toString('utf-8');
+  }
+  return decoded.startsWith('http') ? decoded : url;
+}
+
+module.exports = BingProvider;
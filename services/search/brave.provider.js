@@ -0,0 +1,44 @@
+const SearchProviderError = require('./provider-error');
+const { fetchJson } = require('./request');
+
+/**
+ * Brave Search API (https://api.search.brave.com), needs a subscription token
+ */
+class BraveProvider {
+  constructor(options = {}) {
+    this.name = 'brave';
+    this.apiKey = options.braveApiKey;
+    this.timeoutMs = options.timeoutMs;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async search(query, { count = 15, offset = 0, signal } = {}) {
+    if (!this.isConfigured()) throw new SearchProviderError(this.name, 'config', 'BRAVE_SEARCH_API_KEY is not set');
+
+    // offset counts pages of `count` results, at most 9
+    const page = Math.min(Math.floor(offset / count), 9);
+    const url = `https://api.search.brave.com/res/v1/web/search?q=${encodeURIComponent(query)}` +
+      `&count=${Math.min(count, 20)}&offset=${page}`;
+    const data = await fetchJson(this.name, url, {
+      timeoutMs: this.timeoutMs,
+      signal,
+      headers: { 'X-Subscription-Token': this.apiKey }
+    });
+    return BraveProvider.parseResults(data);
+  }
+
+  static parseResults(data) {
+    const results = (data.web?.results || []).map(r => ({
+      url: r.url,
+      title: r.title || '',
+      // Descriptions carry <strong> highlighting
+      snippet: (r.description || '').replace(/<[^>]+>/g, '')
+    }));
+    return { results };
+  }
+}
+
+module.exports = BraveProvider;
@@ -0,0 +1,59 @@
+const cheerio = require('cheerio');
+const SearchProviderError = require('./provider-error');
+const { fetchText } = require('./request');
+
+/**
+ * DuckDuckGo's JavaScript-free HTML endpoint (no key needed)
+ */
+class DuckDuckGoProvider {
+  constructor(options = {}) {
+    this.name = 'duckduckgo';
+    this.timeoutMs = options.timeoutMs;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  searchUrl(query, { offset = 0 } = {}) {
+    return `https://html.duckduckgo.com/html/?q=${encodeURIComponent(query)}` + (offset ? `&s=${offset}` : '');
+  }
+
+  async search(query, options = {}) {
+    const url = this.searchUrl(query, options);
+    const html = await fetchText(this.name, url, { timeoutMs: this.timeoutMs, signal: options.signal });
+
+    // Bot check page ("anomaly" challenge) instead of results
+    if (html.includes('anomaly-modal') || /challenge-form/.test(html)) {
+      throw new SearchProviderError(this.name, 'captcha', 'Bot challenge served', { url, captchaUrl: url });
+    }
+    return DuckDuckGoProvider.parseResults(html);
+  }
+
+  static parseResults(html) {
+    const $ = cheerio.load(html);
+    const results = [];
+    $('.result').each((_, el) => {
+      if ($(el).hasClass('result--ad')) return;
+      const link = $(el).find('a.result__a').first();
+      const url = resolveRedirect(link.attr('href') || '');
+      if (!url.startsWith('http')) return;
+      results.push({
+        url,
+        title: link.text().trim(),
+        snippet: $(el).find('.result__snippet').text().trim()
+      });
+    });
+    return { results };
+  }
+}
+
+/**
+ * Result links go through //duckduckgo.com/l/?uddg=<encoded url>
+ */
+function resolveRedirect(href) {
+  const match = href.match(/[?&]uddg=([^&]+)/);
+  return match ? decodeURIComponent(match[1]) : href;
+}
+
+module.exports = DuckDuckGoProvider;
@@ -0,0 +1,42 @@
+const SearchProviderError = require('./provider-error');
+const { fetchJson } = require('./request');
+
+/**
+ * Google Programmable Search (Custom Search JSON API), needs an API key and a search engine id (cx)
+ */
+class GoogleProvider {
+  constructor(options = {}) {
+    this.name = 'google';
+    this.apiKey = options.googleApiKey;
+    this.cx = options.googleCx;
+    this.timeoutMs = options.timeoutMs;
+  }
+
+  isConfigured() {
+    return !!(this.apiKey && this.cx);
+  }
+
+  async search(query, { count = 10, offset = 0, signal } = {}) {
+    if (!this.isConfigured()) {
+      throw new SearchProviderError(this.name, 'config', 'GOOGLE_SEARCH_API_KEY and GOOGLE_SEARCH_CX must be set');
+    }
+
+    // The API returns at most 10 results per call
+    const url = 'https://www.googleapis.com/customsearch/v1' +
+      `?key=${encodeURIComponent(this.apiKey)}&cx=${encodeURIComponent(this.cx)}` +
+      `&q=${encodeURIComponent(query)}&num=${Math.min(count, 10)}&start=${offset + 1}`;
+    const data = await fetchJson(this.name, url, { timeoutMs: this.timeoutMs, signal });
+    return GoogleProvider.parseResults(data);
+  }
+
+  static parseResults(data) {
+    const results = (data.items || []).map(item => ({
+      url: item.link,
+      title: item.title || '',
+      snippet: item.snippet || ''
+    }));
+    return { results };
+  }
+}
+
+module.exports = GoogleProvider;
@@ -0,0 +1,26 @@
+const config = require('../../config/default');
+const BingProvider = require('./bing.provider');
+const DuckDuckGoProvider = require('./duckduckgo.provider');
+const SearxngProvider = require('./searxng.provider');
+const BraveProvider = require('./brave.provider');
+const GoogleProvider = require('./google.provider');
+const SearchProviderError = require('./provider-error');
+
+const PROVIDERS = {
+  bing: BingProvider,
+  duckduckgo: DuckDuckGoProvider,
+  searxng: SearxngProvider,
+  brave: BraveProvider,
+  google: GoogleProvider
+};
+
+/**
+ * Build a search provider by name with the keys and URLs from config.search
+ */
+function createProvider(name, options = config.search) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) throw new Error(`Unknown search provider: ${name}`);
+  return new Provider(options);
+}
+
+module.exports = { createProvider, PROVIDERS, SearchProviderError };
@@ -0,0 +1,15 @@
+/**
+ * A search provider could not deliver results.
+ * code: 'captcha' (blocked by a challenge page), 'http', 'network', 'parse' or 'config'
+ */
+class SearchProviderError extends Error {
+  constructor(provider, code, message, extra = {}) {
+    super(`${provider}: ${message}`);
+    this.name = 'SearchProviderError';
+    this.provider = provider;
+    this.code = code;
+    Object.assign(this, extra);
+  }
+}
+
+module.exports = SearchProviderError;
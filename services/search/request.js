@@ -0,0 +1,43 @@
+const fetchService = require('../fetch.service');
+const SearchProviderError = require('./provider-error');
+
+/**
+ * GET a search page, turning transport failures into SearchProviderErrors
+ * @returns {Promise<string>} the response body
+ */
+async function fetchText(provider, url, { timeoutMs, ...opts } = {}) {
+  let resp;
+  let body;
+  try {
+    resp = await fetchService.fetchWithTimeout(url, opts, timeoutMs);
+    // The body can still fail (connection reset, timeout) after the headers arrived
+    body = await resp.text();
+  } catch (err) {
+    const reason = err.name === 'AbortError' ? 'timeout' : err.message;
+    throw new SearchProviderError(provider, 'network', `Search fetch failed: ${reason}`, { url: redact(url) });
+  }
+
+  if (resp.status === 429) {
+    throw new SearchProviderError(provider, 'captcha', 'Rate limited (HTTP 429)', { status: 429, url: redact(url), captchaUrl: redact(url) });
+  }
+  if (!resp.ok) {
+    throw new SearchProviderError(provider, 'http', `HTTP ${resp.status}`, { status: resp.status, url: redact(url) });
+  }
+  return body;
+}
+
+async function fetchJson(provider, url, opts = {}) {
+  const body = await fetchText(provider, url, { ...opts, headers: { Accept: 'application/json', ...opts.headers } });
+  try {
+    return JSON.parse(body);
+  } catch {
+    throw new SearchProviderError(provider, 'parse', 'Response is not JSON', { url: redact(url) });
+  }
+}
+
+// API keys in query strings must not end up in responses or logs
+function redact(url) {
+  return url.replace(/([?&]key=)[^&]+/, '$1***');
+}
+
+module.exports = { fetchText, fetchJson };
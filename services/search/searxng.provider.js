@@ -0,0 +1,36 @@
+const SearchProviderError = require('./provider-error');
+const { fetchJson } = require('./request');
+
+/**
+ * Self-hosted SearXNG metasearch instance (JSON output must be enabled in its settings)
+ */
+class SearxngProvider {
+  constructor(options = {}) {
+    this.name = 'searxng';
+    this.baseUrl = (options.searxngUrl || '').replace(/\/+$/, '');
+    this.timeoutMs = options.timeoutMs;
+  }
+
+  isConfigured() {
+    return !!this.baseUrl;
+  }
+
+  async search(query, { offset = 0, count = 15, signal } = {}) {
+    if (!this.isConfigured()) throw new SearchProviderError(this.name, 'config', 'SEARXNG_URL is not set');
+
+    // SearXNG pages hold about 10 results each
+    const page = Math.floor(offset / Math.max(count, 10)) + 1;
+    const url = `${this.baseUrl}/search?q=${encodeURIComponent(query)}&format=json&pageno=${page}`;
+    const data = await fetchJson(this.name, url, { timeoutMs: this.timeoutMs, signal });
+    return SearxngProvider.parseResults(data);
+  }
+
+  static parseResults(data) {
+    const results = (data.results || [])
+      .filter(r => typeof r.url === 'string' && r.url.startsWith('http'))
+      .map(r => ({ url: r.url, title: r.title || '', snippet: r.content || '' }));
+    return { results };
+  }
+}
+
+module.exports = SearxngProvider;
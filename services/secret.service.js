@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/default');
+
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Encrypts secrets at rest (SMTP passwords) with AES-256-GCM.
+ *
+ * Keys come from config.secrets.keys as "keyId:secret" pairs, the first one being
+ * the current key used for new encryptions. Older keys stay listed only so existing
+ * values can still be decrypted until they are rotated.
+ * Without configured keys a random key is generated once and kept in config.secrets.keyFile.
+ */
+class SecretService {
+  constructor(keySpec = config.secrets.keys) {
+    this.keys = new Map();
+    this.currentKeyId = null;
+    this.loadKeys(keySpec);
+  }
+
+  loadKeys(keySpec) {
+    const entries = (keySpec || '').split(',').map(s => s.trim()).filter(Boolean);
+
+    if (entries.length === 0) {
+      entries.push(`local:${this.readOrCreateKeyFile()}`);
+    }
+
+    entries.forEach(entry => {
+      const sep = entry.indexOf(':');
+      const keyId = sep > 0 ? entry.slice(0, sep) : 'default';
+      const secret = sep > 0 ? entry.slice(sep + 1) : entry;
+      // Any secret string is stretched to exactly 32 bytes
+      this.keys.set(keyId, crypto.createHash('sha256').update(secret).digest());
+      if (!this.currentKeyId) this.currentKeyId = keyId;
+    });
+  }
+
+  readOrCreateKeyFile() {
+    const keyFile = config.secrets.keyFile;
+    try {
+      return fs.readFileSync(keyFile, 'utf8').trim();
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    console.warn(`No SECRET_KEYS configured; generating a local key in ${keyFile}`);
+    const secret = crypto.randomBytes(32).toString('base64');
+    fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+    fs.writeFileSync(keyFile, secret, { mode: 0o600 });
+    return secret;
+  }
+
+  isEncrypted(value) {
+    return !!(value && typeof value === 'object' && value.kid && value.iv && value.data);
+  }
+
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.keys.get(this.currentKeyId), iv);
+    const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return {
+      kid: this.currentKeyId,
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  decrypt(box) {
+    if (!this.isEncrypted(box)) return box;
+
+    const key = this.keys.get(box.kid);
+    if (!key) {
+      throw new Error(`Cannot decrypt secret: unknown key id "${box.kid}"`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(box.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(box.tag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(box.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+
+  /**
+   * HMAC signature of a value, prefixed with the signing key id ("kid.signature")
+   */
+  sign(value) {
+    return `${this.currentKeyId}.${hmac(this.keys.get(this.currentKeyId), value)}`;
+  }
+
+  /**
+   * Check a signature made with any known key, so links survive key rotation
+   */
+  verify(value, signature) {
+    const [kid, digest] = String(signature || '').split('.');
+    const key = this.keys.get(kid);
+    if (!key || !digest) return false;
+
+    const expected = Buffer.from(hmac(key, value));
+    const actual = Buffer.from(digest);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * True when the value is plaintext or was encrypted with a non-current key
+   */
+  needsRotation(value) {
+    return !this.isEncrypted(value) || value.kid !== this.currentKeyId;
+  }
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(String(value)).digest('base64url');
+}
+
+module.exports = new SecretService();
+module.exports.SecretService = SecretService;
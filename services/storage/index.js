@@ -0,0 +1,24 @@
+const config = require('../../config/default');
+const LocalStorage = require('./local.storage');
+const S3Storage = require('./s3.storage');
+
+const STORAGES = {
+  local: LocalStorage,
+  s3: S3Storage
+};
+
+/**
+ * Build an attachment storage backend by name with the settings from config.attachments
+ */
+function createStorage(name, options = config.attachments) {
+  switch (name) {
+    case 'local':
+      return new LocalStorage({ dir: options.dir });
+    case 's3':
+      return new S3Storage(options.s3);
+    default:
+      throw new Error(`Unknown attachment storage: ${name}`);
+  }
+}
+
+module.exports = { createStorage, STORAGES, LocalStorage, S3Storage };
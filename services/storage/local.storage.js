@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local disk storage: one file per key inside a directory. On Vercel the
+ * directory is under /tmp and is not shared between invocations; use s3 there.
+ */
+class LocalStorage {
+  constructor({ dir }) {
+    this.name = 'local';
+    this.dir = dir;
+  }
+
+  isConfigured() {
+    return !!this.dir;
+  }
+
+  filePath(key) {
+    if (!/^[a-zA-Z0-9_-]+$/.test(key)) throw new Error(`Invalid storage key: ${key}`);
+    return path.join(this.dir, key);
+  }
+
+  /**
+   * Store content under key; an existing object with the same key is kept
+   */
+  async put(key, buffer) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    try {
+      await fs.promises.writeFile(this.filePath(key), buffer, { flag: 'wx' });
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+  }
+
+  /**
+   * @returns {Promise<{size: number}|null>} null when the object does not exist
+   */
+  async stat(key) {
+    try {
+      const stat = await fs.promises.stat(this.filePath(key));
+      return { size: stat.size };
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Readable stream of the content; rejects with code ENOENT when it does not exist
+   */
+  async createReadStream(key) {
+    const handle = await fs.promises.open(this.filePath(key), 'r');
+    return handle.createReadStream();
+  }
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.filePath(key));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+}
+
+module.exports = LocalStorage;
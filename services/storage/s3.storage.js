@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const REQUEST_TIMEOUT_MS = 30000;
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO, Cloudflare R2, Backblaze B2...)
+ * over plain HTTP with Signature Version 4 request signing.
+ */
+class S3Storage {
+  constructor(options = {}) {
+    this.name = 's3';
+    this.endpoint = (options.endpoint || '').replace(/\/+$/, '');
+    this.region = options.region || 'us-east-1';
+    this.bucket = options.bucket;
+    this.accessKeyId = options.accessKeyId;
+    this.secretAccessKey = options.secretAccessKey;
+    this.forcePathStyle = !!options.forcePathStyle;
+    this.prefix = options.prefix || '';
+  }
+
+  isConfigured() {
+    return !!(this.bucket && this.accessKeyId && this.secretAccessKey);
+  }
+
+  /**
+   * Object URL: http(s)://endpoint/bucket/key with path-style addressing (MinIO),
+   * http(s)://bucket.endpoint/key otherwise
+   */
+  objectUrl(key) {
+    const base = new URL(this.endpoint || `https://s3.${this.region}.amazonaws.com`);
+    const objectPath = `${this.prefix}${key}`.split('/').map(encodeRfc3986).join('/');
+    if (this.forcePathStyle) return `${base.origin}/${this.bucket}/${objectPath}`;
+    return `${base.protocol}//${this.bucket}.${base.host}/${objectPath}`;
+  }
+
+  async put(key, buffer, { contentType } = {}) {
+    const resp = await this.request('PUT', key, {
+      body: buffer,
+      payloadHash: crypto.createHash('sha256').update(buffer).digest('hex'),
+      headers: contentType ? { 'content-type': contentType } : {}
+    });
+    await resp.body?.cancel();
+    if (!resp.ok) throw storageError(`S3 PUT failed: HTTP ${resp.status}`, resp.status);
+  }
+
+  /**
+   * @returns {Promise<{size: number}|null>} null when the object does not exist
+   */
+  async stat(key) {
+    const resp = await this.request('HEAD', key);
+    if (resp.status === 404) return null;
+    if (!resp.ok) throw storageError(`S3 HEAD failed: HTTP ${resp.status}`, resp.status);
+    return { size: parseInt(resp.headers.get('content-length') || '0', 10) };
+  }
+
+  /**
+   * Readable stream of the object; rejects with code ENOENT when it does not exist
+   */
+  async createReadStream(key) {
+    const resp = await this.request('GET', key);
+    if (resp.status === 404) {
+      await resp.body?.cancel();
+      throw storageError(`No such object: ${key}`, 404, 'ENOENT');
+    }
+    if (!resp.ok) {
+      await resp.body?.cancel();
+      throw storageError(`S3 GET failed: HTTP ${resp.status}`, resp.status);
+    }
+    return Readable.fromWeb(resp.body);
+  }
+
+  async remove(key) {
+    const resp = await this.request('DELETE', key);
+    await resp.body?.cancel();
+    if (!resp.ok && resp.status !== 404) throw storageError(`S3 DELETE failed: HTTP ${resp.status}`, resp.status);
+  }
+
+  /**
+   * Signed request for an object. The timeout covers the wait for the response
+   * headers, not the reading of a streamed body.
+   */
+  async request(method, key, { body, payloadHash = EMPTY_PAYLOAD_HASH, headers = {} } = {}) {
+    if (!this.isConfigured()) throw new Error('S3 storage is not configured (S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY)');
+
+    const url = this.objectUrl(key);
+    const signed = signRequest({
+      method,
+      url,
+      headers,
+      payloadHash,
+      region: this.region,
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey
+    });
+    // fetch sets Host itself
+    delete signed.host;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    try {
+      return await fetch(url, { method, headers: signed, body, signal: controller.signal });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * AWS Signature Version 4 headers for an S3 request
+ * @returns {object} the given headers plus host, x-amz-date, x-amz-content-sha256 and authorization
+ */
+function signRequest({ method, url, headers = {}, payloadHash, region, accessKeyId, secretAccessKey, date = new Date() }) {
+  const target = new URL(url);
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const day = amzDate.slice(0, 8);
+
+  const signed = {};
+  Object.entries(headers).forEach(([name, value]) => {
+    signed[name.toLowerCase()] = String(value).trim().replace(/\s+/g, ' ');
+  });
+  Object.assign(signed, { host: target.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate });
+
+  const names = Object.keys(signed).sort();
+  const canonicalQuery = [...target.searchParams]
+    .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+    .sort(([a, x], [b, y]) => (a < b ? -1 : a > b ? 1 : x < y ? -1 : x > y ? 1 : 0))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+  const canonicalRequest = [
+    method,
+    target.pathname,
+    canonicalQuery,
+    names.map(name => `${name}:${signed[name]}\n`).join(''),
+    names.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = ['aws4_request', 's3', region, day].reduceRight(
+    (key, part) => hmac(key, part),
+    `AWS4${secretAccessKey}`
+  );
+
+  signed.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, ` +
+    `SignedHeaders=${names.join(';')}, Signature=${hmac(signingKey, stringToSign).toString('hex')}`;
+  return signed;
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function sha256Hex(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// encodeURIComponent leaves !'()* alone; SigV4 wants them escaped
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function storageError(message, status, code = 'STORAGE_ERROR') {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+module.exports = S3Storage;
+module.exports.signRequest = signRequest;
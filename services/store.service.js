@@ -1,35 +1,149 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/default');
+const secretService = require('./secret.service');
+const { createAdapter } = require('./persistence');
+const { runMigrations } = require('./persistence/migrations');
+
 /**
- * In-memory data store service
- * This stores all data in memory and will be lost on server restart
+ * Data store service
+ * Sits on top of a pluggable persistence adapter (file by default, memory for tests)
+ * selected through config.storage. The schema is migrated on startup.
  */
 class StoreService {
-  constructor() {
-    // Initialize in-memory storage
-    this.smtpConfig = require('../config/default').smtp;
-    this.drafts = [];
+  constructor(adapter = createAdapter()) {
+    this.adapter = adapter;
+    this.schemaVersion = runMigrations(this.adapter);
+  }
+
+  // Generic collections
+  getCollection(name) {
+    return this.adapter.read(name) || [];
   }
 
-  // SMTP Configuration
+  setCollection(name, items) {
+    this.adapter.write(name, items);
+    return items;
+  }
+
+  // SMTP Configuration (the default profile, kept for single-account callers)
   getSmtpConfig() {
-    return { ...this.smtpConfig };
+    const profile = this.getDefaultSmtpProfile();
+    return profile ? { ...profile } : { ...config.smtp };
+  }
+
+  setSmtpConfig(smtpConfig) {
+    const current = this.getDefaultSmtpProfile();
+    return this.saveSmtpProfile({
+      name: 'Default',
+      ...smtpConfig,
+      ...(current && { id: current.id, name: smtpConfig.name || current.name }),
+      isDefault: true
+    });
+  }
+
+  // SMTP Profiles (passwords are encrypted at rest and decrypted on read)
+  getSmtpProfiles() {
+    return this.getCollection('smtpProfiles').map(openProfile);
+  }
+
+  getSmtpProfile(id) {
+    return this.getSmtpProfiles().find(profile => profile.id === id) || null;
   }
 
-  setSmtpConfig(config) {
-    this.smtpConfig = { ...config };
-    return this.smtpConfig;
+  getDefaultSmtpProfile() {
+    const profiles = this.getSmtpProfiles();
+    return profiles.find(profile => profile.isDefault) || profiles[0] || null;
+  }
+
+  /**
+   * Create or update a profile. An update without auth.pass keeps the stored secret.
+   */
+  saveSmtpProfile(profile) {
+    const now = new Date().toISOString();
+    let profiles = this.getCollection('smtpProfiles');
+    const index = profile.id ? profiles.findIndex(p => p.id === profile.id) : -1;
+    const existing = index !== -1 ? profiles[index] : null;
+
+    const saved = existing
+      ? { ...existing, ...profile, auth: sealAuth(profile.auth, existing.auth), updatedAt: now }
+      : {
+        ...profile,
+        auth: sealAuth(profile.auth),
+        id: profile.id || uuidv4(),
+        // The first profile becomes the default automatically
+        isDefault: profile.isDefault || profiles.length === 0,
+        createdAt: now,
+        updatedAt: now
+      };
+
+    if (saved.isDefault) {
+      profiles = profiles.map(p => ({ ...p, isDefault: false }));
+    }
+
+    if (index !== -1) {
+      profiles[index] = saved;
+    } else {
+      profiles.push(saved);
+    }
+
+    this.setCollection('smtpProfiles', profiles);
+    return openProfile(saved);
+  }
+
+  setDefaultSmtpProfile(id) {
+    const profile = this.getSmtpProfile(id);
+    if (!profile) return null;
+    return this.saveSmtpProfile({ id, isDefault: true });
+  }
+
+  deleteSmtpProfile(id) {
+    const profiles = this.getCollection('smtpProfiles');
+    const index = profiles.findIndex(profile => profile.id === id);
+    if (index === -1) return null;
+
+    const [removed] = profiles.splice(index, 1);
+
+    // Never leave the store without a default while profiles remain
+    if (removed.isDefault && profiles.length > 0) {
+      profiles[0] = { ...profiles[0], isDefault: true };
+    }
+
+    this.setCollection('smtpProfiles', profiles);
+    return openProfile(removed);
+  }
+
+  /**
+   * Re-encrypt every stored SMTP secret with the current key
+   * @returns {number} how many secrets were rewritten
+   */
+  rotateSecrets() {
+    let rotated = 0;
+    const profiles = this.getCollection('smtpProfiles').map(profile => {
+      const pass = profile.auth?.pass;
+      if (!pass || !secretService.needsRotation(pass)) return profile;
+      rotated++;
+      return {
+        ...profile,
+        auth: { ...profile.auth, pass: secretService.encrypt(secretService.decrypt(pass)) }
+      };
+    });
+
+    this.setCollection('smtpProfiles', profiles);
+    return rotated;
   }
 
   // Drafts
   getDrafts() {
-    return [...this.drafts];
+    return this.getCollection('drafts');
   }
 
   getDraftById(id) {
-    return this.drafts.find(draft => draft.id === id) || null;
+    return this.getDrafts().find(draft => draft.id === id) || null;
   }
 
 saveDraft(draft) {
-  const now = new Date();
+  const now = new Date().toISOString();
+  const drafts = this.getDrafts();
 
   // IMPORTANT: Preserve HTML content exactly as provided without any modifications
   const draftToSave = {
@@ -39,41 +153,63 @@ saveDraft(draft) {
 
   if (draftToSave.id) {
     // Update existing draft
-    const index = this.drafts.findIndex(d => d.id === draftToSave.id);
+    const index = drafts.findIndex(d => d.id === draftToSave.id);
     if (index !== -1) {
-      this.drafts[index] = {
-        ...this.drafts[index],
+      drafts[index] = {
+        ...drafts[index],
         ...draftToSave,
         updatedAt: now
       };
-      return this.drafts[index];
+      this.setCollection('drafts', drafts);
+      return drafts[index];
     }
   }
 
   // Add new draft
   const newDraft = {
     ...draftToSave,
-    id: draftToSave.id || require('uuid').v4(),
+    id: draftToSave.id || uuidv4(),
     createdAt: now,
     updatedAt: now
   };
 
-  this.drafts.push(newDraft);
+  drafts.push(newDraft);
+  this.setCollection('drafts', drafts);
   return newDraft;
 }
 
   deleteDraft(id) {
-    const index = this.drafts.findIndex(draft => draft.id === id);
+    const drafts = this.getDrafts();
+    const index = drafts.findIndex(draft => draft.id === id);
     if (index !== -1) {
-      const draft = this.drafts[index];
-      this.drafts.splice(index, 1);
+      const draft = drafts[index];
+      drafts.splice(index, 1);
+      this.setCollection('drafts', drafts);
       return draft;
     }
     return null;
   }
 }
 
+/**
+ * Encrypt a plaintext password; an empty password keeps the previously stored secret
+ */
+function sealAuth(auth, previous = {}) {
+  if (!auth) return previous;
+  const pass = auth.pass ? secretService.encrypt(auth.pass) : previous.pass;
+  return { ...previous, ...auth, pass };
+}
+
+function openProfile(profile) {
+  if (!profile.auth?.pass) return { ...profile };
+  return {
+    ...profile,
+    auth: { ...profile.auth, pass: secretService.decrypt(profile.auth.pass) }
+  };
+}
+
 // Create singleton instance
 const storeService = new StoreService();
 
-module.exports = storeService;
\ No newline at end of file
+module.exports = storeService;
+module.exports.StoreService = StoreService;
@@ -0,0 +1,164 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/default');
+const storeService = require('./store.service');
+const secretService = require('./secret.service');
+const HttpError = require('../utils/http-error');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { toAddressList, normalizeEmail } = require('../utils/address');
+
+const SUPPRESSIONS = 'suppressions';
+const REASONS = ['unsubscribed', 'manual', 'bounce', 'complaint', 'invalid'];
+const CSV_COLUMNS = ['email', 'reason', 'source', 'note', 'createdAt'];
+const BASIC_EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Suppression list: addresses that must never be emailed again
+ * (unsubscribes, hard bounces, manual blocks). Shared by all users.
+ */
+class SuppressionService {
+  getSuppressions() {
+    return storeService.getCollection(SUPPRESSIONS);
+  }
+
+  getSuppression(idOrEmail) {
+    const needle = String(idOrEmail || '').toLowerCase();
+    return this.getSuppressions().find(s => s.id === idOrEmail || s.email === needle) || null;
+  }
+
+  isSuppressed(email) {
+    return !!this.getSuppression(normalizeEmail(email));
+  }
+
+  /**
+   * Add an address; adding one that is already listed returns the existing entry
+   */
+  add({ email, reason = 'manual', source = null, note = null }) {
+    const normalized = normalizeEmail(email);
+    if (!BASIC_EMAIL_REGEX.test(normalized)) throw new HttpError(400, `Invalid email address: ${email}`);
+    if (!REASONS.includes(reason)) throw new HttpError(400, `Reason must be one of: ${REASONS.join(', ')}`);
+
+    const existing = this.getSuppression(normalized);
+    if (existing) return existing;
+
+    const entry = {
+      id: uuidv4(),
+      email: normalized,
+      reason,
+      source,
+      note,
+      createdAt: new Date().toISOString()
+    };
+    storeService.setCollection(SUPPRESSIONS, [...this.getSuppressions(), entry]);
+    return entry;
+  }
+
+  remove(idOrEmail) {
+    const entry = this.getSuppression(idOrEmail);
+    if (!entry) return null;
+    storeService.setCollection(SUPPRESSIONS, this.getSuppressions().filter(s => s.id !== entry.id));
+    return entry;
+  }
+
+  importCsv(text, { reason = 'manual', source = 'import' } = {}) {
+    const result = { added: 0, existing: 0, invalid: [] };
+
+    parseCsv(text).forEach(row => {
+      const email = row.email || row.Email || row['e-mail'] || Object.values(row)[0];
+      try {
+        const before = this.getSuppressions().length;
+        this.add({
+          email,
+          reason: REASONS.includes(row.reason) ? row.reason : reason,
+          source: row.source || source,
+          note: row.note || null
+        });
+        if (this.getSuppressions().length > before) result.added++;
+        else result.existing++;
+      } catch {
+        result.invalid.push(email);
+      }
+    });
+
+    return result;
+  }
+
+  exportCsv() {
+    return toCsv(this.getSuppressions(), CSV_COLUMNS);
+  }
+
+  /**
+   * Split to/cc/bcc into allowed and suppressed addresses
+   * @returns {{ emailData: object, suppressed: {email, field, reason}[] }}
+   */
+  filterRecipients(emailData) {
+    const suppressed = [];
+    const cleaned = { ...emailData };
+
+    ['to', 'cc', 'bcc'].forEach(field => {
+      if (!emailData[field]) return;
+      const addresses = toAddressList(emailData[field]);
+      const kept = addresses.filter(address => {
+        const entry = this.getSuppression(normalizeEmail(address));
+        if (entry) suppressed.push({ email: entry.email, field, reason: entry.reason });
+        return !entry;
+      });
+      cleaned[field] = kept.length ? kept.join(', ') : undefined;
+    });
+
+    return { emailData: cleaned, suppressed };
+  }
+
+  /**
+   * Apply the suppression list to a message before it is sent.
+   * emailData.onSuppressed: 'drop' (default) removes suppressed addresses,
+   * 'reject' refuses the whole message.
+   */
+  enforce(emailData) {
+    const { emailData: cleaned, suppressed } = this.filterRecipients(emailData);
+    if (suppressed.length === 0) return { emailData, suppressed };
+
+    const list = suppressed.map(s => s.email).join(', ');
+    if (emailData.onSuppressed === 'reject') {
+      throw suppressionError(`Suppressed recipients: ${list}`, suppressed);
+    }
+    if (!cleaned.to) {
+      throw suppressionError(`All primary recipients are suppressed: ${list}`, suppressed);
+    }
+
+    return { emailData: cleaned, suppressed };
+  }
+
+  // -------------- UNSUBSCRIBE LINKS -------------- //
+
+  createUnsubscribeToken(email) {
+    const payload = Buffer.from(normalizeEmail(email)).toString('base64url');
+    return `${payload}.${secretService.sign(payload)}`;
+  }
+
+  /**
+   * @returns {string|null} the address the token was issued for
+   */
+  verifyUnsubscribeToken(token) {
+    const [payload, ...signature] = String(token || '').split('.');
+    if (!payload || !secretService.verify(payload, signature.join('.'))) return null;
+    return Buffer.from(payload, 'base64url').toString('utf8');
+  }
+
+  /**
+   * RFC 2369/8058 List-Unsubscribe URL for a recipient (null without PUBLIC_BASE_URL)
+   */
+  getUnsubscribeUrl(email) {
+    if (!config.publicBaseUrl) return null;
+    const base = config.publicBaseUrl.replace(/\/$/, '');
+    return `${base}/api/unsubscribe?t=${encodeURIComponent(this.createUnsubscribeToken(email))}`;
+  }
+}
+
+function suppressionError(message, suppressed) {
+  const error = new HttpError(422, message);
+  error.suppressed = suppressed;
+  return error;
+}
+
+module.exports = new SuppressionService();
+module.exports.REASONS = REASONS;
@@ -0,0 +1,191 @@
+const { v4: uuidv4 } = require('uuid');
+const { simpleParser } = require('mailparser');
+const storeService = require('./store.service');
+const historyService = require('./history.service');
+const { isBounce } = require('./bounce.service');
+const HttpError = require('../utils/http-error');
+const { normalizeEmail } = require('../utils/address');
+const { normalizeMessageId } = historyService;
+
+const REPLIES = 'replies';
+
+/**
+ * Reply threading.
+ * Incoming messages from the IMAP sync are matched to our sent mail through their
+ * In-Reply-To/References headers. A thread is identified by the history id of the
+ * first message we sent; replies and follow-ups we send carry that threadId.
+ */
+class ThreadService {
+  getReplies() {
+    return storeService.getCollection(REPLIES);
+  }
+
+  /**
+   * Mailbox pre-check on envelope and headers: does it reference something we sent?
+   */
+  mightBeReply({ envelope, headers }) {
+    const ids = [envelope.inReplyTo, ...(headers.get('references') || '').match(/<[^>]+>/g) || []];
+    return ids.some(id => id && historyService.getRecordByMessageId(id));
+  }
+
+  /**
+   * Mailbox handler: store the message if it answers something we sent
+   * @returns {Promise<object|null>} the stored reply
+   */
+  async handleIncoming(source, meta = {}) {
+    const mail = await simpleParser(source);
+    if (isBounce(mail)) return null;
+
+    const messageId = normalizeMessageId(mail.messageId);
+    if (messageId && this.getReplies().some(r => r.messageId === messageId)) return null;
+
+    const references = [].concat(mail.references || []).map(normalizeMessageId).filter(Boolean);
+    const inReplyTo = normalizeMessageId(mail.inReplyTo);
+
+    // The message answered directly first, then the rest of the chain newest first
+    let sent = null;
+    for (const id of [inReplyTo, ...[...references].reverse()]) {
+      sent = id && historyService.getRecordByMessageId(id);
+      if (sent) break;
+    }
+    if (!sent) return null;
+
+    const sender = mail.from?.value?.[0] || {};
+    const reply = {
+      id: uuidv4(),
+      threadId: sent.threadId || sent.id,
+      inReplyToHistoryId: sent.id,
+      ownerId: sent.ownerId,
+      profileId: meta.profile?.id || sent.profileId || null,
+      messageId,
+      inReplyTo: inReplyTo || null,
+      references,
+      from: normalizeEmail(sender.address),
+      fromName: sender.name || '',
+      to: (mail.to?.value || []).map(a => normalizeEmail(a.address)),
+      subject: mail.subject || '',
+      text: mail.text || '',
+      html: mail.html || null,
+      date: (mail.date || new Date()).toISOString(),
+      receivedAt: new Date().toISOString()
+    };
+
+    storeService.setCollection(REPLIES, [...this.getReplies(), reply]);
+    console.log(`Reply from ${reply.from} matched to thread ${reply.threadId}`);
+    return reply;
+  }
+
+  // -------------- THREADS -------------- //
+
+  /**
+   * Threads started by messages sent by ownerId (null for every user)
+   */
+  getThreads(ownerId) {
+    const history = historyService.getHistory()
+      .filter(r => r.messageId && (!ownerId || r.ownerId === ownerId));
+    const replies = this.getReplies();
+
+    const roots = history.filter(record => !record.threadId || record.threadId === record.id);
+    return roots.map(root => {
+      const sent = history.filter(r => (r.threadId || r.id) === root.id);
+      const threadReplies = replies.filter(r => r.threadId === root.id);
+      const activity = [...sent.map(r => r.sentAt), ...threadReplies.map(r => r.date)].sort();
+
+      return {
+        id: root.id,
+        subject: root.subject,
+        recipients: root.to,
+        profileId: root.profileId,
+        sentAt: root.sentAt,
+        lastActivityAt: activity[activity.length - 1],
+        sentCount: sent.length,
+        replyCount: threadReplies.length,
+        replied: threadReplies.length > 0,
+        repliedBy: [...new Set(threadReplies.map(r => r.from))]
+      };
+    }).sort((a, b) => b.lastActivityAt.localeCompare(a.lastActivityAt));
+  }
+
+  /**
+   * Root record plus every sent message and reply in date order
+   */
+  getThread(threadId) {
+    const root = historyService.getRecord(threadId);
+    if (!root || (root.threadId && root.threadId !== root.id)) return null;
+
+    const sent = historyService.getHistory()
+      .filter(r => (r.threadId || r.id) === threadId && r.messageId)
+      .map(r => ({
+        type: 'sent',
+        historyId: r.id,
+        messageId: normalizeMessageId(r.messageId),
+        from: r.from,
+        to: r.to,
+        subject: r.subject,
+        text: r.text,
+        html: r.html,
+        date: r.sentAt,
+        status: r.status
+      }));
+    const replies = this.getReplies()
+      .filter(r => r.threadId === threadId)
+      .map(r => ({ type: 'reply', replyId: r.id, ...pick(r, ['messageId', 'from', 'fromName', 'to', 'subject', 'text', 'html', 'date']) }));
+
+    return {
+      id: threadId,
+      ownerId: root.ownerId,
+      profileId: root.profileId,
+      subject: root.subject,
+      recipients: root.to,
+      messages: [...sent, ...replies].sort((a, b) => a.date.localeCompare(b.date))
+    };
+  }
+
+  /**
+   * emailData answering the latest reply in the thread, with threading headers
+   */
+  buildReply(threadId, { html, text, to, cc }) {
+    const thread = this.getThread(threadId);
+    if (!thread) return null;
+
+    const replies = thread.messages.filter(m => m.type === 'reply');
+    const last = replies[replies.length - 1];
+    if (!last) throw new HttpError(409, 'Nobody has replied in this thread yet; send a follow-up instead');
+
+    return threadedEmail(thread, last, { html, text, to: to || last.from, cc });
+  }
+
+  /**
+   * emailData following up on our own last message to the original recipients
+   */
+  buildFollowUp(threadId, { html, text, to, cc }) {
+    const thread = this.getThread(threadId);
+    if (!thread) return null;
+
+    const sent = thread.messages.filter(m => m.type === 'sent');
+    return threadedEmail(thread, sent[sent.length - 1], { html, text, to: to || thread.recipients.join(', '), cc });
+  }
+}
+
+function threadedEmail(thread, answering, { html, text, to, cc }) {
+  const references = thread.messages.map(m => m.messageId).filter(Boolean).map(id => `<${id}>`);
+  return {
+    to,
+    ...(cc && { cc }),
+    subject: /^re:/i.test(thread.subject) ? thread.subject : `Re: ${thread.subject}`,
+    html,
+    ...(text && { text }),
+    profileId: thread.profileId || undefined,
+    threadId: thread.id,
+    inReplyTo: answering?.messageId ? `<${answering.messageId}>` : undefined,
+    references
+  };
+}
+
+function pick(obj, keys) {
+  const out = {};
+  keys.forEach(key => { out[key] = obj[key]; });
+  return out;
+}
+
+module.exports = new ThreadService();
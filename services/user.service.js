@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/default');
+const storeService = require('./store.service');
+const HttpError = require('../utils/http-error');
+const { hashPassword, verifyPassword } = require('../utils/password');
+
+const ROLES = ['admin', 'sender'];
+
+/**
+ * User accounts and bearer-token sessions.
+ * Only a SHA-256 digest of each session token is stored.
+ */
+class UserService {
+  // Users
+  getUsers() {
+    return storeService.getCollection('users');
+  }
+
+  getUserById(id) {
+    return this.getUsers().find(user => user.id === id) || null;
+  }
+
+  getUserByUsername(username) {
+    const wanted = String(username || '').toLowerCase();
+    return this.getUsers().find(user => user.username.toLowerCase() === wanted) || null;
+  }
+
+  createUser({ username, password, role = 'sender' }) {
+    if (!username || !password) throw new HttpError(400, 'Username and password are required');
+    if (!ROLES.includes(role)) throw new HttpError(400, `Role must be one of: ${ROLES.join(', ')}`);
+    if (this.getUserByUsername(username)) throw new HttpError(409, 'Username already taken');
+
+    const now = new Date().toISOString();
+    const user = {
+      id: uuidv4(),
+      username,
+      passwordHash: hashPassword(password),
+      role,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    storeService.setCollection('users', [...this.getUsers(), user]);
+    return user;
+  }
+
+  updateUser(id, { username, password, role }) {
+    const users = this.getUsers();
+    const index = users.findIndex(user => user.id === id);
+    if (index === -1) return null;
+
+    if (role !== undefined && !ROLES.includes(role)) {
+      throw new HttpError(400, `Role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (username !== undefined) {
+      const taken = this.getUserByUsername(username);
+      if (taken && taken.id !== id) throw new HttpError(409, 'Username already taken');
+    }
+    if (role !== undefined && role !== 'admin' && users[index].role === 'admin' && this.countAdmins() === 1) {
+      throw new HttpError(400, 'Cannot demote the last admin');
+    }
+
+    users[index] = {
+      ...users[index],
+      ...(username !== undefined && { username }),
+      ...(role !== undefined && { role }),
+      ...(password && { passwordHash: hashPassword(password), mustChangePassword: false }),
+      updatedAt: new Date().toISOString()
+    };
+    storeService.setCollection('users', users);
+
+    // A password change signs the user out everywhere
+    if (password) this.revokeSessions(id);
+
+    return users[index];
+  }
+
+  deleteUser(id) {
+    const user = this.getUserById(id);
+    if (!user) return null;
+    if (user.role === 'admin' && this.countAdmins() === 1) {
+      throw new HttpError(400, 'Cannot delete the last admin');
+    }
+
+    storeService.setCollection('users', this.getUsers().filter(u => u.id !== id));
+    this.revokeSessions(id);
+    return user;
+  }
+
+  countAdmins() {
+    return this.getUsers().filter(user => user.role === 'admin').length;
+  }
+
+  async verifyCredentials(username, password) {
+    const user = this.getUserByUsername(username);
+    if (!user || !(await verifyPassword(password, user.passwordHash))) return null;
+    return user;
+  }
+
+  // Sessions
+  async login(username, password) {
+    const user = await this.verifyCredentials(username, password);
+    if (!user) throw new HttpError(401, 'Invalid username or password');
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    const session = {
+      id: uuidv4(),
+      userId: user.id,
+      tokenHash: hashToken(token),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + config.auth.sessionTtlHours * 3600 * 1000).toISOString()
+    };
+
+    const sessions = this.getActiveSessions();
+    sessions.push(session);
+    storeService.setCollection('sessions', sessions);
+
+    return { token, expiresAt: session.expiresAt, user };
+  }
+
+  logout(token) {
+    const tokenHash = hashToken(token);
+    const sessions = storeService.getCollection('sessions');
+    const remaining = sessions.filter(session => session.tokenHash !== tokenHash);
+    storeService.setCollection('sessions', remaining);
+    return remaining.length !== sessions.length;
+  }
+
+  /**
+   * Resolve a bearer token to its user, or null when unknown or expired
+   */
+  authenticate(token) {
+    if (!token) return null;
+    const tokenHash = hashToken(token);
+    const session = this.getActiveSessions().find(s => s.tokenHash === tokenHash);
+    return session ? this.getUserById(session.userId) : null;
+  }
+
+  revokeSessions(userId) {
+    const sessions = storeService.getCollection('sessions').filter(s => s.userId !== userId);
+    storeService.setCollection('sessions', sessions);
+  }
+
+  getActiveSessions() {
+    const now = new Date().toISOString();
+    return storeService.getCollection('sessions').filter(session => session.expiresAt > now);
+  }
+
+  toPublicUser(user) {
+    const { passwordHash, ...rest } = user;
+    return rest;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = new UserService();
+module.exports.ROLES = ROLES;
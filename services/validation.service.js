@@ -0,0 +1,247 @@
+const dns = require('dns');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/default');
+const { toAddressList, parseAddress, isFileName } = require('../utils/address');
+
+const STATUSES = ['valid', 'risky', 'invalid', 'unknown'];
+
+// Mailboxes nobody reads: sending to them is never useful
+const NO_REPLY_PREFIXES = ['noreply', 'no-reply', 'no_reply', 'donotreply', 'do-not-reply', 'mailer-daemon', 'postmaster', 'abuse'];
+const ROLE_PREFIXES = [
+  'admin', 'billing', 'contact', 'hello', 'help', 'info', 'marketing', 'media', 'office', 'press',
+  'sales', 'security', 'support', 'webmaster', 'hr', 'jobs', 'careers', 'recrutement', 'recruitment', 'rh'
+];
+
+// Common mailbox providers, for typo hints (gmial.com -> gmail.com)
+const POPULAR_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.fr', 'ymail.com', 'hotmail.com', 'hotmail.fr',
+  'outlook.com', 'outlook.fr', 'live.com', 'live.fr', 'msn.com', 'icloud.com', 'me.com', 'aol.com',
+  'gmx.com', 'gmx.fr', 'gmx.de', 'mail.com', 'protonmail.com', 'proton.me', 'orange.fr', 'free.fr',
+  'laposte.net', 'sfr.fr', 'wanadoo.fr', 'yandex.com', 'zoho.com'
+];
+const TLD_TYPOS = { con: 'com', cmo: 'com', ocm: 'com', comm: 'com', vom: 'com', xom: 'com', cpm: 'com', nte: 'net', ner: 'net', ogr: 'org', rog: 'org' };
+
+/**
+ * Recipient address validation: syntax, IDN, MX/A lookup, disposable domains,
+ * role accounts and typo hints. Each address gets a status and a reason:
+ * valid, risky (deliverable but doubtful), invalid, or unknown (DNS failed).
+ */
+class ValidationService {
+  constructor(resolver) {
+    this.resolver = resolver || createResolver();
+    this.domainCache = new Map();
+    this.disposableDomains = loadDisposableDomains();
+  }
+
+  /**
+   * Replace the DNS resolver (anything with resolveMx/resolve4/resolve6)
+   */
+  setResolver(resolver) {
+    this.resolver = resolver;
+    this.domainCache.clear();
+  }
+
+  /**
+   * @param {string} input address, optionally "Name <address>"
+   * @param {{ dns?: boolean }} options dns: false only runs the offline checks
+   */
+  async validate(input, { dns: checkDns = true } = {}) {
+    const parsed = parseAddress(input);
+    const result = {
+      input: String(input ?? ''),
+      email: parsed.email,
+      status: 'valid',
+      reason: null,
+      suggestion: null,
+      checks: { syntax: !parsed.error, idn: parsed.idn, disposable: false, role: false, dns: 'skipped', mx: [] }
+    };
+    if (parsed.error) return finish(result, 'invalid', parsed.error);
+
+    const { local, domain } = parsed;
+    if (isFileName(domain)) return finish(result, 'invalid', 'Looks like a file name, not an address');
+
+    const lowerLocal = local.toLowerCase();
+    if (NO_REPLY_PREFIXES.some(prefix => lowerLocal === prefix || lowerLocal.startsWith(`${prefix}+`))) {
+      return finish(result, 'invalid', 'Unattended no-reply or system mailbox');
+    }
+    result.checks.role = ROLE_PREFIXES.includes(lowerLocal.split('+')[0]);
+    result.checks.disposable = this.isDisposable(domain);
+
+    const suggested = suggestDomain(domain);
+    if (suggested) result.suggestion = `${local}@${suggested}`;
+
+    if (checkDns && !parsed.literal) {
+      const lookup = await this.lookupDomain(parsed.asciiDomain);
+      result.checks.dns = lookup.dns;
+      result.checks.mx = lookup.mx || [];
+
+      if (lookup.dns === 'nxdomain') return finish(result, 'invalid', `Domain ${domain} does not exist`);
+      if (lookup.dns === 'null-mx') return finish(result, 'invalid', `Domain ${domain} does not accept email`);
+      if (lookup.dns === 'none') return finish(result, 'invalid', `Domain ${domain} has no mail server`);
+      if (lookup.dns === 'error') return finish(result, 'unknown', `DNS lookup failed (${lookup.error})`);
+    }
+
+    if (result.checks.disposable) return finish(result, 'risky', 'Disposable email domain');
+    if (result.suggestion) return finish(result, 'risky', `Possible typo, did you mean ${result.suggestion}?`);
+    if (parsed.literal) return finish(result, 'risky', 'IP address literal instead of a domain');
+    if (/[^\x00-\x7f]/.test(local)) return finish(result, 'risky', 'Non-ASCII local part needs SMTPUTF8 support');
+    return finish(result, 'valid', result.checks.role ? 'Role account' : null);
+  }
+
+  /**
+   * Offline syntax check, e.g. to drop junk matches from scraped text
+   */
+  isWellFormed(input) {
+    const parsed = parseAddress(input);
+    return !parsed.error && !isFileName(parsed.domain);
+  }
+
+  /**
+   * Validate a list (duplicates are checked once), in input order, with a status summary
+   */
+  async validateMany(inputs, options = {}) {
+    const unique = [...new Set(inputs.map(input => String(input ?? '').trim()))];
+    const byInput = new Map();
+
+    let next = 0;
+    const worker = async () => {
+      while (next < unique.length) {
+        const input = unique[next++];
+        byInput.set(input, await this.validate(input, options));
+      }
+    };
+    const concurrency = Math.max(1, Math.min(config.validation.concurrency, unique.length));
+    await Promise.all(Array.from({ length: concurrency }, worker));
+
+    const results = unique.map(input => byInput.get(input));
+    const summary = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    results.forEach(result => { summary[result.status]++; });
+    return { total: results.length, summary, results };
+  }
+
+  /**
+   * Pre-send hook: the invalid addresses among to/cc/bcc
+   */
+  async checkRecipients(emailData) {
+    const addresses = ['to', 'cc', 'bcc'].flatMap(field => toAddressList(emailData[field]));
+    if (addresses.length === 0) return [];
+    const { results } = await this.validateMany(addresses);
+    return results.filter(result => result.status === 'invalid');
+  }
+
+  isDisposable(domain) {
+    // Subdomains of a disposable domain count too
+    const labels = domain.split('.');
+    return labels.some((_, i) => this.disposableDomains.has(labels.slice(i).join('.')));
+  }
+
+  /**
+   * MX lookup with the implicit MX fallback (A/AAAA) of RFC 5321, cached per domain
+   * @returns {Promise<{dns: 'mx'|'a'|'null-mx'|'none'|'nxdomain'|'error', mx?: string[], error?: string}>}
+   */
+  lookupDomain(domain) {
+    const cached = this.domainCache.get(domain);
+    if (cached && cached.expiresAt > Date.now()) return cached.promise;
+
+    const promise = resolveMailHost(this.resolver, domain);
+    this.domainCache.set(domain, { promise, expiresAt: Date.now() + config.validation.cacheTtlMs });
+    promise.then(lookup => {
+      // Do not keep transient failures around
+      if (lookup.dns === 'error') this.domainCache.delete(domain);
+    });
+    return promise;
+  }
+}
+
+function finish(result, status, reason) {
+  result.status = status;
+  result.reason = reason;
+  return result;
+}
+
+function createResolver() {
+  const resolver = new dns.promises.Resolver({ timeout: config.validation.dnsTimeoutMs, tries: 2 });
+  const servers = config.validation.dnsServers.split(',').map(s => s.trim()).filter(Boolean);
+  if (servers.length) resolver.setServers(servers);
+  return resolver;
+}
+
+function loadDisposableDomains() {
+  const domains = [...require('../config/disposable-domains.json')];
+  const file = config.validation.disposableDomainsFile;
+  if (file) {
+    try {
+      fs.readFileSync(path.resolve(file), 'utf8').split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+        .forEach(domain => domains.push(domain));
+    } catch (err) {
+      console.error(`Could not read disposable domains file ${file}:`, err.message);
+    }
+  }
+  return new Set(domains);
+}
+
+async function resolveMailHost(resolver, domain) {
+  try {
+    const records = await resolver.resolveMx(domain);
+    const hosts = records
+      .sort((a, b) => a.priority - b.priority)
+      .map(record => record.exchange)
+      .filter(exchange => exchange && exchange !== '.');
+    if (records.length && hosts.length === 0) return { dns: 'null-mx' };
+    if (hosts.length) return { dns: 'mx', mx: hosts };
+  } catch (err) {
+    if (err.code === 'ENOTFOUND' || err.code === 'NXDOMAIN') return { dns: 'nxdomain' };
+    if (err.code !== 'ENODATA') return { dns: 'error', error: err.code || err.message };
+  }
+
+  // No MX: the domain's own address receives mail (RFC 5321 section 5.1)
+  for (const method of ['resolve4', 'resolve6']) {
+    try {
+      const addresses = await resolver[method](domain);
+      if (addresses.length) return { dns: 'a', mx: [domain] };
+    } catch (err) {
+      if (err.code === 'ENOTFOUND') return { dns: 'nxdomain' };
+      if (err.code !== 'ENODATA') return { dns: 'error', error: err.code || err.message };
+    }
+  }
+  return { dns: 'none' };
+}
+
+/**
+ * Closest popular provider or fixed TLD when the domain looks like a typo of one
+ */
+function suggestDomain(domain) {
+  if (POPULAR_DOMAINS.includes(domain)) return null;
+
+  const match = POPULAR_DOMAINS.find(popular => editDistance(domain, popular) === 1);
+  if (match) return match;
+
+  const tld = domain.slice(domain.lastIndexOf('.') + 1);
+  if (TLD_TYPOS[tld]) return `${domain.slice(0, -tld.length)}${TLD_TYPOS[tld]}`;
+  return null;
+}
+
+/**
+ * Levenshtein distance where swapping two adjacent letters counts as one edit
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+module.exports = new ValidationService();
+module.exports.ValidationService = ValidationService;
@@ -0,0 +1,110 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const BingProvider = require('../../services/search/bing.provider');
+const DuckDuckGoProvider = require('../../services/search/duckduckgo.provider');
+const SearxngProvider = require('../../services/search/searxng.provider');
+const BraveProvider = require('../../services/search/brave.provider');
+const GoogleProvider = require('../../services/search/google.provider');
+
+// Saved result pages, trimmed to the markup the parsers rely on
+const fixture = name => fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'search', name), 'utf8');
+const jsonFixture = name => JSON.parse(fixture(name));
+
+describe('BingProvider.parseResults', () => {
+  const { results } = BingProvider.parseResults(fixture('bing.html'));
+
+  it('reads organic results and skips ads and relative links', () => {
+    assert.deepEqual(results.map(r => r.url), [
+      'https://www.acme.com/contact',
+      'https://careers.example.org/jobs?team=hr',
+      'https://blog.example.com/post'
+    ]);
+  });
+
+  it('decodes bing.com/ck/a redirect links', () => {
+    assert.equal(results[1].url, 'https://careers.example.org/jobs?team=hr');
+  });
+
+  it('takes the title from the link text and the snippet from the caption, or a paragraph', () => {
+    assert.deepEqual(results[0], {
+      url: 'https://www.acme.com/contact',
+      title: 'Contact us | Acme',
+      snippet: 'Write to hr@acme.com for open positions or call our office.'
+    });
+    assert.equal(results[2].snippet, 'No caption block, snippet in a paragraph.');
+  });
+
+  it('returns no results for a page without any', () => {
+    assert.deepEqual(BingProvider.parseResults('<html><body></body></html>'), { results: [] });
+  });
+});
+
+describe('DuckDuckGoProvider.parseResults', () => {
+  const { results } = DuckDuckGoProvider.parseResults(fixture('duckduckgo.html'));
+
+  it('reads web results, resolving uddg redirects and skipping ads and relative links', () => {
+    assert.deepEqual(results, [
+      {
+        url: 'https://www.acme.com/careers?lang=en',
+        title: 'Careers - Acme',
+        snippet: 'Send your CV to hr@acme.com.'
+      },
+      {
+        url: 'https://example.org/team',
+        title: 'Our team',
+        snippet: 'Meet the people behind Example.'
+      }
+    ]);
+  });
+
+  it('returns no results for a page without any', () => {
+    assert.deepEqual(DuckDuckGoProvider.parseResults(''), { results: [] });
+  });
+});
+
+describe('SearxngProvider.parseResults', () => {
+  it('maps content to snippet and drops non-http results', () => {
+    assert.deepEqual(SearxngProvider.parseResults(jsonFixture('searxng.json')), {
+      results: [
+        { url: 'https://www.acme.com/contact', title: 'Contact - Acme', snippet: 'Reach our HR team at hr@acme.com.' },
+        { url: 'https://jobs.example.org/', title: 'Jobs', snippet: '' }
+      ]
+    });
+  });
+
+  it('accepts a response without results', () => {
+    assert.deepEqual(SearxngProvider.parseResults({}), { results: [] });
+  });
+});
+
+describe('BraveProvider.parseResults', () => {
+  it('reads web results and strips highlighting from descriptions', () => {
+    assert.deepEqual(BraveProvider.parseResults(jsonFixture('brave.json')), {
+      results: [
+        { url: 'https://www.acme.com/contact', title: 'Contact - Acme', snippet: 'Email hr@acme.com for open positions.' },
+        { url: 'https://example.org/careers', title: 'Careers at Example', snippet: '' }
+      ]
+    });
+  });
+
+  it('accepts a response without web results', () => {
+    assert.deepEqual(BraveProvider.parseResults({ type: 'search' }), { results: [] });
+  });
+});
+
+describe('GoogleProvider.parseResults', () => {
+  it('reads items, with an empty snippet when there is none', () => {
+    assert.deepEqual(GoogleProvider.parseResults(jsonFixture('google.json')), {
+      results: [
+        { url: 'https://www.acme.com/contact', title: 'Contact - Acme', snippet: 'Write to hr@acme.com for open positions.' },
+        { url: 'https://example.org/careers', title: 'Careers at Example', snippet: '' }
+      ]
+    });
+  });
+
+  it('accepts a response without items (no results)', () => {
+    assert.deepEqual(GoogleProvider.parseResults({ kind: 'customsearch#search' }), { results: [] });
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fetchService = require('../../services/fetch.service');
+const SearchProviderError = require('../../services/search/provider-error');
+const { fetchText, fetchJson } = require('../../services/search/request');
+
+function response(status, text) {
+  return { status, ok: status >= 200 && status < 300, text };
+}
+
+describe('search requests', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('returns the body of a successful response', async () => {
+    mock.method(fetchService, 'fetchWithTimeout', async () => response(200, async () => '<html></html>'));
+    assert.equal(await fetchText('bing', 'https://www.bing.com/search?q=x'), '<html></html>');
+  });
+
+  it('reports a body that fails to download as a network error', async () => {
+    mock.method(fetchService, 'fetchWithTimeout', async () => response(200, async () => {
+      throw new TypeError('terminated');
+    }));
+    await assert.rejects(fetchText('bing', 'https://www.bing.com/search?q=x'), err => {
+      assert.ok(err instanceof SearchProviderError);
+      assert.equal(err.code, 'network');
+      assert.match(err.message, /terminated/);
+      return true;
+    });
+  });
+
+  it('reports HTTP 429 as a captcha and other failures as http errors', async () => {
+    mock.method(fetchService, 'fetchWithTimeout', async () => response(429, async () => ''));
+    await assert.rejects(fetchText('bing', 'https://www.bing.com/search?q=x'), { code: 'captcha', status: 429 });
+
+    mock.method(fetchService, 'fetchWithTimeout', async () => response(503, async () => ''));
+    await assert.rejects(fetchText('bing', 'https://www.bing.com/search?q=x'), { code: 'http', status: 503 });
+  });
+
+  it('keeps API keys out of error URLs', async () => {
+    mock.method(fetchService, 'fetchWithTimeout', async () => response(403, async () => ''));
+    await assert.rejects(
+      fetchJson('google', 'https://www.googleapis.com/customsearch/v1?key=secret&cx=1&q=x'),
+      { url: 'https://www.googleapis.com/customsearch/v1?key=***&cx=1&q=x' }
+    );
+  });
+
+  it('reports a non-JSON body as a parse error', async () => {
+    mock.method(fetchService, 'fetchWithTimeout', async () => response(200, async () => '<html>'));
+    await assert.rejects(fetchJson('searxng', 'https://searx.example/search?q=x&format=json'), { code: 'parse' });
+  });
+});
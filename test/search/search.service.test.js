@@ -0,0 +1,106 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Fixed fallback order, whatever the environment configures
+process.env.SEARCH_PROVIDER = 'bing';
+process.env.SEARCH_PROVIDERS = 'bing,duckduckgo,searxng';
+process.env.SEARXNG_URL = '';
+
+const searchService = require('../../services/search.service');
+const SearchProviderError = require('../../services/search/provider-error');
+
+const RESULTS = [{ url: 'https://www.acme.com/contact', title: 'Contact', snippet: 'hr@acme.com' }];
+
+// Stands in for a provider: fails with `error` or returns RESULTS, and counts calls
+function fakeProvider(name, { error, configured = true } = {}) {
+  return {
+    name,
+    calls: 0,
+    isConfigured: () => configured,
+    async search() {
+      this.calls++;
+      if (error) throw error;
+      return { results: RESULTS };
+    }
+  };
+}
+
+const captcha = name => new SearchProviderError(name, 'captcha', 'Captcha detected', { url: `https://${name}.example/search` });
+
+describe('SearchService.search fallback', () => {
+  let providers;
+
+  beforeEach(() => {
+    providers = {
+      bing: fakeProvider('bing'),
+      duckduckgo: fakeProvider('duckduckgo'),
+      searxng: fakeProvider('searxng', { configured: false })
+    };
+    searchService.providers = providers;
+  });
+
+  it('uses the requested provider when it works', async () => {
+    const result = await searchService.search('hr acme');
+    assert.deepEqual(result, { provider: 'bing', results: RESULTS, failures: [] });
+    assert.equal(providers.duckduckgo.calls, 0);
+  });
+
+  it('tries the next configured provider when one fails', async () => {
+    providers.bing = fakeProvider('bing', { error: captcha('bing') });
+    searchService.providers = providers;
+
+    const result = await searchService.search('hr acme');
+    assert.equal(result.provider, 'duckduckgo');
+    assert.deepEqual(result.results, RESULTS);
+    assert.deepEqual(result.failures, [
+      { provider: 'bing', code: 'captcha', error: 'bing: Captcha detected', url: 'https://bing.example/search' }
+    ]);
+    // Not configured, so never tried
+    assert.equal(providers.searxng.calls, 0);
+  });
+
+  it('throws the first error with every failure when all providers fail', async () => {
+    providers.bing = fakeProvider('bing', { error: captcha('bing') });
+    providers.duckduckgo = fakeProvider('duckduckgo', {
+      error: new SearchProviderError('duckduckgo', 'network', 'Search fetch failed: timeout')
+    });
+    searchService.providers = providers;
+
+    await assert.rejects(searchService.search('hr acme'), err => {
+      assert.equal(err.provider, 'bing');
+      assert.deepEqual(err.failures.map(f => [f.provider, f.code]), [['bing', 'captcha'], ['duckduckgo', 'network']]);
+      return true;
+    });
+  });
+
+  it('does not fall back when fallback is off', async () => {
+    providers.bing = fakeProvider('bing', { error: captcha('bing') });
+    searchService.providers = providers;
+
+    await assert.rejects(searchService.search('hr acme', { fallback: false }), { provider: 'bing', code: 'captcha' });
+    assert.equal(providers.duckduckgo.calls, 0);
+  });
+
+  it('rethrows unexpected errors without trying other providers', async () => {
+    providers.bing = fakeProvider('bing', { error: new TypeError('bug') });
+    searchService.providers = providers;
+
+    await assert.rejects(searchService.search('hr acme'), TypeError);
+    assert.equal(providers.duckduckgo.calls, 0);
+  });
+
+  it('stops when the caller cancelled', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    providers.bing = fakeProvider('bing', { error: captcha('bing') });
+    searchService.providers = providers;
+
+    await assert.rejects(searchService.search('hr acme', { signal: controller.signal }), { code: 'captcha' });
+    assert.equal(providers.duckduckgo.calls, 0);
+  });
+
+  it('rejects unknown and unconfigured providers with a 400', async () => {
+    await assert.rejects(searchService.search('hr acme', { provider: 'altavista' }), { statusCode: 400 });
+    await assert.rejects(searchService.search('hr acme', { provider: 'searxng' }), { statusCode: 400 });
+  });
+});
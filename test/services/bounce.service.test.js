@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// In-memory store, so ingesting does not touch data/
+process.env.STORE_DRIVER = 'memory';
+process.env.ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'test-admin-password';
+
+const bounceService = require('../../services/bounce.service');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'bounces', name));
+
+describe('BounceService.parse', () => {
+  it('reads the failed recipients of an RFC 3464 delivery status notification', async () => {
+    const bounce = await bounceService.parse(fixture('dsn.eml'));
+
+    assert.equal(bounce.originalMessageId, 'original-1@example.com');
+    assert.deepEqual(bounce.recipients.map(({ email, status, type }) => ({ email, status, type })), [
+      { email: 'gone@acme.com', status: '5.1.1', type: 'hard' },
+      { email: 'full@acme.com', status: '4.2.2', type: 'soft' }
+    ]);
+    // Folded Diagnostic-Code lines are joined, the "smtp;" type dropped
+    assert.equal(bounce.recipients[0].diagnostic,
+      '550 5.1.1 <gone@acme.com>: Recipient address rejected: User unknown in virtual mailbox table');
+  });
+
+  it('finds the recipient and status of a non-standard bounce body', async () => {
+    const bounce = await bounceService.parse(fixture('non-standard.eml'));
+
+    assert.equal(bounce.originalMessageId, 'original-2@example.com');
+    assert.equal(bounce.recipients.length, 1);
+    assert.equal(bounce.recipients[0].email, 'nobody@contoso.example');
+    assert.equal(bounce.recipients[0].status, '5.1.10');
+    assert.equal(bounce.recipients[0].type, 'hard');
+  });
+
+  it('does not take an auto-reply for a bounce', async () => {
+    assert.equal(await bounceService.parse(fixture('auto-reply.eml')), null);
+  });
+});
+
+describe('BounceService.ingest', () => {
+  it('gives a bounce without a matching sent message to the given owner', async () => {
+    const { records } = await bounceService.ingest(fixture('non-standard.eml'), { source: 'upload:bob', ownerId: 'user-bob' });
+
+    assert.equal(records.length, 1);
+    assert.equal(records[0].historyId, null);
+    assert.equal(records[0].ownerId, 'user-bob');
+  });
+});
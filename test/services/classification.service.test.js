@@ -0,0 +1,104 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STORE_DRIVER = 'memory';
+process.env.ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'test-admin-password';
+
+const classificationService = require('../../services/classification.service');
+const leadService = require('../../services/lead.service');
+const storeService = require('../../services/store.service');
+const DEFAULT_RULES = require('../../config/classification-rules.json');
+
+const OWNER = 'user-1';
+
+function reset() {
+  storeService.setCollection('classificationRules', []);
+  storeService.setCollection('leads', []);
+  classificationService.compiled = null;
+}
+
+function pick(email, context, options) {
+  const { score, category, reasons } = classificationService.score(email, context, options);
+  return { score, category, rules: reasons.map(reason => reason.rule) };
+}
+
+describe('classificationService.score', () => {
+  beforeEach(reset);
+
+  it('scores HR prefixes above the threshold', () => {
+    assert.deepEqual(pick('HR@acme.com'), { score: 0.9, category: 'hr', rules: ['hr-prefix', 'hr-focus'] });
+    assert.deepEqual(pick('recrutement@acme.ma', '', { country: 'ma' }), { score: 0.9, category: 'hr', rules: ['hr-prefix', 'hr-focus'] });
+  });
+
+  it('adds the page context to a personal address', () => {
+    assert.deepEqual(pick('jane.doe@acme.com', 'Careers at Acme'), {
+      score: 0.8,
+      category: 'hr',
+      rules: ['name-pattern', 'hr-context', 'hr-focus']
+    });
+    assert.deepEqual(pick('jane.doe@acme.com', '', { hrFocus: false }), { score: 0.3, category: 'general', rules: ['name-pattern'] });
+  });
+
+  it('matches HR keywords inside the local part', () => {
+    assert.deepEqual(pick('people@acme.com', '', { hrFocus: false }), { score: 0.6, category: 'hr', rules: ['hr-keyword'] });
+  });
+
+  it('leaves shared inboxes out of HR hunts and drops no-reply addresses', () => {
+    assert.deepEqual(pick('info@acme.com'), { score: 0, category: 'excluded', rules: ['generic-prefix'] });
+    assert.deepEqual(pick('info@acme.com', '', { hrFocus: false }), { score: 0, category: 'general', rules: ['generic-prefix'] });
+    assert.deepEqual(pick('noreply@acme.com'), { score: 0, category: 'excluded', rules: ['ignore-prefix'] });
+  });
+
+  it('ranks classify results by score and leaves excluded addresses out', () => {
+    const { hr, general } = classificationService.classify(
+      ['jane.doe@acme.com', 'hr@acme.com', 'info@acme.com', 'noreply@acme.com'],
+      'Careers at Acme',
+      { hrFocus: false }
+    );
+    assert.deepEqual(hr, ['hr@acme.com', 'jane.doe@acme.com']);
+    assert.deepEqual(general, ['info@acme.com']);
+  });
+});
+
+describe('classificationService rule versions', () => {
+  beforeEach(() => {
+    reset();
+    leadService.recordSightings([
+      { email: 'team@acme.com', category: 'general', url: 'https://acme.com/about', title: 'About Acme', score: 0 },
+      { email: 'jane.doe@acme.com', category: 'hr', url: 'https://acme.com/jobs', title: 'Careers at Acme', score: 0.8 },
+      { email: 'hr@spam.example', category: 'hr', url: null, title: null, score: 0.9 },
+      { email: 'people@partner.com', category: 'hr', url: null, title: null, score: 0.6 }
+    ], OWNER);
+  });
+
+  const lead = email => {
+    const { category, score } = leadService.findByEmail(OWNER, email);
+    return { category, score };
+  };
+
+  it('scores the stored leads again when a new version is saved', () => {
+    leadService.update(leadService.findByEmail(OWNER, 'people@partner.com').id, { category: 'hr' });
+
+    const version = classificationService.updateRules({
+      prefixes: { hr: [...DEFAULT_RULES.prefixes.hr, 'team'] },
+      domains: { deny: ['spam.example', 'partner.com'] }
+    });
+
+    assert.equal(classificationService.getActive().id, version.id);
+    assert.deepEqual(lead('team@acme.com'), { category: 'hr', score: 0.7 });
+    // Seen on a careers page: the stored title stands in for the page text
+    assert.deepEqual(lead('jane.doe@acme.com'), { category: 'hr', score: 0.6 });
+    assert.deepEqual(lead('hr@spam.example'), { category: 'general', score: 0 });
+    // Category set by hand stays
+    assert.deepEqual(lead('people@partner.com'), { category: 'hr', score: 0 });
+  });
+
+  it('scores them again when an earlier version is restored', () => {
+    const lenient = classificationService.updateRules({ threshold: 0.5 });
+    classificationService.updateRules({ threshold: 0.95 });
+    assert.deepEqual(lead('jane.doe@acme.com'), { category: 'general', score: 0.6 });
+
+    classificationService.restoreVersion(lenient.id);
+    assert.deepEqual(lead('jane.doe@acme.com'), { category: 'hr', score: 0.6 });
+  });
+});
@@ -0,0 +1,215 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.CRAWLER_HOST_DELAY_MS = '0';
+
+const config = require('../../config/default');
+const fetchService = require('../../services/fetch.service');
+
+/**
+ * dns.lookup stand-in answering every name with one address, counting its calls
+ */
+function fakeLookup(address) {
+  const lookup = (hostname, options, callback) => {
+    lookup.calls++;
+    const all = [{ address, family: address.includes(':') ? 6 : 4 }];
+    if (options.all) callback(null, all);
+    else callback(null, address, all[0].family);
+  };
+  lookup.calls = 0;
+  return lookup;
+}
+
+describe('fetchService private address check', () => {
+  let server;
+  let port;
+  let requests;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests++;
+      res.end(req.url === '/robots.txt' ? '' : '<p>internal</p>');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    requests = 0;
+    fetchService.pages.clear();
+    fetchService.robots.clear();
+    fetchService.dispatcher = null;
+    config.crawler.allowPrivateNetworks = false;
+  });
+
+  it('checks the address a name resolves to when the socket connects', async () => {
+    // A name that resolves to loopback when the socket connects (a rebound DNS answer)
+    fetchService.lookup = fakeLookup('127.0.0.1');
+    await assert.rejects(fetchService.politeFetch(`http://shop.example:${port}/`), {
+      code: 'PRIVATE_ADDRESS',
+      message: /127\.0\.0\.1/
+    });
+    assert.ok(fetchService.lookup.calls > 0);
+    assert.equal(requests, 0);
+  });
+
+  it('refuses private IP literals without a lookup', async () => {
+    fetchService.lookup = fakeLookup('93.184.216.34');
+    await assert.rejects(fetchService.politeFetch(`http://127.0.0.1:${port}/`), { code: 'PRIVATE_ADDRESS' });
+    assert.equal(fetchService.lookup.calls, 0);
+    assert.equal(requests, 0);
+  });
+
+  it('connects anywhere when private networks are allowed', async () => {
+    config.crawler.allowPrivateNetworks = true;
+    const page = await fetchService.politeFetch(`http://127.0.0.1:${port}/`);
+    assert.equal(page.status, 200);
+    assert.equal(page.body, '<p>internal</p>');
+  });
+});
+
+describe('fetchService.politeFetch', () => {
+  const ROUTES = {
+    '/robots.txt': res => res.end('User-agent: *\nDisallow: /private\n'),
+    '/old': res => redirect(res, 301, '/new'),
+    '/new': res => res.end('new page'),
+    '/to-private': res => redirect(res, 302, '/private/page'),
+    '/loop': res => redirect(res, 302, '/loop'),
+    '/to-mailto': res => redirect(res, 302, 'mailto:owner@example.com'),
+    '/big': res => res.end('x'.repeat(10000)),
+    '/etag': (res, req) => {
+      if (req.headers['if-none-match'] === '"v1"') {
+        res.writeHead(304);
+        return res.end();
+      }
+      res.writeHead(200, { ETag: '"v1"' });
+      res.end('tagged page');
+    }
+  };
+  let server;
+  let base;
+  let hits;
+
+  function redirect(res, status, location) {
+    res.writeHead(status, { Location: location });
+    res.end();
+  }
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      hits.push(req.url);
+      const route = ROUTES[req.url] || (() => res.end(`page ${req.url}`));
+      route(res, req);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    hits = [];
+    fetchService.pages.clear();
+    fetchService.robots.clear();
+    config.crawler.allowPrivateNetworks = true;
+  });
+
+  it('follows redirects by hand and reports the final URL', async () => {
+    const page = await fetchService.politeFetch(`${base}/old`);
+    assert.equal(page.url, `${base}/new`);
+    assert.equal(page.body, 'new page');
+    assert.deepEqual(hits, ['/robots.txt', '/old', '/new']);
+  });
+
+  it('checks robots.txt on every hop', async () => {
+    await assert.rejects(fetchService.politeFetch(`${base}/to-private`), { code: 'ROBOTS_DISALLOWED' });
+    assert.deepEqual(hits, ['/robots.txt', '/to-private']);
+  });
+
+  it('stops at the redirect limit and at redirects to other schemes', async () => {
+    await assert.rejects(fetchService.politeFetch(`${base}/loop`), { code: 'TOO_MANY_REDIRECTS' });
+    assert.equal(hits.filter(url => url === '/loop').length, config.crawler.maxRedirects + 1);
+    await assert.rejects(fetchService.politeFetch(`${base}/to-mailto`), { code: 'BAD_REDIRECT' });
+  });
+
+  it('reads bodies up to maxBytes and does not cache truncated pages', async () => {
+    const page = await fetchService.politeFetch(`${base}/big`, { maxBytes: 100 });
+    assert.equal(page.body, 'x'.repeat(100));
+    assert.equal(page.truncated, true);
+    assert.equal(fetchService.pages.has(`${base}/big`), false);
+  });
+
+  it('revalidates stale pages with their ETag', async () => {
+    const saved = config.crawler.cacheTtlMs;
+    config.crawler.cacheTtlMs = 0;
+    try {
+      assert.equal((await fetchService.politeFetch(`${base}/etag`)).fromCache, false);
+      const page = await fetchService.politeFetch(`${base}/etag`);
+      assert.equal(page.fromCache, true);
+      assert.equal(page.body, 'tagged page');
+      assert.deepEqual(hits, ['/robots.txt', '/etag', '/etag']);
+    } finally {
+      config.crawler.cacheTtlMs = saved;
+    }
+  });
+
+  it('evicts the least recently used page when the cache is full', async () => {
+    const saved = config.crawler.cacheMaxEntries;
+    config.crawler.cacheMaxEntries = 2;
+    try {
+      await fetchService.politeFetch(`${base}/one`);
+      await fetchService.politeFetch(`${base}/two`);
+      assert.equal((await fetchService.politeFetch(`${base}/one`)).fromCache, true);
+      await fetchService.politeFetch(`${base}/three`);
+      assert.deepEqual([...fetchService.pages.keys()], [`${base}/one`, `${base}/three`]);
+    } finally {
+      config.crawler.cacheMaxEntries = saved;
+    }
+  });
+});
+
+describe('fetchService.acquireHost', () => {
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+
+  it('queues requests beyond the per-host concurrency', async () => {
+    const first = await fetchService.acquireHost('queue.example', 0);
+    const second = await fetchService.acquireHost('queue.example', 0);
+    let acquired = false;
+    const third = fetchService.acquireHost('queue.example', 0).then(release => {
+      acquired = true;
+      return release;
+    });
+
+    await tick();
+    assert.equal(acquired, false);
+    first();
+    (await third)();
+    second();
+    assert.equal(acquired, true);
+  });
+
+  it('spaces request starts on a host by the delay', async () => {
+    (await fetchService.acquireHost('delay.example', 100))();
+    const start = Date.now();
+    (await fetchService.acquireHost('delay.example', 0))();
+    assert.ok(Date.now() - start >= 90);
+  });
+
+  it('keeps hosts apart', async () => {
+    (await fetchService.acquireHost('one.example', 10000))();
+    const start = Date.now();
+    (await fetchService.acquireHost('two.example', 0))();
+    assert.ok(Date.now() - start < 1000);
+  });
+
+  it('stops waiting when the signal aborts', async () => {
+    (await fetchService.acquireHost('abort.example', 10000))();
+    const controller = new AbortController();
+    const waiting = fetchService.acquireHost('abort.example', 0, controller.signal);
+    controller.abort(new Error('cancelled'));
+    await assert.rejects(waiting, { message: 'cancelled' });
+  });
+});
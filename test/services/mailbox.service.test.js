@@ -0,0 +1,146 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STORE_DRIVER = 'memory';
+process.env.ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'test-admin-password';
+process.env.MAILBOX_BACKFILL_DAYS = '7';
+
+const mailboxService = require('../../services/mailbox.service');
+const storeService = require('../../services/store.service');
+
+const PROFILE = { id: 'profile-1', name: 'Work', auth: { user: 'me@example.com', pass: 'x' }, imap: { host: 'imap.example.com' } };
+
+/**
+ * Stands in for ImapFlow: a mailbox of { uid, subject } messages. Records every
+ * fetch as { range, source } so tests can see what was downloaded.
+ */
+function fakeClient({ uidValidity = 1, messages = [], recent = [] }) {
+  const uidNext = Math.max(0, ...messages.map(m => m.uid)) + 1;
+  const client = {
+    fetches: [],
+    searches: [],
+    mailbox: { uidValidity, uidNext, exists: messages.length },
+    async connect() {},
+    async getMailboxLock() {
+      return { release() {} };
+    },
+    async search(query) {
+      client.searches.push(query);
+      return recent;
+    },
+    async *fetch(range, query) {
+      client.fetches.push({ range, source: !!query.source });
+      for (const message of select(messages, range)) {
+        yield query.source
+          ? { uid: message.uid, source: Buffer.from(`Subject: ${message.subject}\r\n\r\n`) }
+          : { uid: message.uid, envelope: { subject: message.subject }, headers: Buffer.from('Content-Type: text/plain\r\n') };
+      }
+    },
+    async logout() {},
+    close() {}
+  };
+  return client;
+}
+
+// Messages in "5:*" or "3,7". Like IMAP, "n:*" returns the newest message when none is at n or above.
+function select(messages, range) {
+  const open = range.match(/^(\d+):\*$/);
+  if (!open) return messages.filter(m => range.split(',').map(Number).includes(m.uid));
+  const from = messages.filter(m => m.uid >= Number(open[1]));
+  return from.length ? from : messages.slice(-1);
+}
+
+describe('MailboxService.syncProfile', () => {
+  let client;
+  let received;
+
+  beforeEach(() => {
+    storeService.setCollection('mailboxState', []);
+    received = [];
+    mailboxService.handlers = [];
+    mailboxService.addHandler(source => received.push(String(source).match(/Subject: (.*)/)[1]), {
+      accepts: ({ envelope }) => /undeliverable/i.test(envelope.subject)
+    });
+    mailboxService.createClient = () => client;
+  });
+
+  it('starts a new mailbox at uidNext plus the backfill window, downloading only accepted messages', async () => {
+    client = fakeClient({
+      messages: [
+        { uid: 1, subject: 'Old newsletter' },
+        { uid: 2, subject: 'Undeliverable: very old' },
+        { uid: 40, subject: 'Undeliverable: Application' },
+        { uid: 41, subject: 'Lunch?' }
+      ],
+      recent: [40, 41]
+    });
+
+    const result = await mailboxService.syncProfile(PROFILE);
+
+    assert.equal(client.searches.length, 1);
+    assert.ok(client.searches[0].since instanceof Date);
+    assert.deepEqual(client.fetches, [{ range: '40,41', source: false }, { range: '40', source: true }]);
+    assert.deepEqual(received, ['Undeliverable: Application']);
+    assert.equal(result.fetched, 1);
+    assert.equal(mailboxService.getState(PROFILE.id, 'INBOX').lastUid, 41);
+  });
+
+  it('moves the cursor to the end of the mailbox when nothing is recent', async () => {
+    client = fakeClient({ messages: [{ uid: 7, subject: 'Undeliverable: old' }], recent: [] });
+
+    await mailboxService.syncProfile(PROFILE);
+
+    assert.deepEqual(client.fetches, []);
+    assert.equal(mailboxService.getState(PROFILE.id, 'INBOX').lastUid, 7);
+  });
+
+  it('continues after the stored cursor', async () => {
+    mailboxService.saveState({ profileId: PROFILE.id, mailbox: 'INBOX', uidValidity: '1', lastUid: 10 });
+    client = fakeClient({
+      messages: [
+        { uid: 10, subject: 'Undeliverable: seen' },
+        { uid: 11, subject: 'Re: Application' },
+        { uid: 12, subject: 'Undeliverable: new' }
+      ]
+    });
+
+    await mailboxService.syncProfile(PROFILE);
+
+    assert.equal(client.searches.length, 0);
+    assert.deepEqual(client.fetches, [{ range: '11:*', source: false }, { range: '12', source: true }]);
+    assert.deepEqual(received, ['Undeliverable: new']);
+    assert.equal(mailboxService.getState(PROFILE.id, 'INBOX').lastUid, 12);
+  });
+
+  it('skips the returned newest message when "n:*" has nothing new', async () => {
+    mailboxService.saveState({ profileId: PROFILE.id, mailbox: 'INBOX', uidValidity: '1', lastUid: 12 });
+    client = fakeClient({ messages: [{ uid: 12, subject: 'Undeliverable: seen' }] });
+
+    await mailboxService.syncProfile(PROFILE);
+
+    assert.deepEqual(client.fetches, [{ range: '13:*', source: false }]);
+    assert.deepEqual(received, []);
+    assert.equal(mailboxService.getState(PROFILE.id, 'INBOX').lastUid, 12);
+  });
+
+  it('drops the cursor when UIDVALIDITY changes instead of reading the whole mailbox', async () => {
+    mailboxService.saveState({ profileId: PROFILE.id, mailbox: 'INBOX', uidValidity: '1', lastUid: 500 });
+    client = fakeClient({
+      uidValidity: 2,
+      messages: [
+        { uid: 1, subject: 'Undeliverable: before the window' },
+        { uid: 3, subject: 'Undeliverable: recent' }
+      ],
+      recent: [3]
+    });
+
+    await mailboxService.syncProfile(PROFILE);
+
+    assert.deepEqual(client.fetches, [{ range: '3', source: false }, { range: '3', source: true }]);
+    assert.deepEqual(received, ['Undeliverable: recent']);
+    assert.deepEqual(
+      (({ uidValidity, lastUid }) => ({ uidValidity, lastUid }))(mailboxService.getState(PROFILE.id, 'INBOX')),
+      { uidValidity: '2', lastUid: 3 }
+    );
+  });
+});
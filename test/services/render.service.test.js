@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const renderService = require('../../services/render.service');
+
+const toText = html => renderService.htmlToText(html);
+
+describe('RenderService.htmlToText', () => {
+  it('keeps link targets unless the text already shows them', () => {
+    assert.equal(
+      toText('<p>See <a href="https://acme.com/jobs">our jobs</a>, <a href="https://acme.com">acme.com</a>, ' +
+        '<a href="mailto:hr@acme.com?subject=Hi">write to us</a> or go <a href="#top">up</a></p>'),
+      'See our jobs (https://acme.com/jobs), acme.com, write to us (hr@acme.com) or go up'
+    );
+  });
+
+  it('renders bullet, nested and numbered lists', () => {
+    assert.equal(
+      toText('<ul><li>One</li><li>Two<ul><li>Nested</li></ul></li></ul><ol start="3"><li>Three</li><li>Four</li></ol>'),
+      '- One\n- Two\n  - Nested\n\n3. Three\n4. Four'
+    );
+  });
+
+  it('turns <br> into a line break and separates paragraphs with a blank line', () => {
+    assert.equal(
+      toText('<p>Line one<br>Line two</p><p>Second\n   paragraph</p><div>Block</div>'),
+      'Line one\nLine two\n\nSecond paragraph\n\nBlock'
+    );
+  });
+
+  it('drops head, style and script and uppercases top-level headings', () => {
+    assert.equal(
+      toText('<html><head><title>T</title><style>p{}</style></head><body><h1>Title</h1><script>x()</script><p>Body</p></body></html>'),
+      'TITLE\n\nBody'
+    );
+  });
+
+  it('writes data tables as rows of cells', () => {
+    assert.equal(
+      toText('<table><tr><th>Name</th><th>Role</th></tr><tr><td>Ann</td><td>HR</td></tr></table>'),
+      'Name | Role\nAnn | HR'
+    );
+  });
+});
@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { toAddressList, normalizeEmail } = require('../../utils/address');
+
+describe('toAddressList', () => {
+  it('keeps a quoted display name with a comma as one address', () => {
+    const list = toAddressList('"Doe, John" <john@x.com>, jane@y.com; bob@z.com');
+    assert.deepEqual(list, ['"Doe, John" <john@x.com>', 'jane@y.com', 'bob@z.com']);
+    assert.deepEqual(list.map(normalizeEmail), ['john@x.com', 'jane@y.com', 'bob@z.com']);
+  });
+
+  it('parses every array item and flattens groups', () => {
+    assert.deepEqual(toAddressList(['a@x.com', ' Jane <jane@x.com> ', 'Team: b@x.com, c@x.com;']),
+      ['a@x.com', '"Jane" <jane@x.com>', 'b@x.com', 'c@x.com']);
+  });
+
+  it('returns a list that parses back to the same addresses when joined', () => {
+    const list = toAddressList('"Q \\"x\\", Jr" <q@x.com>, r@x.com');
+    assert.deepEqual(toAddressList(list.join(', ')), list);
+  });
+
+  it('keeps text without an address for validation to reject, and drops empty values', () => {
+    assert.deepEqual(toAddressList('garbage, q@x.com'), ['garbage', 'q@x.com']);
+    assert.deepEqual(toAddressList(''), []);
+    assert.deepEqual(toAddressList(null), []);
+  });
+});
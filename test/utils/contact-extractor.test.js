@@ -0,0 +1,133 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { extractContacts, parseVcard, mergeContacts, emptyContacts, hasContacts } = require('../../utils/contact-extractor');
+
+// Company pages and a vCard file, trimmed to the markup the extractor reads
+const fixture = name => fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'contacts', name), 'utf8');
+const extract = (name, baseUrl = 'https://nordwind.example/about') => extractContacts(fixture(name), baseUrl);
+
+const people = contacts => contacts.people.map(({ name, role, email, phone }) => ({ name, role, email, phone }));
+const phones = contacts => contacts.phones.map(({ number, label }) => ({ number, label }));
+
+describe('extractContacts: JSON-LD', () => {
+  const { contacts } = extract('json-ld.html');
+
+  it('reads the organization, nested ones of the same name counted once', () => {
+    assert.deepEqual(contacts.companyNames, ['Acme Logistics']);
+    assert.deepEqual(contacts.emails, ['info@acme-logistics.ma', 'recrutement@acme-logistics.ma', 's.bennani@acme-logistics.ma']);
+    assert.deepEqual(contacts.addresses.map(address => address.text), ['12 Rue des Palmiers, 20250 Casablanca, MA']);
+  });
+
+  it('keeps contact points and employees with their roles, not bylines', () => {
+    assert.deepEqual(people(contacts), [
+      { name: 'Recruitment team', role: 'Human Resources', email: 'recrutement@acme-logistics.ma', phone: '+212522001133' },
+      { name: 'Salma Bennani', role: 'HR Manager', email: 's.bennani@acme-logistics.ma', phone: null }
+    ]);
+  });
+
+  it('deduplicates phones on their digits and labels contact point numbers', () => {
+    // "00212 522 00 11 22" of the job posting is the organization number again
+    assert.deepEqual(phones(contacts), [
+      { number: '+212522001122', label: null },
+      { number: '+212522001133', label: 'Human Resources' }
+    ]);
+  });
+
+  it('takes social profiles from sameAs', () => {
+    assert.deepEqual(contacts.socials.map(({ network, url }) => ({ network, url })), [
+      { network: 'linkedin', url: 'https://linkedin.com/company/acme-logistics' },
+      { network: 'twitter', url: 'https://twitter.com/acmelogistics' }
+    ]);
+  });
+});
+
+describe('extractContacts: microdata', () => {
+  const { contacts } = extract('microdata.html');
+
+  it('reads the item, its nested address and employees', () => {
+    assert.deepEqual(contacts.companyNames, ['Atlas Dental Clinic']);
+    assert.deepEqual(phones(contacts), [{ number: '0537701234', label: null }]);
+    assert.deepEqual(contacts.addresses.map(address => address.text), ['4 Avenue Mohammed V, 10000 Rabat']);
+    assert.deepEqual(contacts.socials.map(social => social.url), ['https://facebook.com/atlasdental']);
+    // A name alone is not a contact
+    assert.deepEqual(people(contacts), [
+      { name: 'Dr. Youssef Idrissi', role: 'Practice Manager', email: 'y.idrissi@atlasdental.ma', phone: null }
+    ]);
+  });
+});
+
+describe('extractContacts: hCard, tel: and social links', () => {
+  const { contacts, vcardLinks } = extract('hcard.html');
+
+  it('reads people and organizations from hCard and h-card', () => {
+    assert.deepEqual(contacts.companyNames, ['Nordwind Energy']);
+    assert.deepEqual(people(contacts), [
+      { name: 'Leila Haddad', role: 'Talent Acquisition Lead', email: 'leila.haddad@nordwind.example', phone: '+33142685300' },
+      { name: 'Marc Dupont', role: 'CFO', email: 'marc.dupont@nordwind.example', phone: null }
+    ]);
+    assert.ok(contacts.emails.includes('contact@nordwind.example'));
+    assert.deepEqual(contacts.addresses.map(address => address.text), ['8 Rue de la Paix, 75002 Paris, France']);
+  });
+
+  it('adds tel: links once and skips numbers too short to dial', () => {
+    assert.deepEqual(phones(contacts), [
+      { number: '+33142685300', label: 'Leila Haddad' },
+      { number: '+33142685399', label: null }
+    ]);
+  });
+
+  it('keeps profile links and drops share buttons, posts and product pages', () => {
+    assert.deepEqual(contacts.socials.map(({ network, url }) => `${network} ${url}`), [
+      'github https://github.com/nordwind-energy',
+      'linkedin https://linkedin.com/company/nordwind-energy',
+      'facebook https://facebook.com/nordwindenergy',
+      'twitter https://x.com/nordwind',
+      'instagram https://instagram.com/nordwind.energy',
+      'youtube https://youtube.com/@nordwind',
+      'tiktok https://tiktok.com/@nordwind'
+    ]);
+  });
+
+  it('returns linked vCard files to fetch, resolved and listed once', () => {
+    assert.deepEqual(vcardLinks, ['https://nordwind.example/team/leila.vcf']);
+  });
+});
+
+describe('parseVcard', () => {
+  const contacts = parseVcard(fixture('team.vcf'));
+
+  it('reads a person card and an organization card', () => {
+    assert.deepEqual(contacts.companyNames, ['Nordwind Energy']);
+    assert.deepEqual(people(contacts), [
+      { name: 'Leila Haddad', role: 'Talent Acquisition Lead', email: 'leila.haddad@nordwind.example', phone: '+33142685300' }
+    ]);
+    assert.deepEqual(contacts.emails, ['leila.haddad@nordwind.example', 'jobs@nordwind.example', 'contact@nordwind.example']);
+    assert.deepEqual(phones(contacts), [{ number: '+33142685300', label: 'Leila Haddad' }]);
+  });
+
+  it('unfolds long lines and reads addresses and profile URLs', () => {
+    assert.deepEqual(contacts.socials.map(social => social.url), ['https://linkedin.com/in/leila-haddad']);
+    assert.deepEqual(contacts.addresses.map(({ street, locality, postalCode, country }) => ({ street, locality, postalCode, country })), [
+      { street: '8 Rue de la Paix', locality: 'Paris', postalCode: '75002', country: 'France' }
+    ]);
+  });
+});
+
+describe('mergeContacts', () => {
+  it('adds a fetched vCard to the page contacts without duplicates', () => {
+    const { contacts } = extract('hcard.html');
+    mergeContacts(contacts, parseVcard(fixture('team.vcf')));
+
+    assert.deepEqual(contacts.people.map(person => person.name), ['Leila Haddad', 'Marc Dupont']);
+    assert.deepEqual(contacts.phones.map(phone => phone.number), ['+33142685300', '+33142685399']);
+    assert.ok(contacts.emails.includes('jobs@nordwind.example'));
+    assert.ok(contacts.socials.some(social => social.url === 'https://linkedin.com/in/leila-haddad'));
+  });
+
+  it('reports pages without contacts', () => {
+    assert.equal(hasContacts(extractContacts('<p>Nothing here</p>', 'https://acme.com/').contacts), false);
+    assert.equal(hasContacts(emptyContacts()), false);
+  });
+});
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, toCsv, escapeCsvField } = require('../../utils/csv');
+
+describe('escapeCsvField', () => {
+  it('leaves plain values alone and quotes delimiters, quotes and line breaks', () => {
+    assert.equal(escapeCsvField('hr@acme.com'), 'hr@acme.com');
+    assert.equal(escapeCsvField('Acme, Inc'), '"Acme, Inc"');
+    assert.equal(escapeCsvField('say "hi"'), '"say ""hi"""');
+    assert.equal(escapeCsvField(['a', 'b']), '"a; b"');
+    assert.equal(escapeCsvField(null), '');
+  });
+
+  it('neutralizes values a spreadsheet would run as formulas', () => {
+    assert.equal(escapeCsvField('=HYPERLINK("http://evil.example","x")'), '"\'=HYPERLINK(""http://evil.example"",""x"")"');
+    assert.equal(escapeCsvField('+1 555 0100'), '"\'+1 555 0100"');
+    assert.equal(escapeCsvField('-2+3'), '"\'-2+3"');
+    assert.equal(escapeCsvField('@SUM(A1)'), '"\'@SUM(A1)"');
+    assert.equal(escapeCsvField('\t=1'), '"\'\t=1"');
+    assert.equal(escapeCsvField('\r=1'), '"\'\r=1"');
+  });
+
+  it('keeps negative numbers as numbers', () => {
+    assert.equal(escapeCsvField(-3), '-3');
+  });
+});
+
+describe('toCsv', () => {
+  it('writes a header and CRLF-terminated rows that parseCsv reads back', () => {
+    const csv = toCsv([{ email: 'hr@acme.com', title: '=cmd' }], ['email', 'title']);
+    assert.equal(csv, 'email,title\r\nhr@acme.com,"\'=cmd"\r\n');
+    assert.deepEqual(parseCsv(csv), [{ email: 'hr@acme.com', title: "'=cmd" }]);
+  });
+});
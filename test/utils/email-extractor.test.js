@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractFromText, extractFromHtml, isFalsePositive, decodeCfEmail } = require('../../utils/email-extractor');
+
+// Cloudflare email protection: a key byte, then every byte of the address XOR the key
+function cfEncode(email, key = 0x5a) {
+  return [key, ...Buffer.from(email)].map((byte, i) => (i ? byte ^ key : byte).toString(16).padStart(2, '0')).join('');
+}
+
+describe('extractFromText', () => {
+  it('finds literal addresses', () => {
+    assert.deepEqual(extractFromText('Write to Jobs@Acme.com.'), [{ email: 'jobs@acme.com', method: 'text' }]);
+  });
+
+  it('decodes [at]/[dot], (at)/(dot) and spelled-out spellings', () => {
+    assert.deepEqual(
+      extractFromText('hr [at] acme [dot] com, sales(at)acme(dot)co(dot)uk, press at acme dot org').map(f => f.email),
+      ['hr@acme.com', 'sales@acme.co.uk', 'press@acme.org']
+    );
+    assert.equal(extractFromText('hr [at] acme [dot] com')[0].method, 'at-dot');
+  });
+
+  it('does not read prose with a bare "at" as an address', () => {
+    assert.deepEqual(extractFromText('Visit us at acme.com or meet the team at our office.'), []);
+  });
+});
+
+describe('extractFromHtml', () => {
+  const methods = html => extractFromHtml(html).map(({ email, method }) => `${email} ${method}`);
+
+  it('finds literal addresses in the markup, attributes included', () => {
+    assert.deepEqual(methods('<p data-contact="hr@acme.com">Call us</p>'), ['hr@acme.com text']);
+  });
+
+  it('reads mailto links, with URL encoding and several recipients', () => {
+    assert.deepEqual(methods('<a href="MAILTO:jobs%40acme.com,hr%40acme.com?subject=CV">Apply</a>'),
+      ['jobs@acme.com mailto', 'hr@acme.com mailto']);
+  });
+
+  it('decodes HTML entities', () => {
+    assert.deepEqual(methods('<p>jobs&#64;acme&#46;com or hr&#x40;acme.com or press&commat;acme.com</p>'),
+      ['jobs@acme.com entity', 'hr@acme.com entity', 'press@acme.com entity']);
+  });
+
+  it('decodes Cloudflare email protection in spans and links', () => {
+    assert.equal(decodeCfEmail(cfEncode('hr@acme.com')), 'hr@acme.com');
+    assert.deepEqual(methods(
+      `<span class="__cf_email__" data-cfemail="${cfEncode('hr@acme.com')}">[email&#160;protected]</span>` +
+      `<a href="/cdn-cgi/l/email-protection#${cfEncode('jobs@acme.com', 0x21)}">Email</a>`
+    ), ['hr@acme.com cfemail', 'jobs@acme.com cfemail']);
+  });
+
+  it('joins an address split across elements', () => {
+    assert.deepEqual(methods('<p>Mail <span>jobs</span>@<span>acme</span>.com</p>'), ['jobs@acme.com split']);
+  });
+
+  it('finds [at]/[dot] spellings in the page text', () => {
+    assert.deepEqual(methods('<p>jobs <b>[at]</b> acme <b>[dot]</b> com</p>'), ['jobs@acme.com at-dot']);
+  });
+
+  it('reverses text shown right-to-left by inline style or a <style> class', () => {
+    assert.deepEqual(methods(
+      '<style>.rev { unicode-bidi: bidi-override; direction: rtl }</style>' +
+      '<p><span class="rev">moc.emca@sboj</span> or <span style="direction: rtl">moc.emca@rh</span></p>'
+    ), ['hr@acme.com reversed', 'jobs@acme.com reversed']);
+  });
+
+  it('leaves genuine right-to-left text (dir=rtl) alone', () => {
+    assert.deepEqual(methods('<p dir="rtl">moc.emca@sboj</p>'), []);
+  });
+
+  it('drops hidden decoys and keeps the visible address', () => {
+    assert.deepEqual(methods(
+      '<p>Write to <span style="display:none">trap@acme.com</span>jobs@acme.com</p>' +
+      '<a hidden href="mailto:trap2@acme.com">x</a><div aria-hidden="true">trap3@acme.com</div>'
+    ), ['jobs@acme.com text']);
+  });
+
+  it('finds nothing on a page whose only addresses are hidden', () => {
+    assert.deepEqual(methods(
+      '<style>.hp { display: none } #trap { visibility:hidden }</style>' +
+      '<div class="hp">decoy@acme.com <a href="mailto:decoy2@acme.com">mail</a></div>' +
+      `<p id="trap">decoy3&#64;acme.com <span data-cfemail="${cfEncode('decoy4@acme.com')}"></span></p>` +
+      '<p style="visibility: hidden">decoy5 [at] acme [dot] com</p>'
+    ), []);
+  });
+
+  it('skips file names, placeholders and tracker keys', () => {
+    assert.deepEqual(methods(
+      '<img src="logo@2x.png"><p>you@example.com name@acme.com</p>' +
+      '<script>Sentry.init({dsn:"https://0123456789abcdef0123@o1.ingest.sentry.io/1"})</script>'
+    ), []);
+    assert.equal(isFalsePositive('icon@3x.webp'), true);
+    assert.equal(isFalsePositive('jobs@acme.com'), false);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isPublicAddress, isPublicHost, publicLookup } = require('../../utils/public-address');
+
+describe('isPublicAddress', () => {
+  it('refuses loopback, private, link-local and other non-routable IPv4 ranges', () => {
+    ['127.0.0.1', '10.0.0.5', '172.16.3.4', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+      '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255'].forEach(address => {
+      assert.equal(isPublicAddress(address), false, address);
+    });
+  });
+
+  it('refuses loopback, ULA, link-local and IPv4-mapped private IPv6 addresses', () => {
+    ['::1', '::', 'fd12:3456::1', 'fc00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe'].forEach(address => {
+      assert.equal(isPublicAddress(address), false, address);
+    });
+  });
+
+  it('accepts public addresses', () => {
+    ['8.8.8.8', '172.32.0.1', '93.184.216.34', '2606:4700:4700::1111', '::ffff:8.8.8.8'].forEach(address => {
+      assert.equal(isPublicAddress(address), true, address);
+    });
+  });
+
+  it('accepts nothing that is not an IP address', () => {
+    assert.equal(isPublicAddress('example.com'), false);
+  });
+});
+
+describe('isPublicHost', () => {
+  it('checks IP literals, bracketed IPv6 included, and local names', () => {
+    assert.equal(isPublicHost('127.0.0.1'), false);
+    assert.equal(isPublicHost('[::1]'), false);
+    assert.equal(isPublicHost('localhost'), false);
+    assert.equal(isPublicHost('api.localhost'), false);
+    assert.equal(isPublicHost('acme.com'), true);
+    assert.equal(isPublicHost('[2606:4700:4700::1111]'), true);
+  });
+});
+
+// dns.lookup stand-in answering from a table, and counting its calls
+function fakeLookup(table) {
+  const fake = (hostname, options, callback) => {
+    fake.calls++;
+    const addresses = table[hostname];
+    if (!addresses) return callback(Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' }));
+    callback(null, addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+  };
+  fake.calls = 0;
+  return fake;
+}
+
+function lookupWith(lookup, hostname, options) {
+  return new Promise((resolve, reject) => {
+    lookup(hostname, options, (err, address, family) => (err ? reject(err) : resolve({ address, family })));
+  });
+}
+
+describe('publicLookup', () => {
+  const lookup = publicLookup(fakeLookup({
+    'acme.com': ['93.184.216.34', '2606:2800:220:1::1'],
+    'metadata.acme.com': ['169.254.169.254'],
+    'mixed.acme.com': ['93.184.216.34', '10.0.0.5'],
+    'ula.acme.com': ['fd00::1']
+  }));
+
+  it('passes public addresses on in the dns.lookup callback forms', async () => {
+    assert.deepEqual(await lookupWith(lookup, 'acme.com', {}), { address: '93.184.216.34', family: 4 });
+    const { address: all } = await lookupWith(lookup, 'acme.com', { all: true });
+    assert.deepEqual(all.map(a => a.address), ['93.184.216.34', '2606:2800:220:1::1']);
+  });
+
+  it('fails with PRIVATE_ADDRESS when any address is not public', async () => {
+    await assert.rejects(lookupWith(lookup, 'metadata.acme.com', {}), { code: 'PRIVATE_ADDRESS', message: /169\.254\.169\.254/ });
+    await assert.rejects(lookupWith(lookup, 'mixed.acme.com', {}), { code: 'PRIVATE_ADDRESS' });
+    await assert.rejects(lookupWith(lookup, 'ula.acme.com', { all: true }), { code: 'PRIVATE_ADDRESS' });
+  });
+
+  it('refuses local names without resolving them', async () => {
+    const resolver = fakeLookup({ localhost: ['93.184.216.34'] });
+    await assert.rejects(lookupWith(publicLookup(resolver), 'localhost', {}), { code: 'PRIVATE_ADDRESS' });
+    assert.equal(resolver.calls, 0);
+  });
+
+  it('passes resolver errors through', async () => {
+    await assert.rejects(lookupWith(lookup, 'nowhere.example', {}), { code: 'ENOTFOUND' });
+  });
+});
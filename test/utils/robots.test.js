@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRobots, rulesFor, isAllowed } = require('../../utils/robots');
+
+const ROBOTS = `
+# Shop robots.txt
+User-agent: *
+Disallow: /cart
+Allow: /cart/help
+Crawl-delay: 2
+
+User-agent: SendBackBot
+User-agent: OtherBot
+Disallow: /private   # staff only
+Disallow: /*.pdf$
+Crawl-delay: 5
+
+User-agent:
+Disallow: /
+
+User-agent: Send
+Disallow: /
+`;
+
+describe('parseRobots', () => {
+  it('groups consecutive user-agent lines and keeps rules and crawl delay per group', () => {
+    const groups = parseRobots(ROBOTS);
+    assert.equal(groups.length, 4);
+    assert.deepEqual(groups[1], {
+      agents: ['sendbackbot', 'otherbot'],
+      rules: [{ allow: false, path: '/private' }, { allow: false, path: '/*.pdf$' }],
+      crawlDelay: 5
+    });
+  });
+
+  it('ignores rules before the first group and empty Disallow lines', () => {
+    const groups = parseRobots('Disallow: /\nUser-agent: *\nDisallow:\n');
+    assert.deepEqual(groups, [{ agents: ['*'], rules: [], crawlDelay: null }]);
+  });
+});
+
+describe('rulesFor', () => {
+  const groups = parseRobots(ROBOTS);
+
+  it('picks the groups naming the product token, case-insensitively', () => {
+    const { rules, crawlDelay } = rulesFor(groups, 'SENDBACKBOT');
+    assert.deepEqual(rules.map(rule => rule.path), ['/private', '/*.pdf$']);
+    assert.equal(crawlDelay, 5);
+  });
+
+  it('does not match empty agents or prefixes of the token', () => {
+    const { rules } = rulesFor(parseRobots('User-agent:\nDisallow: /\n\nUser-agent: Send\nDisallow: /\n'), 'SendBackBot');
+    assert.deepEqual(rules, []);
+  });
+
+  it('falls back to the * groups', () => {
+    const { rules, crawlDelay } = rulesFor(groups, 'SomeOtherCrawler');
+    assert.deepEqual(rules.map(rule => rule.path), ['/cart', '/cart/help']);
+    assert.equal(crawlDelay, 2);
+  });
+
+  it('allows everything without matching groups', () => {
+    assert.deepEqual(rulesFor(parseRobots('User-agent: OtherBot\nDisallow: /\n'), 'SendBackBot'), { rules: [], crawlDelay: null });
+  });
+});
+
+describe('isAllowed', () => {
+  const rules = [
+    { allow: false, path: '/cart' },
+    { allow: true, path: '/cart/help' },
+    { allow: false, path: '/*.pdf$' },
+    { allow: false, path: '/search?q=' },
+    { allow: false, path: '/caf%C3%A9' }
+  ];
+
+  it('lets the longest matching rule win', () => {
+    assert.equal(isAllowed(rules, '/cart/checkout'), false);
+    assert.equal(isAllowed(rules, '/cart/help/returns'), true);
+    assert.equal(isAllowed(rules, '/about'), true);
+  });
+
+  it('prefers Allow when rules of equal length match', () => {
+    assert.equal(isAllowed([{ allow: false, path: '/page' }, { allow: true, path: '/page' }], '/page'), true);
+  });
+
+  it('supports * and the $ end anchor', () => {
+    assert.equal(isAllowed(rules, '/files/menu.pdf'), false);
+    assert.equal(isAllowed(rules, '/files/menu.pdf?download=1'), true);
+  });
+
+  it('matches the query string and percent-encoded paths', () => {
+    assert.equal(isAllowed(rules, '/search?q=shoes'), false);
+    assert.equal(isAllowed(rules, '/café/menu'), false);
+  });
+
+  it('always allows /robots.txt', () => {
+    assert.equal(isAllowed([{ allow: false, path: '/' }], '/robots.txt'), true);
+  });
+});
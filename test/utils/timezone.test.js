@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveSendAt } = require('../../utils/timezone');
+
+const iso = (sendAt, timeZone) => resolveSendAt(sendAt, timeZone).toISOString();
+
+describe('resolveSendAt', () => {
+  it('reads a wall-clock time in the zone with the offset of that date', () => {
+    // New York moves from UTC-5 to UTC-4 on 2026-03-08
+    assert.equal(iso('2026-03-07T09:00', 'America/New_York'), '2026-03-07T14:00:00.000Z');
+    assert.equal(iso('2026-03-09T09:00', 'America/New_York'), '2026-03-09T13:00:00.000Z');
+    assert.equal(iso('2026-10-20 09:00', 'Asia/Kolkata'), '2026-10-20T03:30:00.000Z');
+  });
+
+  it('moves a time skipped by a spring-forward change past the gap', () => {
+    assert.equal(iso('2026-03-08T02:30', 'America/New_York'), '2026-03-08T07:30:00.000Z');
+    assert.equal(iso('2026-03-29T02:30', 'Europe/Berlin'), '2026-03-29T01:30:00.000Z');
+  });
+
+  it('takes the first occurrence of a time repeated when clocks go back', () => {
+    assert.equal(iso('2026-11-01T01:30', 'America/New_York'), '2026-11-01T05:30:00.000Z');
+    assert.equal(iso('2026-10-25T02:30', 'Europe/Berlin'), '2026-10-25T00:30:00.000Z');
+  });
+
+  it('uses UTC without a zone and keeps explicit offsets', () => {
+    assert.equal(iso('2026-10-20T09:00'), '2026-10-20T09:00:00.000Z');
+    assert.equal(iso('2026-10-20T09:00+02:00', 'Asia/Tokyo'), '2026-10-20T07:00:00.000Z');
+  });
+
+  it('rejects an unknown IANA zone and an unreadable date with 400', () => {
+    assert.throws(() => resolveSendAt('2026-10-20T09:00', 'Mars/Olympus'), { statusCode: 400, message: 'Unknown IANA timezone: Mars/Olympus' });
+    assert.throws(() => resolveSendAt('tomorrow'), { statusCode: 400, message: 'Invalid sendAt: tomorrow' });
+  });
+});
@@ -0,0 +1,85 @@
+const { domainToASCII } = require('url');
+const addressparser = require('nodemailer/lib/addressparser');
+
+// RFC 5322 dot-atom or quoted-string local part (non-ASCII allowed for SMTPUTF8)
+const DOT_ATOM_LOCAL = /^[^\s"(),.:;<>@[\\\]]+(\.[^\s"(),.:;<>@[\\\]]+)*$/;
+const QUOTED_LOCAL = /^"([^"\\\r\n]|\\.)*"$/;
+const DOMAIN_LABEL = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+const ADDRESS_LITERAL = /^\[[^\]]+\]$/;
+
+// "image@2x.png" looks like an address to a regex but is a file name
+const FILE_EXTENSIONS = new Set([
+  'png', 'jpg', 'jpeg', 'gif', 'svg', 'webp', 'bmp', 'ico', 'tif', 'tiff', 'avif',
+  'css', 'js', 'mjs', 'map', 'json', 'xml', 'pdf', 'zip', 'woff', 'woff2', 'ttf', 'eot', 'mp4', 'webm'
+]);
+
+/**
+ * Flatten to/cc/bcc values (string, comma/semicolon list or array) into an address list.
+ * Parsed as RFC 5322 address lists, so a quoted name like "Doe, John" stays one
+ * address; named entries come back as '"Name" <address>'.
+ */
+function toAddressList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list
+    .flatMap(item => addressparser(String(item), { flatten: true }))
+    .map(({ name, address }) => {
+      // Text without an address is kept, so validation reports it
+      if (!address) return name.trim();
+      return name ? `"${name.replace(/["\\]/g, '\\$&')}" <${address}>` : address;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Bare lowercase address: "Jane <Jane@Acme.com>" -> "jane@acme.com"
+ */
+function normalizeEmail(email) {
+  const raw = String(email || '').trim();
+  const angle = raw.match(/<([^>]+)>/);
+  return (angle ? angle[1] : raw).trim().toLowerCase();
+}
+
+/**
+ * Split and check an address: { email, local, domain, asciiDomain, idn, literal, error }
+ */
+function parseAddress(input) {
+  const email = normalizeEmail(input);
+  const parsed = { email, local: '', domain: '', asciiDomain: '', idn: false, literal: false, error: null };
+
+  const at = email.lastIndexOf('@');
+  if (!email) return { ...parsed, error: 'Empty address' };
+  if (at <= 0 || at === email.length - 1) return { ...parsed, error: 'Missing @ or domain' };
+  if (email.length > 254) return { ...parsed, error: 'Address longer than 254 characters' };
+
+  const local = email.slice(0, at);
+  const domain = email.slice(at + 1).replace(/\.$/, '');
+  Object.assign(parsed, { local, domain });
+
+  if (local.length > 64) return { ...parsed, error: 'Local part longer than 64 characters' };
+  if (!DOT_ATOM_LOCAL.test(local) && !QUOTED_LOCAL.test(local)) return { ...parsed, error: 'Invalid local part' };
+
+  if (ADDRESS_LITERAL.test(domain)) return { ...parsed, asciiDomain: domain, literal: true };
+
+  // IDN: check and look up the punycode form
+  const asciiDomain = domainToASCII(domain);
+  if (!asciiDomain) return { ...parsed, error: 'Invalid domain' };
+  const labels = asciiDomain.split('.');
+  if (labels.length < 2 || !labels.every(label => DOMAIN_LABEL.test(label))) {
+    return { ...parsed, error: 'Invalid domain' };
+  }
+  if (!/^([a-z]{2,63}|xn--[a-z0-9-]+)$/.test(labels[labels.length - 1])) {
+    return { ...parsed, error: 'Invalid top-level domain' };
+  }
+
+  return { ...parsed, asciiDomain, idn: asciiDomain !== domain };
+}
+
+/**
+ * True when the domain part ends in a file extension (logo@2x.png)
+ */
+function isFileName(domain) {
+  return FILE_EXTENSIONS.has(domain.slice(domain.lastIndexOf('.') + 1));
+}
+
+module.exports = { toAddressList, normalizeEmail, parseAddress, isFileName };
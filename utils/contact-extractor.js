@@ -0,0 +1,426 @@
+const cheerio = require('cheerio');
+const { isFalsePositive } = require('./email-extractor');
+
+/**
+ * Structured contact details on a page: schema.org JSON-LD and microdata
+ * (Organization, ContactPoint, Person, PostalAddress), hCard microformats,
+ * vCard files, tel: links and social profile links.
+ */
+
+const MAX_DEPTH = 8;
+const MAX_NAME_LENGTH = 120;
+const VCARD_LINK_SELECTOR = 'a[href$=".vcf" i], a[href*=".vcf?" i], a[href^="data:text/vcard" i], a[href^="data:text/x-vcard" i]';
+
+const ORGANIZATION_TYPES = /(Organization|Organisation|Corporation|Business|Agency|NGO|Store|Company)$/i;
+
+// Profile URLs only: share buttons and post links point at the same hosts
+const SOCIAL_NETWORKS = [
+  { network: 'linkedin', hosts: ['linkedin.com'], profile: /^\/(company|in|school|showcase)\/[^/]+/i },
+  { network: 'facebook', hosts: ['facebook.com', 'fb.com'], profile: /^\/(?!sharer|share|dialog|plugins|login|tr\/?$)[\w.-]+\/?$/i },
+  { network: 'twitter', hosts: ['twitter.com', 'x.com'], profile: /^\/(?!intent|share|home|hashtag|search|i\/)\w{1,15}\/?$/i },
+  { network: 'instagram', hosts: ['instagram.com'], profile: /^\/(?!p\/|explore|reel|accounts)[\w.]+\/?$/i },
+  { network: 'youtube', hosts: ['youtube.com'], profile: /^\/(@[\w.-]+|channel\/[\w-]+|c\/[^/]+|user\/[^/]+)\/?$/i },
+  { network: 'github', hosts: ['github.com'], profile: /^\/(?!features|about|pricing|login|sponsors)[\w-]+\/?$/i },
+  { network: 'tiktok', hosts: ['tiktok.com'], profile: /^\/@[\w.]+\/?$/i }
+];
+
+function emptyContacts() {
+  return { companyNames: [], phones: [], addresses: [], socials: [], people: [], emails: [] };
+}
+
+/**
+ * @param {string} html raw page, scripts included (JSON-LD lives in them)
+ * @param {string} baseUrl page URL, to resolve relative links
+ * @returns {{contacts: object, vcardLinks: string[]}} vCard files linked from the page still have to be fetched
+ */
+function extractContacts(html, baseUrl) {
+  const contacts = emptyContacts();
+  const vcardLinks = [];
+  if (!html) return { contacts, vcardLinks };
+
+  const $ = cheerio.load(html);
+
+  $('script[type="application/ld+json" i]').each((_, el) => {
+    let data;
+    try {
+      data = JSON.parse($(el).html().replace(/^\s*<!--|-->\s*$/g, ''));
+    } catch {
+      return;
+    }
+    walk(data, contacts, 'json-ld');
+  });
+
+  // Top-level microdata items; nested ones are reached through their parent
+  $('[itemscope]').not('[itemprop]').each((_, el) => walk(microdataItem($, el), contacts, 'microdata'));
+
+  $('.vcard, .h-card').each((_, el) => readHcard($, $(el), contacts, baseUrl));
+
+  $(VCARD_LINK_SELECTOR).each((_, a) => {
+    const href = $(a).attr('href');
+    if (/^data:/i.test(href)) {
+      mergeContacts(contacts, parseVcard(decodeDataUri(href)));
+      return;
+    }
+    const url = resolve(href, baseUrl);
+    if (url && !vcardLinks.includes(url)) vcardLinks.push(url);
+  });
+
+  $('a[href^="tel:" i]').each((_, a) => addPhone(contacts, $(a).attr('href'), 'tel'));
+
+  $('a[href]').each((_, a) => {
+    const profile = socialProfile(resolve($(a).attr('href'), baseUrl));
+    if (profile) addSocial(contacts, profile, 'link');
+  });
+
+  return { contacts, vcardLinks };
+}
+
+/**
+ * Contacts in a vCard file (2.1, 3.0 or 4.0); several cards may follow each other
+ */
+function parseVcard(text) {
+  const contacts = emptyContacts();
+  const unfolded = String(text || '').replace(/\r?\n[ \t]/g, '');
+
+  for (const card of unfolded.matchAll(/BEGIN:VCARD([\s\S]*?)END:VCARD/gi)) {
+    const props = {};
+    card[1].split(/\r?\n/).forEach(line => {
+      const match = line.match(/^(?:[\w-]+\.)?([\w-]+)((?:;[^:]*)?):(.*)$/);
+      if (!match) return;
+      const name = match[1].toUpperCase();
+      (props[name] = props[name] || []).push({ params: match[2], value: match[3] });
+    });
+
+    const first = name => props[name]?.[0]?.value || '';
+    const nameParts = first('N').split(';').map(unescapeVcard);
+    const fn = unescapeVcard(first('FN')) || [nameParts[1], nameParts[0]].filter(Boolean).join(' ');
+    const org = unescapeVcard(first('ORG').split(';')[0]);
+    const isOrg = /^org/i.test(first('KIND')) || (fn && fn === org);
+
+    addCompany(contacts, isOrg ? fn || org : org);
+    (props.TEL || []).forEach(tel => addPhone(contacts, tel.value, 'vcard', isOrg ? null : fn || null));
+    (props.ADR || []).forEach(adr => {
+      const [, , street, locality, region, postalCode, country] = adr.value.split(';').map(unescapeVcard);
+      addAddress(contacts, { streetAddress: street, addressLocality: locality, addressRegion: region, postalCode, addressCountry: country }, 'vcard');
+    });
+    (props.URL || []).forEach(url => {
+      const profile = socialProfile(unescapeVcard(url.value));
+      if (profile) addSocial(contacts, profile, 'vcard');
+    });
+
+    const emails = (props.EMAIL || []).map(email => unescapeVcard(email.value));
+    if (isOrg) emails.forEach(email => addEmail(contacts, email));
+    else {
+      addPerson(contacts, {
+        name: fn,
+        role: unescapeVcard(first('TITLE')) || unescapeVcard(first('ROLE')),
+        email: emails[0],
+        phone: props.TEL?.[0]?.value
+      }, 'vcard');
+      emails.slice(1).forEach(email => addEmail(contacts, email));
+    }
+  }
+
+  return contacts;
+}
+
+/**
+ * Add everything in source to target, skipping what target already has
+ */
+function mergeContacts(target, source) {
+  source.companyNames.forEach(name => addCompany(target, name));
+  source.phones.forEach(phone => addPhone(target, phone.display, phone.source, phone.label));
+  source.addresses.forEach(address => addAddress(target, address, address.source));
+  source.socials.forEach(social => addSocial(target, social, social.source));
+  source.people.forEach(person => addPerson(target, person, person.source));
+  source.emails.forEach(email => addEmail(target, email));
+  return target;
+}
+
+function hasContacts(contacts) {
+  return Object.values(contacts).some(list => list.length > 0);
+}
+
+// -------------- SCHEMA.ORG -------------- //
+
+/**
+ * Collect contact details from a JSON-LD value; microdata items are turned into the same shape
+ */
+function walk(node, contacts, source, depth = 0) {
+  if (!node || typeof node !== 'object' || depth > MAX_DEPTH) return;
+  if (Array.isArray(node)) {
+    node.forEach(item => walk(item, contacts, source, depth + 1));
+    return;
+  }
+
+  const types = [].concat(node['@type'] || []).map(type => String(type).replace(/^https?:\/\/schema\.org\//i, ''));
+  const isOrganization = types.some(type => ORGANIZATION_TYPES.test(type));
+  const isPerson = types.includes('Person');
+
+  if (isOrganization) {
+    addCompany(contacts, text(node.name) || text(node.legalName));
+    values(node.telephone).forEach(phone => addPhone(contacts, text(phone), source));
+    values(node.email).forEach(email => addEmail(contacts, text(email)));
+  }
+  if (isPerson) {
+    const person = {
+      name: text(node.name) || [text(node.givenName), text(node.familyName)].filter(Boolean).join(' '),
+      role: text(node.jobTitle),
+      email: text(values(node.email)[0]),
+      phone: text(values(node.telephone)[0])
+    };
+    // A bare byline is not a contact
+    if (person.role || person.email || person.phone) addPerson(contacts, person, source);
+  }
+  if (isOrganization || isPerson || types.includes('Place')) {
+    values(node.address).forEach(address => addAddress(contacts, address, source));
+    values(node.sameAs).forEach(url => {
+      const profile = socialProfile(text(url));
+      if (profile) addSocial(contacts, profile, source);
+    });
+  }
+  if (types.includes('PostalAddress')) addAddress(contacts, node, source);
+
+  values(node.contactPoint).forEach(point => {
+    const role = text(point.contactType) || null;
+    values(point.telephone).forEach(phone => addPhone(contacts, text(phone), source, role));
+    values(point.email).forEach(email => addPerson(contacts, {
+      name: text(point.name),
+      role,
+      email: text(email),
+      phone: text(values(point.telephone)[0])
+    }, source));
+  });
+
+  // Organizations inside job postings, web pages, employees of an organization...
+  Object.entries(node).forEach(([key, value]) => {
+    if (key === 'address' || key === 'contactPoint') return;
+    if (value && typeof value === 'object') walk(value, contacts, source, depth + 1);
+  });
+}
+
+/**
+ * A microdata item as a JSON-LD style object, nested items included
+ */
+function microdataItem($, scope, depth = 0) {
+  const item = { '@type': ($(scope).attr('itemtype') || '').split(/\s+/).filter(Boolean) };
+  $(scope).find('[itemprop]').each((_, el) => {
+    // Only this item's own properties, not those of nested items
+    if ($(el).parent().closest('[itemscope]')[0] !== scope) return;
+    const value = $(el).is('[itemscope]')
+      ? (depth < MAX_DEPTH ? microdataItem($, el, depth + 1) : null)
+      : microdataValue($, el);
+    if (value === null || value === '') return;
+    $(el).attr('itemprop').split(/\s+/).filter(Boolean).forEach(name => {
+      item[name] = item[name] === undefined ? value : [].concat(item[name], value);
+    });
+  });
+  return item;
+}
+
+function microdataValue($, el) {
+  const $el = $(el);
+  if ($el.attr('content') !== undefined) return $el.attr('content');
+  if ($el.is('a, link, area')) return $el.attr('href') || '';
+  if ($el.is('img, audio, video, source, iframe, embed')) return $el.attr('src') || '';
+  if ($el.is('time') && $el.attr('datetime')) return $el.attr('datetime');
+  if ($el.is('data, meter') && $el.attr('value')) return $el.attr('value');
+  return $el.text();
+}
+
+// -------------- MICROFORMATS -------------- //
+
+/**
+ * hCard (classic .vcard) and h-card (microformats2)
+ */
+function readHcard($, $card, contacts, baseUrl) {
+  const field = selector => cleanText($card.find(selector).first().text());
+  const fn = cleanText($card.is('.fn, .p-name') ? $card.text() : $card.find('.fn, .p-name').first().text());
+  const org = $card.is('.org, .p-org') ? fn : field('.org, .p-org');
+  const isOrg = fn && fn === org;
+
+  addCompany(contacts, org);
+
+  const $email = $card.find('.email, .u-email').first();
+  const email = ($email.attr('href') || $email.text() || '').replace(/^mailto:/i, '').split('?')[0];
+  const $tel = $card.find('.tel, .p-tel').first();
+  const phone = $tel.attr('href') || cleanText($tel.find('.value').first().text()) || cleanText($tel.text());
+
+  if (phone) addPhone(contacts, phone, 'hcard', isOrg ? null : fn || null);
+  if (isOrg) addEmail(contacts, email);
+  else if (fn) addPerson(contacts, { name: fn, role: field('.title, .role, .p-job-title, .p-role'), email, phone }, 'hcard');
+  else addEmail(contacts, email);
+
+  $card.find('.adr, .h-adr').each((_, adr) => {
+    const part = selector => cleanText($(adr).find(selector).first().text());
+    addAddress(contacts, {
+      streetAddress: part('.street-address, .p-street-address'),
+      addressLocality: part('.locality, .p-locality'),
+      addressRegion: part('.region, .p-region'),
+      postalCode: part('.postal-code, .p-postal-code'),
+      addressCountry: part('.country-name, .p-country-name')
+    }, 'hcard');
+  });
+
+  $card.find('a.url, a.u-url').each((_, a) => {
+    const profile = socialProfile(resolve($(a).attr('href'), baseUrl));
+    if (profile) addSocial(contacts, profile, 'hcard');
+  });
+}
+
+// -------------- COLLECTING -------------- //
+
+function addCompany(contacts, name) {
+  const clean = cleanText(name);
+  if (!clean || clean.length > MAX_NAME_LENGTH) return;
+  if (!contacts.companyNames.some(existing => existing.toLowerCase() === clean.toLowerCase())) {
+    contacts.companyNames.push(clean);
+  }
+}
+
+/**
+ * Phones are deduplicated on their digits: "+212 5 22-00" and "+212522 00" are one number
+ */
+function addPhone(contacts, raw, source, label = null) {
+  const display = cleanText(String(raw || '').replace(/^tel:/i, '').split(/[;?]/)[0]);
+  const number = normalizePhone(display);
+  if (!number) return;
+
+  const existing = contacts.phones.find(phone => phone.number === number);
+  if (existing) existing.label = existing.label || label || null;
+  else contacts.phones.push({ number, display, label: label || null, source });
+}
+
+function normalizePhone(display) {
+  let digits = display.replace(/\D/g, '');
+  let international = /^\(?\+/.test(display);
+  if (!international && digits.startsWith('00')) {
+    digits = digits.slice(2);
+    international = true;
+  }
+  if (digits.length < 6 || digits.length > 15) return null;
+  return `${international ? '+' : ''}${digits}`;
+}
+
+/**
+ * @param {string|object} address free text, or a schema.org PostalAddress
+ */
+function addAddress(contacts, address, source) {
+  let entry;
+  if (typeof address === 'string') {
+    entry = { street: null, locality: null, region: null, postalCode: null, country: null, text: cleanText(address) };
+  } else if (address && typeof address === 'object') {
+    entry = {
+      street: text(address.streetAddress ?? address.street) || null,
+      locality: text(address.addressLocality ?? address.locality) || null,
+      region: text(address.addressRegion ?? address.region) || null,
+      postalCode: text(address.postalCode) || null,
+      country: text(address.addressCountry ?? address.country) || null
+    };
+    entry.text = address.text || [entry.street, [entry.postalCode, entry.locality].filter(Boolean).join(' '), entry.region, entry.country]
+      .filter(Boolean).join(', ');
+  }
+  if (!entry?.text) return;
+
+  const key = entry.text.toLowerCase();
+  if (!contacts.addresses.some(existing => existing.text.toLowerCase() === key)) {
+    contacts.addresses.push({ ...entry, source });
+  }
+}
+
+function addSocial(contacts, { network, url }, source) {
+  if (!contacts.socials.some(social => social.url === url)) contacts.socials.push({ network, url, source });
+}
+
+/**
+ * A named contact or a contact point; the same address or name is kept once, gaps filled in
+ */
+function addPerson(contacts, { name, role, email, phone }, source) {
+  const person = {
+    name: cleanText(name).slice(0, MAX_NAME_LENGTH) || null,
+    role: cleanText(role).slice(0, MAX_NAME_LENGTH) || null,
+    email: addEmail(contacts, email),
+    phone: phone ? normalizePhone(cleanText(String(phone).replace(/^tel:/i, ''))) : null
+  };
+  if (!person.name && !person.email) return;
+
+  const existing = contacts.people.find(p => (person.email && p.email === person.email) ||
+    (person.name && p.name && p.name.toLowerCase() === person.name.toLowerCase() && (!p.email || !person.email)));
+  if (existing) {
+    ['name', 'role', 'email', 'phone'].forEach(key => {
+      existing[key] = existing[key] || person[key];
+    });
+  } else {
+    contacts.people.push({ ...person, source });
+  }
+}
+
+/**
+ * Remember an address published in structured data; returns it cleaned, or null when it is junk
+ */
+function addEmail(contacts, raw) {
+  const email = String(raw || '').replace(/^mailto:/i, '').split('?')[0].trim().toLowerCase();
+  if (!email || isFalsePositive(email)) return null;
+  if (!contacts.emails.includes(email)) contacts.emails.push(email);
+  return email;
+}
+
+// -------------- HELPERS -------------- //
+
+/**
+ * Known network and profile path, as a canonical URL without query or trailing slash
+ */
+function socialProfile(href) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch {
+    return null;
+  }
+  if (!/^https?:$/.test(url.protocol)) return null;
+
+  const host = url.hostname.toLowerCase().replace(/^(www|m|mobile)\./, '');
+  const network = SOCIAL_NETWORKS.find(n => n.hosts.some(h => host === h || host.endsWith(`.${h}`)));
+  if (!network || !network.profile.test(url.pathname)) return null;
+  return { network: network.network, url: `https://${host}${url.pathname.replace(/\/+$/, '')}` };
+}
+
+// Values of a schema.org property: one or many
+function values(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Text of a property that may hold a string or an object with a name
+function text(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return cleanText(value.name || value['@value'] || '');
+  return cleanText(value);
+}
+
+function cleanText(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim();
+}
+
+function unescapeVcard(value) {
+  return String(value || '').replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+}
+
+function decodeDataUri(href) {
+  const [meta, data = ''] = href.split(/,(.*)/s);
+  try {
+    return /;base64$/i.test(meta) ? Buffer.from(data, 'base64').toString('utf8') : decodeURIComponent(data);
+  } catch {
+    return '';
+  }
+}
+
+function resolve(href, baseUrl) {
+  try {
+    return new URL(href, baseUrl).href;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { extractContacts, parseVcard, mergeContacts, emptyContacts, hasContacts };
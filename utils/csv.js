@@ -0,0 +1,85 @@
+/**
+ * Minimal RFC 4180 CSV helpers (quoted fields, escaped quotes, CRLF).
+ * The delimiter is detected from the header line: comma or semicolon (Excel in FR locales).
+ */
+
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.split(';').length > firstLine.split(',').length) ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter(r => r.some(cell => cell.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const headers = nonEmpty[0].map(h => h.trim());
+  return nonEmpty.slice(1).map(cells => {
+    const record = {};
+    headers.forEach((header, idx) => {
+      if (header) record[header] = (cells[idx] || '').trim();
+    });
+    return record;
+  });
+}
+
+/**
+ * Quote a field when needed. Text starting with =, +, -, @, tab or CR would run
+ * as a formula in spreadsheets (CSV injection): it gets a leading ' and quotes.
+ * Numbers are left alone.
+ */
+function escapeCsvField(value) {
+  if (value === null || value === undefined) return '';
+  let str = Array.isArray(value) ? value.join('; ') : String(value);
+  const formula = typeof value !== 'number' && /^[=+\-@\t\r]/.test(str);
+  if (formula) str = `'${str}`;
+  return formula || /[",\r\n;]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Serialize records to CSV using the given column order
+ */
+function toCsv(records, columns) {
+  const lines = [columns.map(escapeCsvField).join(',')];
+  records.forEach(record => {
+    lines.push(columns.map(col => escapeCsvField(record[col])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv, escapeCsvField };
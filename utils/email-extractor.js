@@ -0,0 +1,164 @@
+const cheerio = require('cheerio');
+const { parseAddress, isFileName } = require('./address');
+
+const EMAIL_REGEX = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+
+// "name [at] company [dot] com", "name(at)company(dot)com", "name at company dot com"
+const AT_TOKEN = String.raw`\s*[\[({<]\s*(?:at|@|arobase)\s*[\])}>]\s*|\s+(?:at|arobase)\s+`;
+const SPELLED_DOT = /[\[({<]\s*(?:dot|point|\.)\s*[\])}>]|\s(?:dot|point)\s/i;
+const DOT_TOKEN = String.raw`\s*[\[({<]\s*(?:dot|point|\.)\s*[\])}>]\s*|\s+(?:dot|point)\s+|\.`;
+const OBFUSCATED_REGEX = new RegExp(
+  String.raw`([a-z0-9][a-z0-9._%+-]*)(?:${AT_TOKEN})((?:[a-z0-9-]+(?:${DOT_TOKEN}))+[a-z]{2,})\b`,
+  'gi'
+);
+
+// Addresses the regex finds on nearly every page but nobody can be reached at
+const PLACEHOLDER_DOMAINS = ['example.com', 'example.org', 'example.net', 'domain.com', 'yourdomain.com', 'company.com', 'email.com'];
+const TRACKING_DOMAINS = ['sentry.io', 'sentry-next.wixpress.com', 'wixpress.com', 'ingest.sentry.io'];
+const PLACEHOLDER_LOCALS = ['yourname', 'your.name', 'your-email', 'youremail', 'name', 'email', 'user', 'username', 'firstname.lastname', 'prenom.nom'];
+
+/**
+ * Emails in plain text, including "[at]/[dot]" spellings
+ * @returns {Array<{email, method: 'text'|'at-dot'}>}
+ */
+function extractFromText(text) {
+  const found = new Map();
+  if (!text) return [];
+
+  (text.match(EMAIL_REGEX) || []).forEach(raw => add(found, raw, 'text'));
+
+  for (const match of text.matchAll(OBFUSCATED_REGEX)) {
+    // "visit us at acme.com" is prose: a bare " at " needs a spelled-out dot as well
+    const bracketedAt = /^[\s]*[\[({<]/.test(match[0].slice(match[1].length));
+    if (!bracketedAt && !SPELLED_DOT.test(match[2])) continue;
+    const domain = match[2].replace(new RegExp(DOT_TOKEN, 'gi'), '.');
+    add(found, `${match[1]}@${domain}`, 'at-dot');
+  }
+
+  return [...found.values()];
+}
+
+/**
+ * Emails on an HTML page: literal text, mailto links, HTML entities, Cloudflare
+ * email protection, reversed (direction: rtl) text and addresses split across elements.
+ * Hidden elements (decoys for harvesters) are removed before any of these passes.
+ * @returns {Array<{email, method}>} first method that found each address
+ */
+function extractFromHtml(html) {
+  const found = new Map();
+  if (!html) return [];
+
+  const $ = cheerio.load(html);
+  $(hiddenSelectors($).join(', ')).remove();
+
+  // Serialized back, the page has entities decoded and no hidden elements
+  const visibleMarkup = withoutScripts($.html());
+  const visible = new Set((visibleMarkup.match(EMAIL_REGEX) || []).map(raw => raw.toLowerCase()));
+
+  // Literal addresses in the markup itself
+  (withoutScripts(html).match(EMAIL_REGEX) || [])
+    .filter(raw => visible.has(raw.toLowerCase()))
+    .forEach(raw => add(found, raw, 'text'));
+
+  $('a[href^="mailto:" i]').each((_, a) => {
+    const target = safeDecode(($(a).attr('href') || '').replace(/^mailto:/i, '').split('?')[0]);
+    target.split(/[,;]/).forEach(raw => add(found, raw, 'mailto'));
+  });
+
+  // Cloudflare: <a href="/cdn-cgi/l/email-protection#hex"> and <span data-cfemail="hex">
+  $('[data-cfemail]').each((_, el) => add(found, decodeCfEmail($(el).attr('data-cfemail')), 'cfemail'));
+  $('a[href*="/cdn-cgi/l/email-protection#"]').each((_, a) => {
+    add(found, decodeCfEmail(($(a).attr('href') || '').split('#')[1]), 'cfemail');
+  });
+
+  // Entity-encoded markup (&#64; / &#x40; / &commat;): literal only once decoded
+  (visibleMarkup.match(EMAIL_REGEX) || []).forEach(raw => add(found, raw, 'entity'));
+
+  // Right-to-left CSS trick: the markup holds the address reversed
+  // (not [dir=rtl]: that marks genuine Arabic/Hebrew text, not reversed addresses)
+  styledSelectors($, 'direction', 'rtl').forEach(selector => {
+    $(selector).each((_, el) => {
+      const reversed = [...$(el).text()].reverse().join('');
+      (reversed.match(EMAIL_REGEX) || []).forEach(raw => add(found, raw, 'reversed'));
+      // The text pass below reads what a visitor sees
+      $(el).text(reversed);
+    });
+  });
+
+  // Visible text: joins addresses split across spans
+  $('script,style,noscript,template').remove();
+  $('br, p, div, li, td, tr, h1, h2, h3, h4, h5, h6').before(' ');
+  const text = $('body').text() || $.root().text();
+  extractFromText(text).forEach(({ email, method }) => add(found, email, method === 'text' ? 'split' : method));
+
+  return [...found.values()];
+}
+
+/**
+ * True for addresses that are syntactically fine but junk: file names
+ * (logo@2x.png), version strings, placeholders and error-tracker DSNs
+ */
+function isFalsePositive(email) {
+  const parsed = parseAddress(email);
+  if (parsed.error) return true;
+
+  const { local, domain } = parsed;
+  if (isFileName(domain)) return true;
+  if (/^\d+x$/.test(domain.split('.')[0])) return true;                      // image@2x.anything
+  if (/^v?\d+(\.\d+)+/.test(domain)) return true;                            // package@1.2.3-beta.tgz
+  if (/^[0-9a-f]{16,}$/.test(local)) return true;                            // hashes, DSN keys
+  if (PLACEHOLDER_DOMAINS.includes(domain) || PLACEHOLDER_LOCALS.includes(local)) return true;
+  return TRACKING_DOMAINS.some(d => domain === d || domain.endsWith(`.${d}`));
+}
+
+function add(found, raw, method) {
+  const email = String(raw || '').trim().replace(/^[.'"]+|[.'"]+$/g, '').toLowerCase();
+  if (!email || found.has(email) || isFalsePositive(email)) return;
+  found.set(email, { email, method });
+}
+
+/**
+ * Cloudflare email obfuscation: first byte is the XOR key for the rest
+ */
+function decodeCfEmail(hex) {
+  if (!hex || !/^[0-9a-f]+$/i.test(hex) || hex.length % 2) return '';
+  const bytes = Buffer.from(hex, 'hex');
+  return Buffer.from(bytes.subarray(1).map(byte => byte ^ bytes[0])).toString('utf8');
+}
+
+/**
+ * Elements styled with property: value, inline or through simple class, id and
+ * tag rules in <style>
+ */
+function styledSelectors($, property, value) {
+  const selectors = [`[style*="${property}:${value}" i]`, `[style*="${property}: ${value}" i]`];
+  const declaration = new RegExp(`${property}\\s*:\\s*${value}`, 'i');
+  const css = $('style').map((_, el) => $(el).text()).get().join('\n');
+  for (const rule of css.matchAll(/([^{}]+)\{([^}]*)\}/g)) {
+    if (declaration.test(rule[2])) {
+      rule[1].split(',').map(s => s.trim()).filter(s => /^[.#]?[\w-]+$/.test(s)).forEach(s => selectors.push(s));
+    }
+  }
+  return selectors;
+}
+
+/**
+ * Elements a visitor never sees
+ */
+function hiddenSelectors($) {
+  return ['[hidden]', '[aria-hidden="true"]', ...styledSelectors($, 'display', 'none'), ...styledSelectors($, 'visibility', 'hidden')];
+}
+
+function withoutScripts(markup) {
+  return markup.replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ');
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+module.exports = { extractFromText, extractFromHtml, isFalsePositive, decodeCfEmail };
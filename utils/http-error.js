@@ -0,0 +1,13 @@
+/**
+ * Error carrying an HTTP status code.
+ * The global error handler (middleware/error-handler.js) uses statusCode for the response.
+ */
+class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = HttpError;
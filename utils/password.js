@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password with scrypt and a random salt.
+ * Result format: "scrypt:<salt>:<hash>" (base64 parts)
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, KEY_LENGTH);
+  return `scrypt:${salt.toString('base64')}:${hash.toString('base64')}`;
+}
+
+/**
+ * Check a password against a stored hash. Async: scrypt runs on the thread
+ * pool, so failed logins do not stall other requests.
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = { hashPassword, verifyPassword };
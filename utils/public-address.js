@@ -0,0 +1,89 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Guard for server-side requests to user-supplied URLs: loopback, private,
+ * link-local (cloud metadata at 169.254.169.254), CGNAT, ULA and other
+ * non-routable addresses are refused. IPv4-mapped IPv6 addresses are matched
+ * against the IPv4 ranges.
+ */
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * @returns {boolean} true for a routable public IP address
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Host names that never leave the machine, whatever DNS says
+ */
+function isLocalHostname(hostname) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  return host === 'localhost' || host.endsWith('.localhost');
+}
+
+/**
+ * Sync check of a URL host (name or IP literal, IPv6 in brackets as in URL.hostname)
+ * @returns {boolean} false for local names and non-public IP literals
+ */
+function isPublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) return isPublicAddress(host);
+  return !isLocalHostname(host);
+}
+
+/**
+ * dns.lookup replacement for sockets to user-supplied hosts: fails with code
+ * PRIVATE_ADDRESS when any address of the host is not public. Given to the
+ * socket as its lookup, the check covers the address that is actually
+ * connected, so a DNS answer that changes after an earlier check (DNS
+ * rebinding) cannot get through.
+ * @param {Function} [lookup] resolver with the dns.lookup signature
+ */
+function publicLookup(lookup = dns.lookup) {
+  return (hostname, options, callback) => {
+    if (typeof options === 'function') [callback, options] = [options, {}];
+    if (typeof options === 'number') options = { family: options };
+
+    if (isLocalHostname(hostname)) return callback(privateAddressError(hostname, hostname));
+    lookup(hostname, { ...options, all: true }, (err, addresses) => {
+      if (err) return callback(err);
+      const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+      if (blocked) return callback(privateAddressError(hostname, blocked.address));
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+function privateAddressError(host, address) {
+  const err = new Error(`${host} is a private or local address${address !== host ? ` (${address})` : ''}`);
+  err.code = 'PRIVATE_ADDRESS';
+  return err;
+}
+
+module.exports = { isPublicAddress, isPublicHost, publicLookup, privateAddressError };
@@ -0,0 +1,97 @@
+/**
+ * robots.txt parsing and matching (RFC 9309): user-agent groups, Allow/Disallow
+ * with * and $ wildcards, longest match wins and Allow wins ties. Crawl-delay is
+ * not in the RFC but widely used, so it is kept per group.
+ */
+
+function parseRobots(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  String(text || '').split(/\r?\n/).forEach(raw => {
+    const line = raw.replace(/#.*$/, '').trim();
+    const colon = line.indexOf(':');
+    if (colon === -1) return;
+    const key = line.slice(0, colon).trim().toLowerCase();
+    const value = line.slice(colon + 1).trim();
+
+    if (key === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+    lastWasAgent = false;
+    if (!current) return;
+
+    if (key === 'allow' || key === 'disallow') {
+      // "Disallow:" with no path allows everything
+      if (value) current.rules.push({ allow: key === 'allow', path: value });
+    } else if (key === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (delay >= 0) current.crawlDelay = delay;
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Rules that apply to a crawler: every group naming its product token, else the * groups.
+ * The token is compared whole and case-insensitively (RFC 9309), so an empty
+ * "User-agent:" or a prefix such as "Send" names nobody.
+ * @returns {{rules: Array<{allow, path}>, crawlDelay: number|null}}
+ */
+function rulesFor(groups, productToken) {
+  const token = productToken.trim().toLowerCase();
+  let matched = groups.filter(group => group.agents.some(agent => agent && agent !== '*' && agent === token));
+  if (matched.length === 0) matched = groups.filter(group => group.agents.includes('*'));
+
+  const delays = matched.map(group => group.crawlDelay).filter(delay => delay !== null);
+  return {
+    rules: matched.flatMap(group => group.rules),
+    crawlDelay: delays.length ? Math.max(...delays) : null
+  };
+}
+
+/**
+ * @param {string} pathAndQuery URL path with its query string
+ */
+function isAllowed(rules, pathAndQuery) {
+  if (pathAndQuery === '/robots.txt') return true;
+
+  let best = null;
+  rules.forEach(rule => {
+    if (!pathMatches(rule.path, pathAndQuery)) return;
+    if (!best || rule.path.length > best.path.length ||
+        (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  });
+  return !best || best.allow;
+}
+
+function pathMatches(pattern, target) {
+  const anchored = pattern.endsWith('$');
+  const source = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => normalizePath(part).replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(normalizePath(target));
+}
+
+// Compare percent-encoded and raw forms alike ("/caf%C3%A9" and "/café")
+function normalizePath(path) {
+  try {
+    return encodeURI(decodeURI(path));
+  } catch {
+    return path;
+  }
+}
+
+module.exports = { parseRobots, rulesFor, isAllowed };
@@ -0,0 +1,43 @@
+// {{name}}, {{ company }}, {{first_name}}
+const PLACEHOLDER_REGEX = /\{\{\s*([a-zA-Z0-9_.-]+)\s*\}\}/g;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+/**
+ * Replace {{placeholders}} with values from fields (keys matched case-insensitively).
+ * Missing fields become an empty string. With { html: true } values are HTML-escaped.
+ */
+function fillTemplate(template, fields = {}, { html = false } = {}) {
+  if (!template) return template;
+
+  const lookup = {};
+  Object.keys(fields).forEach(key => {
+    lookup[key.toLowerCase()] = fields[key];
+  });
+
+  return template.replace(PLACEHOLDER_REGEX, (_, key) => {
+    const value = lookup[key.toLowerCase()];
+    if (value === undefined || value === null) return '';
+    return html ? escapeHtml(value) : String(value);
+  });
+}
+
+/**
+ * List the distinct placeholder names used in a template
+ */
+function findPlaceholders(template) {
+  const names = new Set();
+  for (const match of String(template || '').matchAll(PLACEHOLDER_REGEX)) {
+    names.add(match[1]);
+  }
+  return [...names];
+}
+
+module.exports = { fillTemplate, findPlaceholders, escapeHtml };
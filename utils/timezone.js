@@ -0,0 +1,67 @@
+const HttpError = require('./http-error');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Wall-clock datetime without an offset: 2026-10-20T09:00 or 2026-10-20 09:00:00
+const LOCAL_DATETIME_REGEX = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+function assertTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw new HttpError(400, `Unknown IANA timezone: ${timeZone}`);
+  }
+}
+
+/**
+ * Offset (ms) of timeZone from UTC at the given instant
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp)).forEach(p => { parts[p.type] = p.value; });
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Turn a sendAt value into an absolute Date.
+ * ISO strings with Z or an offset are used as-is; a wall-clock time
+ * ("2026-10-20T09:00") is read in timeZone (UTC when omitted).
+ */
+function resolveSendAt(sendAt, timeZone) {
+  if (timeZone) assertTimeZone(timeZone);
+
+  const local = LOCAL_DATETIME_REGEX.exec(String(sendAt || '').trim());
+  if (local) {
+    const [, y, mo, d, h, mi, s = '0'] = local;
+    const wallClock = Date.UTC(y, mo - 1, d, h, mi, s);
+    const zone = timeZone || 'UTC';
+
+    // Offsets on either side of a DST change on that day. A time that occurs
+    // twice (clocks go back) is the first one; a time skipped when clocks go
+    // forward is moved past the gap, like 02:30 -> 03:30.
+    const before = getTimeZoneOffset(wallClock - DAY_MS, zone);
+    const after = getTimeZoneOffset(wallClock + DAY_MS, zone);
+    const matches = [wallClock - before, wallClock - after]
+      .filter(timestamp => timestamp + getTimeZoneOffset(timestamp, zone) === wallClock);
+    return new Date(matches.length ? Math.min(...matches) : wallClock - before);
+  }
+
+  const date = new Date(sendAt);
+  if (!sendAt || Number.isNaN(date.getTime())) {
+    throw new HttpError(400, `Invalid sendAt: ${sendAt}`);
+  }
+  return date;
+}
+
+module.exports = { resolveSendAt, assertTimeZone };